@@ -0,0 +1,224 @@
+// analytics.js – performance metrics for backtest and live trade logs
+import fs from 'fs';
+import path from 'path';
+import { Parser as Json2CsvParser } from 'json2csv';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIODS_PER_YEAR = 365; // crypto trades every day
+const CONFIDENCE_BUCKETS = [[0, 4], [4, 6], [6, 8], [8, 10.01]];
+
+const toMs = t => {
+    if (t === null || t === undefined) return null;
+    if (typeof t === 'number') return t < 1e12 ? t * 1000 : t;
+    const ms = Date.parse(t);
+    return Number.isNaN(ms) ? null : ms;
+};
+const sum = xs => xs.reduce((a, x) => a + x, 0);
+const mean = xs => (xs.length ? sum(xs) / xs.length : null);
+const round = (n, d = 4) => (typeof n === 'number' && Number.isFinite(n) ? parseFloat(n.toFixed(d)) : n ?? null);
+
+/**
+ * Maps a backtest trade (`signal`, Unix-second times) or a live trade (`side`, ISO times) to
+ * one shape. Returns null for trades that have not closed.
+ * @returns {object|null}
+ */
+export function normalizeTrade(t) {
+    const exitTime = toMs(t.exitTime);
+    if (t.pnl === null || t.pnl === undefined || exitTime === null) return null;
+    const entryPrice = +t.entryPrice;
+    const size = Math.abs(+t.size);
+    const riskPerUnit = t.stopLoss ? Math.abs(entryPrice - t.stopLoss) : null;
+    return {
+        id: t.id ?? null,
+        side: t.side ?? t.signal,
+        entryTime: toMs(t.entryTime),
+        exitTime,
+        entryPrice,
+        exitPrice: t.exitPrice ?? null,
+        size,
+        stopLoss: t.stopLoss ?? null,
+        takeProfit: t.takeProfit ?? null,
+        pnl: +t.pnl,
+        fees: t.fees ?? null,
+        funding: t.funding ?? null,
+        confidence: typeof t.confidence === 'number' ? t.confidence : null,
+        exitReason: t.exitReason ?? null,
+        r: riskPerUnit > 0 && size > 0 ? +t.pnl / (riskPerUnit * size) : null
+    };
+}
+
+/**
+ * Equity after each closed trade, with the running drawdown from the previous peak.
+ * @param {Array<object>} trades - Normalized trades.
+ * @param {number} initialBalance
+ * @param {number} [startTime] - Epoch ms of the first point; defaults to the first entry.
+ * @returns {Array<{time: number, equity: number, peak: number, drawdown: number, drawdownPercent: number}>}
+ */
+export function buildEquityCurve(trades, initialBalance, startTime) {
+    const sorted = [...trades].sort((a, b) => a.exitTime - b.exitTime);
+    let equity = initialBalance;
+    let peak = initialBalance;
+    const point = time => ({ time, equity, peak, drawdown: peak - equity, drawdownPercent: peak > 0 ? (peak - equity) / peak : 0 });
+    const curve = [point(startTime ?? sorted[0]?.entryTime ?? sorted[0]?.exitTime ?? 0)];
+    for (const t of sorted) {
+        equity += t.pnl;
+        peak = Math.max(peak, equity);
+        curve.push(point(t.exitTime));
+    }
+    return curve;
+}
+
+/**
+ * Largest peak-to-trough drawdown, and the longest time spent below a previous peak
+ * (until recovered, or until `endTime` if never).
+ */
+function drawdownStats(curve, endTime) {
+    let maxDrawdown = 0;
+    let maxDrawdownPercent = 0;
+    let maxDuration = 0;
+    let underwaterSince = null;
+    for (let i = 0; i < curve.length; i++) {
+        const p = curve[i];
+        maxDrawdown = Math.max(maxDrawdown, p.drawdown);
+        maxDrawdownPercent = Math.max(maxDrawdownPercent, p.drawdownPercent);
+        if (p.drawdown > 0) {
+            underwaterSince ??= curve[i - 1]?.time ?? p.time;
+        } else if (underwaterSince !== null) {
+            maxDuration = Math.max(maxDuration, p.time - underwaterSince);
+            underwaterSince = null;
+        }
+    }
+    if (underwaterSince !== null) maxDuration = Math.max(maxDuration, endTime - underwaterSince);
+    return { maxDrawdown, maxDrawdownPercent, maxDrawdownDurationMs: maxDuration };
+}
+
+/**
+ * Daily returns of the equity curve between start and end; days without a close return 0.
+ */
+function dailyReturns(curve, startTime, endTime) {
+    const returns = [];
+    let idx = 0;
+    let prev = curve[0].equity;
+    for (let day = startTime + DAY_MS; day < endTime + DAY_MS; day += DAY_MS) {
+        while (idx + 1 < curve.length && curve[idx + 1].time <= day) idx++;
+        const equity = curve[idx].equity;
+        returns.push(prev > 0 ? equity / prev - 1 : 0);
+        prev = equity;
+    }
+    return returns;
+}
+
+/**
+ * Win rate, PnL, profit factor, expectancy and hold time for a group of trades.
+ */
+function tradeStats(trades) {
+    const wins = trades.filter(t => t.pnl > 0);
+    const losses = trades.filter(t => t.pnl <= 0);
+    const grossProfit = sum(wins.map(t => t.pnl));
+    const grossLoss = -sum(losses.map(t => t.pnl));
+    const rs = trades.map(t => t.r).filter(r => r !== null);
+    const holds = trades.filter(t => t.entryTime !== null).map(t => t.exitTime - t.entryTime);
+    return {
+        trades: trades.length,
+        wins: wins.length,
+        losses: losses.length,
+        winRate: round(trades.length ? wins.length / trades.length : null),
+        totalPnl: round(sum(trades.map(t => t.pnl)), 2),
+        averagePnl: round(mean(trades.map(t => t.pnl)), 2),
+        grossProfit: round(grossProfit, 2),
+        grossLoss: round(grossLoss, 2),
+        profitFactor: round(grossLoss > 0 ? grossProfit / grossLoss : null),
+        expectancyR: round(mean(rs)),
+        tradesWithR: rs.length,
+        averageHoldMs: round(mean(holds), 0)
+    };
+}
+
+/**
+ * Computes the full report for a list of trades (backtest or live `trades.json` entries).
+ * @param {Array<object>} rawTrades
+ * @param {object} [options]
+ * @param {number} [options.initialBalance=10000]
+ * @param {number|string} [options.startTime] - Period start; defaults to the first entry.
+ * @param {number|string} [options.endTime] - Period end; defaults to the last exit.
+ * @returns {{ summary: object, bySide: object, byConfidence: object, equityCurve: Array<object>, trades: Array<object> }}
+ */
+export function computeAnalytics(rawTrades, options = {}) {
+    const initialBalance = options.initialBalance ?? 10000;
+    const trades = rawTrades.map(normalizeTrade).filter(Boolean).sort((a, b) => a.exitTime - b.exitTime);
+    const startTime = toMs(options.startTime) ?? Math.min(...trades.map(t => t.entryTime ?? t.exitTime), Date.now());
+    const endTime = toMs(options.endTime) ?? Math.max(...trades.map(t => t.exitTime), startTime);
+
+    const equityCurve = buildEquityCurve(trades, initialBalance, startTime);
+    const finalBalance = equityCurve.at(-1).equity;
+    const { maxDrawdown, maxDrawdownPercent, maxDrawdownDurationMs } = drawdownStats(equityCurve, endTime);
+
+    const returns = dailyReturns(equityCurve, startTime, endTime);
+    const avg = mean(returns);
+    const std = returns.length > 1 ? Math.sqrt(sum(returns.map(r => (r - avg) ** 2)) / (returns.length - 1)) : 0;
+    const downside = returns.length ? Math.sqrt(mean(returns.map(r => Math.min(r, 0) ** 2))) : 0;
+    const years = (endTime - startTime) / DAY_MS / PERIODS_PER_YEAR;
+    const annualizedReturn = years > 0 && finalBalance > 0 ? (finalBalance / initialBalance) ** (1 / years) - 1 : null;
+
+    const timeInMarket = sum(trades.filter(t => t.entryTime !== null).map(t => t.exitTime - t.entryTime));
+
+    const summary = {
+        startTime: new Date(startTime).toISOString(),
+        endTime: new Date(endTime).toISOString(),
+        initialBalance: round(initialBalance, 2),
+        finalBalance: round(finalBalance, 2),
+        returnPercent: round(initialBalance > 0 ? finalBalance / initialBalance - 1 : null),
+        annualizedReturn: round(annualizedReturn),
+        maxDrawdown: round(maxDrawdown, 2),
+        maxDrawdownPercent: round(maxDrawdownPercent),
+        maxDrawdownDurationMs,
+        sharpe: round(std > 0 ? (avg / std) * Math.sqrt(PERIODS_PER_YEAR) : null),
+        sortino: round(downside > 0 ? (avg / downside) * Math.sqrt(PERIODS_PER_YEAR) : null),
+        calmar: round(maxDrawdownPercent > 0 && annualizedReturn !== null ? annualizedReturn / maxDrawdownPercent : null),
+        exposure: round(endTime > startTime ? timeInMarket / (endTime - startTime) : null),
+        totalFees: round(sum(trades.map(t => t.fees ?? 0)), 2),
+        totalFunding: round(sum(trades.map(t => t.funding ?? 0)), 2),
+        ...tradeStats(trades)
+    };
+
+    const bySide = Object.fromEntries(['LONG', 'SHORT'].map(side => [side, tradeStats(trades.filter(t => t.side === side))]));
+
+    const byConfidence = {};
+    for (const [lo, hi] of CONFIDENCE_BUCKETS) {
+        byConfidence[`${lo}-${Math.floor(hi)}`] = tradeStats(trades.filter(t => t.confidence !== null && t.confidence >= lo && t.confidence < hi));
+    }
+    const unknown = trades.filter(t => t.confidence === null);
+    if (unknown.length) byConfidence.unknown = tradeStats(unknown);
+
+    return { summary, bySide, byConfidence, equityCurve, trades };
+}
+
+/**
+ * Writes `<prefix>-report.json`, `<prefix>-equity.csv` and `<prefix>-trades.csv` to `outDir`.
+ * @param {object} report - Result of computeAnalytics.
+ * @param {string} [outDir='./reports']
+ * @param {string} [prefix='report']
+ * @returns {{ json: string, equity: string, trades: string }} The written paths.
+ */
+export function writeReport(report, outDir = './reports', prefix = 'report') {
+    fs.mkdirSync(outDir, { recursive: true });
+    const files = {
+        json: path.join(outDir, `${prefix}-report.json`),
+        equity: path.join(outDir, `${prefix}-equity.csv`),
+        trades: path.join(outDir, `${prefix}-trades.csv`)
+    };
+    const { summary, bySide, byConfidence } = report;
+    fs.writeFileSync(files.json, JSON.stringify({ summary, bySide, byConfidence }, null, 2));
+
+    const equityRows = report.equityCurve.map(p => ({ ...p, time: new Date(p.time).toISOString() }));
+    fs.writeFileSync(files.equity, new Json2CsvParser({ fields: ['time', 'equity', 'peak', 'drawdown', 'drawdownPercent'] }).parse(equityRows));
+
+    const tradeFields = ['id', 'side', 'entryTime', 'exitTime', 'entryPrice', 'exitPrice', 'size', 'stopLoss', 'takeProfit', 'pnl', 'r', 'fees', 'funding', 'confidence', 'exitReason'];
+    const tradeRows = report.trades.map(t => ({
+        ...t,
+        entryTime: t.entryTime !== null ? new Date(t.entryTime).toISOString() : null,
+        exitTime: new Date(t.exitTime).toISOString()
+    }));
+    fs.writeFileSync(files.trades, new Json2CsvParser({ fields: tradeFields }).parse(tradeRows));
+    return files;
+}
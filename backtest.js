@@ -1,29 +1,106 @@
 // backtest.js
+// Usage: node backtest.js [--config backtest.json] [flags]
+// Settings come from backtestConfig.js, then the JSON config file (same UPPER_SNAKE keys), then flags.
+// Run with --help for the flag list.
 
 // --- FIX: Added import statements ---
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { BacktestRunner } from './backtestRunner.js';
 import { ensureDataFileExists } from './dataFetcher.js';
 import { log } from './logger.js';
+import { DEFAULT_BACKTEST_CONFIG, validateBacktestConfig } from './backtestConfig.js';
 
-// --- Configuration ---
-const config = {
-    DATA_FILE_PATH: './data/XBTUSD_3m_data.csv',
-    INITIAL_BALANCE: 10000,
-    MINIMUM_CONFIDENCE_THRESHOLD: 0,
-    MIN_SECONDS_BETWEEN_CALLS: 2.5,
-    MAX_API_CALLS: 50,
-    DATA_WINDOW_SIZE: 52,
-    WARMUP_PERIOD: 52
+const toNumber = v => (v === 'null' ? null : Number(v));
+
+// --- Command-line flags: name → [description, apply(config, value)] ---
+const FLAGS = {
+    '--start':          ['Start date, inclusive (UTC)',                 (c, v) => { c.START_DATE = v; }],
+    '--end':            ['End date, exclusive (UTC)',                   (c, v) => { c.END_DATE = v; }],
+    '--data':           ['Base candle CSV',                             (c, v) => { c.DATA_FILE_PATH = v; }],
+    '--fine-data':      ['Finer candle CSV for ambiguous exits',        (c, v) => { c.FINE_DATA_FILE_PATH = v; }],
+    '--strategy':       ['ai | donchian | ema_cross | rsi_reversion',   (c, v) => { c.STRATEGY = v; }],
+    '--balance':        ['Initial balance (USD)',                       (c, v) => { c.INITIAL_BALANCE = toNumber(v); }],
+    '--leverage':       ['Leverage',                                    (c, v) => { c.LEVERAGE = toNumber(v); }],
+    '--risk-per-trade': ['Fraction of balance risked per trade',        (c, v) => { c.RISK_PER_TRADE = toNumber(v); }],
+    '--sizing':         ['fixed | confidence | volatility | kelly',     (c, v) => { c.SIZING = { ...c.SIZING, mode: v }; }],
+    '--min-confidence': ['Minimum signal confidence (0-10)',            (c, v) => { c.MINIMUM_CONFIDENCE_THRESHOLD = toNumber(v); }],
+    '--max-daily-loss': ['Kill switch: max daily loss fraction',        (c, v) => { c.RISK_LIMITS = { ...c.RISK_LIMITS, maxDailyLossPercent: toNumber(v) }; }],
+    '--max-drawdown':   ['Kill switch: max drawdown fraction',          (c, v) => { c.RISK_LIMITS = { ...c.RISK_LIMITS, maxDrawdownPercent: toNumber(v) }; }],
+    '--max-losses':     ['Kill switch: max consecutive losses',         (c, v) => { c.RISK_LIMITS = { ...c.RISK_LIMITS, maxConsecutiveLosses: toNumber(v) }; }],
+    '--output':         ['Directory for the analytics report',          (c, v) => { c.REPORT_DIR = v; }],
+    '--set':            ['Any setting as KEY=JSON, e.g. FEES={"taker":0.0004}', (c, v) => {
+        const eq = v.indexOf('=');
+        if (eq < 1) throw new Error(`--set expects KEY=VALUE, got "${v}".`);
+        const raw = v.slice(eq + 1);
+        try {
+            c[v.slice(0, eq)] = JSON.parse(raw);
+        } catch {
+            c[v.slice(0, eq)] = raw;
+        }
+    }]
 };
 
+function usage() {
+    const lines = Object.entries(FLAGS).map(([flag, [description]]) => `  ${flag.padEnd(18)} ${description}`);
+    return ['Usage: node backtest.js [--config backtest.json] [flags]', '  --config <file>    JSON file with backtest settings', ...lines].join('\n');
+}
+
+/**
+ * Builds the run configuration from the defaults, an optional config file and flags.
+ * @param {Array<string>} argv - Arguments after the script name.
+ * @returns {object|null} The config, or null when help was requested.
+ */
+export function buildConfig(argv) {
+    const config = structuredClone(DEFAULT_BACKTEST_CONFIG);
+    const overrides = [];
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        if (flag === '--help' || flag === '-h') return null;
+        const value = argv[i + 1];
+        if (value === undefined || value.startsWith('--')) throw new Error(`Missing value for ${flag}.\n${usage()}`);
+        i++;
+        if (flag === '--config') {
+            let fileConfig;
+            try {
+                fileConfig = JSON.parse(fs.readFileSync(value, 'utf8'));
+            } catch (error) {
+                throw new Error(`Could not read config file ${value}: ${error.message}`);
+            }
+            Object.assign(config, fileConfig);
+        } else if (FLAGS[flag]) {
+            overrides.push([FLAGS[flag][1], value]);
+        } else {
+            throw new Error(`Unknown flag ${flag}.\n${usage()}`);
+        }
+    }
+    // Flags win over the config file wherever they appear on the command line.
+    for (const [apply, value] of overrides) apply(config, value);
+    return validateBacktestConfig(config);
+}
+
 async function main() {
     try {
+        const config = buildConfig(process.argv.slice(2));
+        if (!config) {
+            process.stdout.write(`${usage()}\n`);
+            return;
+        }
+        log.info(`[BACKTEST] ${config.STRATEGY} on ${config.DATA_FILE_PATH} from ${config.START_DATE} to ${config.END_DATE}.`);
         await ensureDataFileExists(config.DATA_FILE_PATH);
+        // Finer candles are only read inside the backtest window, so only that range is downloaded.
+        if (config.FINE_DATA_FILE_PATH) {
+            await ensureDataFileExists(config.FINE_DATA_FILE_PATH, { interval: '1m', start: config.START_DATE, end: config.END_DATE });
+        }
         const runner = new BacktestRunner(config);
         await runner.run();
     } catch (error) {
         log.error("A critical error occurred during the backtest process:", error);
+        process.exitCode = 1;
     }
 }
 
-main();
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main();
+}
@@ -0,0 +1,92 @@
+// backtestConfig.js – default backtest configuration and its validation, shared by backtest.js and sweep.js
+import { STRATEGY_NAMES, createStrategy } from './strategies.js';
+import { SIZING_MODES } from './riskManager.js';
+import { SLIPPAGE_MODELS } from './backtestExecutionHandler.js';
+import { AMBIGUOUS_EXIT_POLICIES } from './backtestRunner.js';
+import { LLM_CACHE_MODES } from './llmCache.js';
+
+export const DEFAULT_BACKTEST_CONFIG = {
+    DATA_FILE_PATH: './data/XBTUSD_3m_data.csv', // base candles; resampled to each live timeframe
+    SYMBOL: 'PF_XBTUSD',
+    START_DATE: '2025-07-02',        // inclusive, UTC
+    END_DATE: '2025-08-01',          // exclusive, UTC
+    FINE_DATA_FILE_PATH: null,       // e.g. './data/XBTUSD_1m_data.csv'; resolves candles touching both stop and target
+    AMBIGUOUS_EXIT_POLICY: 'worst',  // fallback without finer data: 'worst' | 'best' | 'ohlc'
+    INITIAL_BALANCE: 10000,
+    LEVERAGE: 10,
+    MARGIN_BUFFER: 0.01,
+    TRADES_FILE: null,               // optional JSON trade log, e.g. './reports/backtest-trades.json'
+    REPORT_DIR: './reports',  // null skips it; analytics report: backtest-report.json, backtest-equity.csv, backtest-trades.csv
+    MINIMUM_CONFIDENCE_THRESHOLD: 0,
+    MIN_SECONDS_BETWEEN_CALLS: 2.5,
+    MAX_API_CALLS: 50,
+    DATA_WINDOW_SIZE: 52,    // closed candles per timeframe handed to the strategy
+    WARMUP_PERIOD: 52,
+    STRATEGY: 'ai',          // 'ai' | 'donchian' | 'ema_cross' | 'rsi_reversion'; rule-based ones need DATA_WINDOW_SIZE >= their lookback
+    STRATEGY_OPTIONS: {},
+    RISK_PER_TRADE: 0.02,
+    SIZING: { mode: 'fixed' }, // 'fixed' | 'confidence' | 'volatility' | 'kelly', plus per-mode options keyed by mode
+    FEES: { maker: 0.0002, taker: 0.0005 },          // fractions of notional; entries and stops pay taker
+    SLIPPAGE: { model: 'fixed_bps', bps: 2 },          // 'none' | 'fixed_bps' | 'range_fraction' (with `fraction`)
+    FUNDING: { ratePerHour: 0.0000125, intervalHours: 1 }, // longs pay / shorts receive; negative reverses
+    STOP_BOUNDS: { minAtrMultiple: 0.5, maxAtrMultiple: 5, minRewardRisk: 1, onViolation: 'clamp' },
+    LIQUIDATION: { maxStopFraction: 0.8, onViolation: 'resize' },
+    RISK_LIMITS: null,       // e.g. { maxDailyLossPercent: 0.05, maxDrawdownPercent: 0.15, maxConsecutiveLosses: 4 }
+    LLM_PROVIDER: 'gemini',  // 'gemini' | 'openai' | 'scripted'
+    LLM_MODEL: 'gemini-2.5-flash-lite',
+    LLM_BASE_URL: undefined, // OpenAI-compatible endpoint, e.g. 'http://localhost:8080/v1'
+    LLM_CACHE: { mode: 'record', dir: './llm-cache' } // 'record' | 'replay' (offline, fails on a miss) | 'passthrough'
+};
+
+const isDate = v => typeof v === 'string' && !Number.isNaN(Date.parse(v));
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * Checks a backtest configuration before anything is loaded or fetched.
+ * Data coverage of START_DATE..END_DATE is checked by BacktestRunner once the file is read.
+ * @param {object} cfg
+ * @returns {object} The same config.
+ * @throws {Error} Listing every problem found.
+ */
+export function validateBacktestConfig(cfg) {
+    const errors = [];
+    const check = (ok, message) => { if (!ok) errors.push(message); };
+    const oneOf = (value, allowed, key) => check(allowed.includes(value), `${key} must be one of ${allowed.join(', ')} (got ${JSON.stringify(value)}).`);
+
+    const unknown = Object.keys(cfg).filter(k => !(k in DEFAULT_BACKTEST_CONFIG));
+    check(!unknown.length, `Unknown setting(s): ${unknown.join(', ')}.`);
+
+    check(typeof cfg.DATA_FILE_PATH === 'string' && cfg.DATA_FILE_PATH.length > 0, 'DATA_FILE_PATH must be a file path.');
+    check(isDate(cfg.START_DATE), `START_DATE must be a date such as 2025-07-02 (got ${JSON.stringify(cfg.START_DATE)}).`);
+    check(isDate(cfg.END_DATE), `END_DATE must be a date such as 2025-08-01 (got ${JSON.stringify(cfg.END_DATE)}).`);
+    if (isDate(cfg.START_DATE) && isDate(cfg.END_DATE)) {
+        check(Date.parse(cfg.START_DATE) < Date.parse(cfg.END_DATE), `START_DATE (${cfg.START_DATE}) must be before END_DATE (${cfg.END_DATE}).`);
+    }
+
+    check(isNumber(cfg.INITIAL_BALANCE) && cfg.INITIAL_BALANCE > 0, 'INITIAL_BALANCE must be a positive number.');
+    check(isNumber(cfg.LEVERAGE) && cfg.LEVERAGE > 0, 'LEVERAGE must be a positive number.');
+    check(isNumber(cfg.MARGIN_BUFFER) && cfg.MARGIN_BUFFER >= 0 && cfg.MARGIN_BUFFER < 1, 'MARGIN_BUFFER must be a fraction in [0, 1).');
+    check(isNumber(cfg.RISK_PER_TRADE) && cfg.RISK_PER_TRADE > 0 && cfg.RISK_PER_TRADE <= 1, 'RISK_PER_TRADE must be a fraction in (0, 1].');
+    check(isNumber(cfg.MINIMUM_CONFIDENCE_THRESHOLD) && cfg.MINIMUM_CONFIDENCE_THRESHOLD >= 0 && cfg.MINIMUM_CONFIDENCE_THRESHOLD <= 10, 'MINIMUM_CONFIDENCE_THRESHOLD must be between 0 and 10.');
+    check(isNumber(cfg.MIN_SECONDS_BETWEEN_CALLS) && cfg.MIN_SECONDS_BETWEEN_CALLS >= 0, 'MIN_SECONDS_BETWEEN_CALLS must be zero or more.');
+    check(Number.isInteger(cfg.MAX_API_CALLS) && cfg.MAX_API_CALLS >= 0, 'MAX_API_CALLS must be a whole number.');
+    check(Number.isInteger(cfg.DATA_WINDOW_SIZE) && cfg.DATA_WINDOW_SIZE > 0, 'DATA_WINDOW_SIZE must be a positive whole number.');
+    check(Number.isInteger(cfg.WARMUP_PERIOD) && cfg.WARMUP_PERIOD >= 0, 'WARMUP_PERIOD must be a whole number.');
+
+    oneOf(cfg.STRATEGY, STRATEGY_NAMES, 'STRATEGY');
+    // Rule-based strategies hold until they have `minCandles` candles, so a smaller window never trades.
+    if (cfg.STRATEGY !== 'ai' && STRATEGY_NAMES.includes(cfg.STRATEGY) && Number.isInteger(cfg.DATA_WINDOW_SIZE)) {
+        const { minCandles } = createStrategy(cfg.STRATEGY, cfg.STRATEGY_OPTIONS ?? {});
+        check(cfg.DATA_WINDOW_SIZE >= minCandles, `DATA_WINDOW_SIZE (${cfg.DATA_WINDOW_SIZE}) is smaller than the ${minCandles} candles ${cfg.STRATEGY} needs; raise it or shorten the periods in STRATEGY_OPTIONS.`);
+    }
+    oneOf(cfg.SIZING?.mode ?? 'fixed', SIZING_MODES, 'SIZING.mode');
+    oneOf(cfg.SLIPPAGE?.model ?? 'none', SLIPPAGE_MODELS, 'SLIPPAGE.model');
+    oneOf(cfg.AMBIGUOUS_EXIT_POLICY, AMBIGUOUS_EXIT_POLICIES, 'AMBIGUOUS_EXIT_POLICY');
+    if (cfg.LLM_CACHE?.mode) oneOf(cfg.LLM_CACHE.mode, LLM_CACHE_MODES, 'LLM_CACHE.mode');
+    for (const [key, value] of Object.entries(cfg.RISK_LIMITS ?? {})) {
+        check(value === null || (isNumber(value) && value >= 0), `RISK_LIMITS.${key} must be a non-negative number or null.`);
+    }
+
+    if (errors.length) throw new Error(`Invalid backtest configuration:\n  - ${errors.join('\n  - ')}`);
+    return cfg;
+}
@@ -19,4 +19,95 @@ export class BacktestDataHandler {
     getAllCandles() {
         return this.allOhlcData;
     }
+
+    /**
+     * Returns the base candles whose open time is in `[startTs, endTs)`.
+     * @param {number} startTs - Unix seconds.
+     * @param {number} endTs - Unix seconds.
+     * @returns {Array<object>}
+     */
+    getCandlesBetween(startTs, endTs) {
+        const candles = this.allOhlcData;
+        let lo = 0;
+        let hi = candles.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (candles[mid].timestamp < startTs) lo = mid + 1;
+            else hi = mid;
+        }
+        const out = [];
+        for (let i = lo; i < candles.length && candles[i].timestamp < endTs; i++) out.push(candles[i]);
+        return out;
+    }
+
+    /**
+     * Length of one base candle in seconds, taken from the smallest gap between consecutive rows.
+     * @returns {number}
+     */
+    get baseIntervalSec() {
+        if (this._baseIntervalSec === undefined) {
+            let gap = Infinity;
+            for (let i = 1; i < Math.min(this.allOhlcData.length, 1000); i++) {
+                const d = this.allOhlcData[i].timestamp - this.allOhlcData[i - 1].timestamp;
+                if (d > 0 && d < gap) gap = d;
+            }
+            this._baseIntervalSec = Number.isFinite(gap) ? gap : 60;
+        }
+        return this._baseIntervalSec;
+    }
+
+    /**
+     * Aggregates the base candles into `minutes`-long candles aligned to the Unix epoch, as
+     * Kraken's OHLC feed does. Results are cached per interval.
+     * @param {number} minutes
+     * @returns {Array<object>} `{ timestamp, date, open, high, low, close, volume, closeTimestamp }`, oldest first.
+     */
+    resample(minutes) {
+        this._resampled ??= new Map();
+        if (this._resampled.has(minutes)) return this._resampled.get(minutes);
+
+        const intervalSec = minutes * 60;
+        const out = [];
+        let bucket = null;
+        for (const c of this.allOhlcData) {
+            const start = Math.floor(c.timestamp / intervalSec) * intervalSec;
+            if (!bucket || bucket.timestamp !== start) {
+                bucket = {
+                    timestamp: start,
+                    date: new Date(start * 1000).toISOString(),
+                    open: c.open, high: c.high, low: c.low, close: c.close, volume: c.volume || 0,
+                    closeTimestamp: start + intervalSec
+                };
+                out.push(bucket);
+                continue;
+            }
+            bucket.high = Math.max(bucket.high, c.high);
+            bucket.low = Math.min(bucket.low, c.low);
+            bucket.close = c.close;
+            bucket.volume += c.volume || 0;
+        }
+        this._resampled.set(minutes, out);
+        return out;
+    }
+
+    /**
+     * Returns the last `limit` resampled candles that had fully closed at `atTimestamp`, i.e.
+     * exactly what a live fetch at that moment would have been able to use.
+     * @param {number} minutes - Timeframe length.
+     * @param {number} atTimestamp - Simulation time in Unix seconds.
+     * @param {number} [limit=Infinity]
+     * @returns {Array<object>}
+     */
+    getClosedCandles(minutes, atTimestamp, limit = Infinity) {
+        const series = this.resample(minutes);
+        // Binary search for the first candle still open at atTimestamp.
+        let lo = 0;
+        let hi = series.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (series[mid].closeTimestamp <= atTimestamp) lo = mid + 1;
+            else hi = mid;
+        }
+        return series.slice(Math.max(0, lo - limit), lo);
+    }
 }
@@ -2,37 +2,121 @@
 
 import { log } from './logger.js';
 
+export const SLIPPAGE_MODELS = ['none', 'fixed_bps', 'range_fraction'];
+
+// Worst fills the live order types allow: ExecutionHandler's entry limit sits 0.1% through the
+// last price and its stop-limit 1% beyond the stop, so slippage past those would not fill.
+const ENTRY_LIMIT_PERCENT = 0.001;
+const STOP_LIMIT_PERCENT = 0.01;
+
 // --- FIX: Added export statement ---
 export class BacktestExecutionHandler {
-    constructor(initialBalance) {
+    /**
+     * @param {number} initialBalance
+     * @param {object} [costs] - Trading costs; everything defaults to free.
+     * @param {object} [costs.fees] - `{ maker, taker }` as fractions of notional. Entries and stops
+     *   pay taker, take-profit limits pay maker.
+     * @param {object} [costs.slippage] - `{ model, bps, fraction }`. 'fixed_bps' moves taker fills
+     *   `bps` against us; 'range_fraction' moves them `fraction` of the candle's high-low range.
+     * @param {object} [costs.funding] - `{ ratePerHour, intervalHours }`. Every `intervalHours`
+     *   (epoch-aligned) an open position pays `ratePerHour * intervalHours` of its notional when
+     *   long and receives it when short; a negative rate reverses this.
+     */
+    constructor(initialBalance, costs = {}) {
         this.balance = initialBalance;
         this.trades = [];
+        this.fees = { maker: 0, taker: 0, ...costs.fees };
+        this.slippage = { model: 'none', bps: 0, fraction: 0, ...costs.slippage };
+        this.funding = { ratePerHour: 0, intervalHours: 1, ...costs.funding };
+        if (!SLIPPAGE_MODELS.includes(this.slippage.model)) {
+            throw new Error(`Unknown slippage model "${this.slippage.model}". Expected one of: ${SLIPPAGE_MODELS.join(', ')}.`);
+        }
+    }
+
+    /**
+     * Moves a taker fill against the trade, by at most `maxPercent` of the price.
+     * @returns {number} The fill price.
+     */
+    _slip(price, side, candle, maxPercent) {
+        let amount = 0;
+        if (this.slippage.model === 'fixed_bps') amount = price * this.slippage.bps / 10000;
+        else if (this.slippage.model === 'range_fraction' && candle) amount = (candle.high - candle.low) * this.slippage.fraction;
+        amount = Math.min(Math.max(amount, 0), price * maxPercent);
+        return side === 'buy' ? price + amount : price - amount;
     }
 
-    placeOrder({ signal, params, entryPrice, entryTime, reason }) {
+    placeOrder({ signal, params, entryPrice, entryTime, reason, confidence, sizing, candle }) {
+        const fillPrice = this._slip(entryPrice, signal === 'LONG' ? 'buy' : 'sell', candle, ENTRY_LIMIT_PERCENT);
+        const entryFee = fillPrice * params.size * this.fees.taker;
+        this.balance -= entryFee;
         const trade = {
-            entryTime, entryPrice, signal, reason,
+            entryTime, entryPrice: fillPrice, signal, reason, confidence, sizing,
             size: params.size,
             stopLoss: params.stopLoss,
             takeProfit: params.takeProfit,
             status: 'open',
             exitTime: null, exitPrice: null, pnl: 0,
+            grossPnl: 0,
+            fees: entryFee,
+            funding: 0,
+            slippage: Math.abs(fillPrice - entryPrice) * params.size,
+            lastFundingTime: entryTime,
         };
         if (params.stopLoss === 0 || params.takeProfit === 0) console.log(`trade initiated with parameters equal to zero`);
         this.trades.push(trade);
+        return trade;
     }
 
     getOpenTrade() {
         return this.trades.find(t => t.status === 'open');
     }
 
-    closeTrade(trade, exitPrice, exitTime) {
-        const pnl = (exitPrice - trade.entryPrice) * trade.size * (trade.signal === 'LONG' ? 1 : -1);
-        this.balance += pnl;
+    /**
+     * Charges funding for every funding time in `(trade.lastFundingTime, upTo]`, at `price`.
+     * @param {object} trade
+     * @param {number} upTo - Unix seconds.
+     * @param {number} price - Price used for the position's notional.
+     */
+    accrueFunding(trade, upTo, price) {
+        const { ratePerHour, intervalHours } = this.funding;
+        const intervalSec = intervalHours * 3600;
+        if (!ratePerHour || !(intervalSec > 0)) return;
+
+        const periods = Math.floor(upTo / intervalSec) - Math.floor(trade.lastFundingTime / intervalSec);
+        if (periods <= 0) return;
+        const direction = trade.signal === 'LONG' ? 1 : -1;
+        const charge = periods * ratePerHour * intervalHours * price * trade.size * direction;
+        this.balance -= charge;
+        trade.funding += charge;
+        trade.lastFundingTime = upTo;
+    }
+
+    /**
+     * @param {object} trade
+     * @param {number} exitPrice - Trigger or limit price of the exit.
+     * @param {number} exitTime
+     * @param {object} [options]
+     * @param {string} [options.reason] - 'Take-Profit' exits are maker limit fills; anything else
+     *   is a taker fill with slippage.
+     * @param {object} [options.candle] - Candle the exit happened in, for range slippage.
+     */
+    closeTrade(trade, exitPrice, exitTime, { reason, candle } = {}) {
+        const direction = trade.signal === 'LONG' ? 1 : -1;
+        const maker = reason === 'Take-Profit';
+        const fillPrice = maker ? exitPrice : this._slip(exitPrice, direction === 1 ? 'sell' : 'buy', candle, STOP_LIMIT_PERCENT);
+        this.accrueFunding(trade, exitTime, fillPrice);
+
+        const grossPnl = (fillPrice - trade.entryPrice) * trade.size * direction;
+        const exitFee = fillPrice * trade.size * (maker ? this.fees.maker : this.fees.taker);
+        this.balance += grossPnl - exitFee;
         trade.status = 'closed';
-        trade.exitPrice = exitPrice;
+        trade.exitPrice = fillPrice;
         trade.exitTime = exitTime;
-        trade.pnl = pnl;
+        trade.grossPnl = grossPnl;
+        trade.fees += exitFee;
+        trade.slippage += Math.abs(fillPrice - exitPrice) * trade.size;
+        trade.pnl = grossPnl - trade.fees - trade.funding;
+        delete trade.lastFundingTime;
     }
 
     getTrades() {
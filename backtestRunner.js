@@ -2,9 +2,11 @@
 import fs from 'fs';
 import { log } from './logger.js';
 import { BacktestDataHandler } from './backtestDataHandler.js';
-import { StrategyEngine } from './strategyEngine.js';
+import { createStrategy } from './strategies.js';
 import { RiskManager } from './riskManager.js';
 import { BacktestExecutionHandler } from './backtestExecutionHandler.js';
+import { TIMEFRAME_MINUTES } from './signalSchema.js';
+import { computeAnalytics, writeReport } from './analytics.js';
 
 /* ------------------------------------------------------------------ */
 /* Utilities                                                          */
@@ -19,16 +21,69 @@ function filterByDate(candles, start, end) {
   return candles.filter(c => c.timestamp >= startTs && c.timestamp < endTs);
 }
 
+export const AMBIGUOUS_EXIT_POLICIES = ['worst', 'best', 'ohlc'];
+
+/**
+ * Which protective levels a candle reached for an open trade.
+ */
+function touchedLevels(t, candle) {
+  const long = t.signal === 'LONG';
+  return {
+    stop:   long ? candle.low  <= t.stopLoss   : candle.high >= t.stopLoss,
+    target: long ? candle.high >= t.takeProfit : candle.low  <= t.takeProfit,
+  };
+}
+
+/**
+ * Picks the exit for a candle that touched both stop and target, without finer data.
+ * 'ohlc' assumes the wick against the candle body printed first: open → low → high → close
+ * for a green candle, open → high → low → close for a red one.
+ * @returns {'stop'|'target'}
+ */
+function resolveByPolicy(t, candle, policy) {
+  if (policy === 'best') return 'target';
+  if (policy === 'ohlc') {
+    const lowFirst = candle.close >= candle.open;
+    const stopIsLow = t.signal === 'LONG';
+    return lowFirst === stopIsLow ? 'stop' : 'target';
+  }
+  return 'stop';
+}
+
 /* ------------------------------------------------------------------ */
 /* BacktestRunner                                                     */
 /* ------------------------------------------------------------------ */
 export class BacktestRunner {
-  constructor(cfg) {
+  /**
+   * @param {object} cfg - Backtest configuration (see backtestConfig.js).
+   * @param {object} [deps]
+   * @param {BacktestDataHandler} [deps.data] - Already-loaded candles, so repeated runs over one file parse it once.
+   * @param {BacktestDataHandler} [deps.fineData] - Already-loaded FINE_DATA_FILE_PATH candles, likewise.
+   */
+  constructor(cfg, { data, fineData } = {}) {
     this.cfg   = cfg;
-    this.data  = new BacktestDataHandler(cfg.DATA_FILE_PATH);
-    this.exec  = new BacktestExecutionHandler(cfg.INITIAL_BALANCE);
-    this.strat = new StrategyEngine();
-    this.risk  = new RiskManager({ leverage: 10, marginBuffer: 0.01 });
+    this.tradesFile = cfg.TRADES_FILE ?? null;
+    this.data  = data ?? new BacktestDataHandler(cfg.DATA_FILE_PATH);
+    this.exec  = new BacktestExecutionHandler(cfg.INITIAL_BALANCE, { fees: cfg.FEES, slippage: cfg.SLIPPAGE, funding: cfg.FUNDING });
+    this.strat = createStrategy(cfg.STRATEGY || 'ai', { provider: cfg.LLM_PROVIDER, model: cfg.LLM_MODEL, baseUrl: cfg.LLM_BASE_URL, cache: cfg.LLM_CACHE, riskPerTrade: cfg.RISK_PER_TRADE, sizingMode: cfg.SIZING?.mode, ...cfg.STRATEGY_OPTIONS });
+    this.fineData = cfg.FINE_DATA_FILE_PATH ? fineData ?? new BacktestDataHandler(cfg.FINE_DATA_FILE_PATH) : null;
+    this.exitPolicy = cfg.AMBIGUOUS_EXIT_POLICY || 'worst';
+    if (!AMBIGUOUS_EXIT_POLICIES.includes(this.exitPolicy)) {
+      throw new Error(`Unknown ambiguous exit policy "${this.exitPolicy}". Expected one of: ${AMBIGUOUS_EXIT_POLICIES.join(', ')}.`);
+    }
+    this.ambiguousExits = { total: 0, fineData: 0, policy: 0 };
+    this.commit = {};
+    this.tfConsist = 0;
+    this.timeframeUsage = {};
+    this.risk  = new RiskManager({
+      leverage: cfg.LEVERAGE,
+      marginBuffer: cfg.MARGIN_BUFFER,
+      riskPerTrade: cfg.RISK_PER_TRADE,
+      sizing: cfg.SIZING,
+      stopBounds: cfg.STOP_BOUNDS,
+      liquidation: cfg.LIQUIDATION,
+      limits: cfg.RISK_LIMITS,
+    });
   }
 
   async run() {
@@ -36,8 +91,10 @@ export class BacktestRunner {
     
     let candles = this.data.getAllCandles();
     
-    const startDate = '2025-07-02';
-    const endDate = '2025-08-01';
+    const { START_DATE: startDate, END_DATE: endDate } = this.cfg;
+    this._checkCoverage(this.data, this.cfg.DATA_FILE_PATH, startDate, endDate);
+    // Finer data that stops short would quietly hand ambiguous exits to the policy instead.
+    if (this.fineData) this._checkCoverage(this.fineData, this.cfg.FINE_DATA_FILE_PATH, startDate, endDate);
     candles = filterByDate(candles, startDate, endDate);
     
     if (!candles || candles.length < this.cfg.WARMUP_PERIOD) {
@@ -48,78 +105,150 @@ export class BacktestRunner {
     log.info(`Successfully loaded ${candles.length} candles from ${startDate} to ${endDate}.`);
     log.info(`Starting simulation loop. Warm-up period: ${this.cfg.WARMUP_PERIOD} candles.`);
 
+    const baseSec = this.data.baseIntervalSec;
     let apiCalls = 0;
+    let nextCycleAt = null;
 
     for (let i = this.cfg.WARMUP_PERIOD; i < candles.length; i++) {
       const candle = candles[i];
-      const window = candles.slice(i - this.cfg.DATA_WINDOW_SIZE, i);
+      // Decisions are made once the base candle has closed, like a live cycle firing at that time.
+      const now = candle.timestamp + baseSec;
 
       // FIX: Added the current candle's timestamp to the log messages for better tracking
       const candleTime = new Date(candle.timestamp * 1000).toISOString();
 
       // Check for an open trade and try to exit
       if (this.exec.getOpenTrade()) {
+        this.exec.accrueFunding(this.exec.getOpenTrade(), candle.timestamp, candle.open);
         this._checkExit(candle, candleTime);
       }
 
-      // Check if a new signal should be generated
-      if (!this.exec.getOpenTrade()) {
-        if (apiCalls >= this.cfg.MAX_API_CALLS) {
-          log.warn(`Maximum API calls (${this.cfg.MAX_API_CALLS}) reached. Backtest stopping early.`);
-          break;
-        }
-        apiCalls++;
-        await this._handleSignal({ ohlc: window }, candle, apiCalls);
+      // Wait for the next cycle, whose length follows the chosen timeframe as in the live bot
+      if (nextCycleAt !== null && now < nextCycleAt) continue;
+
+      if (this.strat.usesLlm && apiCalls >= this.cfg.MAX_API_CALLS) {
+        log.warn(`Maximum API calls (${this.cfg.MAX_API_CALLS}) reached. Backtest stopping early.`);
+        break;
       }
+      const { calls, cycleSec } = await this._cycle(candle, now, apiCalls);
+      apiCalls += calls;
+      nextCycleAt = now + cycleSec;
     }
     
-    this._printSummary(apiCalls);
+    return this._printSummary(apiCalls, { startTime: candles[0].timestamp, endTime: candles.at(-1).timestamp + baseSec });
   }
 
   /* ------------------------ Private ------------------------ */
+  _checkCoverage(data, filePath, startDate, endDate) {
+    const candles = data.getAllCandles();
+    const first = candles[0];
+    const last  = candles.at(-1);
+    const slack = data.baseIntervalSec;
+    const iso   = ts => new Date(ts * 1000).toISOString();
+    if (!first) throw new Error(`Data file ${filePath} contains no candles.`);
+    if (first.timestamp > tsFromDate(startDate) + slack || last.timestamp + slack < tsFromDate(endDate)) {
+      throw new Error(`Data file ${filePath} covers ${iso(first.timestamp)} to ${iso(last.timestamp + slack)}, which does not include the requested range ${startDate} to ${endDate}. Adjust the dates, or delete the file so it is downloaded again.`);
+    }
+  }
+
   _checkExit(candle, candleTime) {
     const t = this.exec.getOpenTrade();
-    let exitPrice  = null;
-    let exitReason = '';
-
-    if (t.signal === 'LONG') {
-      if (candle.low  <= t.stopLoss)  { exitPrice = t.stopLoss; exitReason = 'Stop-Loss'; }
-      if (candle.high >= t.takeProfit) { exitPrice = t.takeProfit; exitReason = 'Take-Profit'; }
-    } else if (t.signal === 'SHORT') {
-      if (candle.high >= t.stopLoss)  { exitPrice = t.stopLoss; exitReason = 'Stop-Loss'; }
-      if (candle.low  <= t.takeProfit) { exitPrice = t.takeProfit; exitReason = 'Take-Profit'; }
+    const touched = touchedLevels(t, candle);
+    let hit = touched.stop ? 'stop' : touched.target ? 'target' : null;
+
+    if (touched.stop && touched.target) {
+      hit = this._resolveAmbiguousExit(t, candle);
+      log.info(`[${candleTime}] [AMBIGUOUS EXIT] Candle touched both stop and target; resolved to ${hit === 'stop' ? 'Stop-Loss' : 'Take-Profit'} (${t.exitResolution}).`);
     }
 
+    const exitPrice  = hit === 'stop' ? t.stopLoss : hit === 'target' ? t.takeProfit : null;
+    const exitReason = hit === 'stop' ? 'Stop-Loss' : 'Take-Profit';
+
     if (exitPrice) {
       // FIX: Added candleTime to the log message
-      log.info(`[${candleTime}] [TRADE CLOSED] Signal: ${t.signal}, Entry: ${t.entryPrice.toFixed(2)}, Exit: ${exitPrice.toFixed(2)}, Reason: ${exitReason}`);
-      this.exec.closeTrade(t, exitPrice, candle.timestamp);
-      const updated = this.exec.getTrades();
-      fs.writeFileSync('./trades.json', JSON.stringify(updated, null, 2));
+      this.exec.closeTrade(t, exitPrice, candle.timestamp, { reason: exitReason, candle });
+      log.info(`[${candleTime}] [TRADE CLOSED] Signal: ${t.signal}, Entry: ${t.entryPrice.toFixed(2)}, Exit: ${t.exitPrice.toFixed(2)}, Reason: ${exitReason}, Net P/L: ${t.pnl.toFixed(2)} (fees ${t.fees.toFixed(2)}, funding ${t.funding.toFixed(2)})`);
+      this.risk.recordClosedTrade({ ...t, exitReason }, candle.timestamp * 1000);
+    }
+  }
+
+  /**
+   * Decides whether stop or target came first inside a candle that touched both: walks the
+   * finer candles beneath it when FINE_DATA_FILE_PATH is set, otherwise applies the policy.
+   * @returns {'stop'|'target'}
+   */
+  _resolveAmbiguousExit(t, candle) {
+    this.ambiguousExits.total++;
+    if (this.fineData) {
+      for (const fine of this.fineData.getCandlesBetween(candle.timestamp, candle.timestamp + this.data.baseIntervalSec)) {
+        const touched = touchedLevels(t, fine);
+        if (touched.stop && touched.target) break;
+        if (touched.stop || touched.target) {
+          this.ambiguousExits.fineData++;
+          t.exitResolution = 'fine_data';
+          return touched.stop ? 'stop' : 'target';
+        }
+      }
     }
+    this.ambiguousExits.policy++;
+    t.exitResolution = `policy:${this.exitPolicy}`;
+    return resolveByPolicy(t, candle, this.exitPolicy);
   }
 
-  // NOTE: This function is currently bypassed in the run() loop
-  _hasSignal(market) {
-    const PERIOD = 21;
-    if (market.ohlc.length < PERIOD + 1) return false;
-    const cur   = market.ohlc[market.ohlc.length - 1];
-    const prev  = market.ohlc.slice(-PERIOD - 1, -1);
-    const hh  = Math.max(...prev.map(c => c.high));
-    const ll  = Math.min(...prev.map(c => c.low));
-    const mid = (hh + ll) / 2;
-    const buffer  = cur.close * 0.0015;
-    const bullish = cur.high > mid + buffer;
-    const bearish = cur.low  < mid - buffer;
-    return true;// bullish || bearish;
+  /**
+   * One simulated bot cycle at `now`: pick a timeframe from the closed candles of every
+   * timeframe, then ask for a signal on the chosen one when flat.
+   * @returns {Promise<{calls: number, cycleSec: number}>}
+   */
+  async _cycle(candle, now, apiCalls) {
+    const candleTime = new Date(now * 1000).toISOString();
+    const allOhlcData = {};
+    for (const [timeframe, minutes] of Object.entries(TIMEFRAME_MINUTES)) {
+      allOhlcData[timeframe] = this.data.getClosedCandles(minutes, now, this.cfg.DATA_WINDOW_SIZE);
+    }
+
+    // LLM strategies spend a request on each stage; rule-based ones only count signal checks.
+    let calls = this.strat.usesLlm ? 1 : 0;
+    if (this.strat.usesLlm) log.info(`[${candleTime}] [API Call ${apiCalls + calls}] Requesting timeframe...`);
+    const decision = await this.strat.selectTimeframeAndStrategy(allOhlcData, this.commit, this.cfg.SYMBOL);
+    let timeframe = decision.timeframe;
+    if (!TIMEFRAME_MINUTES[timeframe]) {
+      log.warn(`[${candleTime}] Unknown timeframe "${timeframe}" selected. Falling back to "1 hour".`);
+      timeframe = '1 hour';
+    }
+    if (timeframe === this.commit.prevTf) this.tfConsist++;
+    else this.tfConsist = 0;
+    this.commit = { prevTf: timeframe, prevR: decision.reason, prevS: decision.strategy, tfC: this.tfConsist };
+    this.timeframeUsage[timeframe] = (this.timeframeUsage[timeframe] || 0) + 1;
+
+    const cycleSec = TIMEFRAME_MINUTES[timeframe] * 60;
+    if (this.exec.getOpenTrade()) return { calls, cycleSec };
+
+    this.risk.updateBalance(this.exec.balance, now * 1000);
+    const limits = this.risk.checkAccountLimits(now * 1000);
+    if (!limits.allowed) {
+      log.warn(`[${candleTime}] [RISK] Kill switch engaged, not opening new positions: ${limits.reason}.`);
+      return { calls, cycleSec };
+    }
+
+    const ohlc = allOhlcData[timeframe];
+    if (!ohlc.length) {
+      log.warn(`[${candleTime}] No closed "${timeframe}" candles yet. Skipping cycle.`);
+      return { calls, cycleSec };
+    }
+    calls++;
+    // Prompts see this run's own closed trades, so identical runs send identical prompts.
+    await this._handleSignal({ ohlc, symbol: this.cfg.SYMBOL, tradeHistory: this.exec.getTrades() }, candle, apiCalls + calls, timeframe);
+    return { calls, cycleSec };
   }
 
-  async _handleSignal(market, candle, apiCalls) {
+  async _handleSignal(market, candle, apiCalls, timeframe) {
     // FIX: Added candleTime to the log message
     const candleTime = new Date(candle.timestamp * 1000).toISOString();
-    log.info(`[${candleTime}] [API Call ${apiCalls}] Requesting signal...`);
+    if (this.strat.usesLlm) log.info(`[${candleTime}] [API Call ${apiCalls}] Requesting signal...`);
     const t0 = Date.now();
-    const sig = await this.strat.generateSignal(market);
+    const missesBefore = this.strat.llm?.stats?.misses;
+    const sig = await this.strat.generateSignal(market, timeframe, this.commit);
 
     if (sig.signal !== 'HOLD' && sig.confidence >= this.cfg.MINIMUM_CONFIDENCE_THRESHOLD) {
       // FIX: Added candleTime to the log message
@@ -129,15 +258,19 @@ export class BacktestRunner {
         sig
       );
       if (params?.size > 0) {
-        this.exec.placeOrder({
+        const trade = this.exec.placeOrder({
           signal: sig.signal,
           params,
+          // Signals act on the closed candle, so the fill lands at its close price and close time.
           entryPrice: candle.close,
-          entryTime: candle.timestamp,
+          entryTime: candle.timestamp + this.data.baseIntervalSec,
           reason: sig.reason,
+          confidence: sig.confidence,
+          sizing: params.sizing,
+          candle,
         });
         // FIX: Added candleTime to the log message
-        log.info(`[${candleTime}] [TRADE PLACED] Signal: ${sig.signal}, Entry Price: ${candle.close.toFixed(2)}, Stop-Loss: ${params.stopLoss.toFixed(2)}, Take-Profit: ${params.takeProfit.toFixed(2)}`);
+        log.info(`[${candleTime}] [TRADE PLACED] Signal: ${sig.signal}, Entry Price: ${trade.entryPrice.toFixed(2)}, Stop-Loss: ${params.stopLoss.toFixed(2)}, Take-Profit: ${params.takeProfit.toFixed(2)}`);
       } else {
         // FIX: Added candleTime to the log message
         log.warn(`[${candleTime}] [TRADE BLOCKED] Signal: ${sig.signal}, but calculated size was too small.`);
@@ -147,6 +280,11 @@ export class BacktestRunner {
       log.info(`[${candleTime}] [SIGNAL REJECTED] Signal: ${sig.signal}, Confidence: ${sig.confidence.toFixed(2)} (below threshold of ${this.cfg.MINIMUM_CONFIDENCE_THRESHOLD})`);
     }
 
+    if (!this.strat.usesLlm) return;
+    // Answers served from the LLM cache cost nothing, so only throttle after a real request.
+    const { mode, stats } = this.strat.llm ?? {};
+    if (stats && mode !== 'passthrough' && stats.misses === missesBefore) return;
+
     const elapsed = Date.now() - t0;
     const delay   = this.cfg.MIN_SECONDS_BETWEEN_CALLS * 1000 - elapsed;
     if (delay > 0) {
@@ -156,25 +294,51 @@ export class BacktestRunner {
     }
   }
 
-  _printSummary(apiCalls) {
+  _printSummary(apiCalls, period) {
     log.info('Backtest finished.');
     const trades = this.exec.getTrades();
     const totalTrades = trades.length;
     const winningTrades = trades.filter(t => t.pnl > 0).length;
     const losingTrades = totalTrades - winningTrades;
     const totalPnl = trades.reduce((sum, t) => sum + t.pnl, 0);
+    const sum = key => trades.reduce((total, t) => total + (t[key] || 0), 0);
 
     log.info(`--- Backtest Summary ---`);
     log.info(`Initial Balance: $${this.cfg.INITIAL_BALANCE.toFixed(2)}`);
     log.info(`Final Balance:   $${this.exec.balance.toFixed(2)}`);
     log.info(`Total P/L:       $${totalPnl.toFixed(2)}`);
+    log.info(`Fees Paid:       $${sum('fees').toFixed(2)}`);
+    log.info(`Funding Paid:    $${sum('funding').toFixed(2)}`);
+    log.info(`Slippage Cost:   $${sum('slippage').toFixed(2)}`);
     log.info(`Trades Executed: ${totalTrades}`);
     log.info(`Winning Trades:  ${winningTrades}`);
     log.info(`Losing Trades:   ${losingTrades}`);
-    log.info(`API Calls Made:  ${apiCalls}`);
+    const { total, fineData, policy } = this.ambiguousExits;
+    log.info(`Ambiguous Exits: ${total} (finer data: ${fineData}, '${this.exitPolicy}' policy: ${policy})`);
+    log.info(`Strategy:        ${this.strat.name}`);
+    log.info(`Sizing Mode:     ${this.risk.sizing.mode}`);
+    log.info(`${this.strat.usesLlm ? 'API Calls Made: ' : 'Signals Checked:'} ${apiCalls}`);
+    const cacheStats = this.strat.llm?.stats;
+    if (cacheStats) log.info(`LLM Cache:       ${this.strat.llm.mode}, ${cacheStats.hits} hits, ${cacheStats.misses} misses`);
+    log.info(`Timeframes Used: ${Object.entries(this.timeframeUsage).map(([tf, n]) => `${tf} x${n}`).join(', ') || 'none'}`);
     
     log.info(`-------------------------`);
 
-    fs.writeFileSync('./trades.json', JSON.stringify(trades, null, 2));
+    if (this.tradesFile) fs.writeFileSync(this.tradesFile, JSON.stringify(trades, null, 2));
+
+    const report = computeAnalytics(trades, { initialBalance: this.cfg.INITIAL_BALANCE, ...period });
+    const { summary: s } = report;
+    const pct = n => (n === null ? 'n/a' : `${(n * 100).toFixed(2)}%`);
+    const num = n => (n === null ? 'n/a' : n.toFixed(2));
+    log.info(`Max Drawdown:    $${num(s.maxDrawdown)} (${pct(s.maxDrawdownPercent)}, ${(s.maxDrawdownDurationMs / 3600000).toFixed(1)}h underwater)`);
+    log.info(`Sharpe/Sortino/Calmar: ${num(s.sharpe)} / ${num(s.sortino)} / ${num(s.calmar)}`);
+    log.info(`Profit Factor:   ${num(s.profitFactor)}, Expectancy: ${num(s.expectancyR)}R`);
+    log.info(`Avg Hold:        ${(s.averageHoldMs / 3600000 || 0).toFixed(1)}h, Exposure: ${pct(s.exposure)}`);
+    const reportDir = this.cfg.REPORT_DIR === undefined ? './reports' : this.cfg.REPORT_DIR;
+    if (reportDir) {
+      const files = writeReport(report, reportDir, 'backtest');
+      log.info(`Analytics report written to ${files.json}, ${files.equity} and ${files.trades}.`);
+    }
+    return report;
   }
 }
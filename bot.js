@@ -1,33 +1,134 @@
 import dotenv from 'dotenv';
 import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { startWebServer } from './webServer.js';
 import { DataHandler } from './dataHandler.js';
-import { StrategyEngine } from './strategyEngine.js';
+import { createStrategy } from './strategies.js';
 import { RiskManager } from './riskManager.js';
-import { ExecutionHandler } from './executionHandler.js';
+import { ExecutionHandler, ORDER_STATES } from './executionHandler.js';
+import { StateStore } from './stateStore.js';
+import { TradeReconstructor } from './tradeReconstructor.js';
+import { PositionManager } from './positionManager.js';
+import { PaperExchange } from './paperExchange.js';
+import { fetchSpotOhlc } from './krakenApi.js';
+import { InstrumentSpecs } from './instrumentSpecs.js';
+import { Heartbeat } from './heartbeat.js';
+import { Reconciler } from './reconciler.js';
+import { TIMEFRAME_MINUTES } from './signalSchema.js';
 import { log } from './logger.js';
-import axios from 'axios';
 
 dotenv.config();
 
-const PAIR = 'PF_XBTUSD';
-const OHLC_PAIR = 'XBTUSD';
-const INTERVALS = {
-    '1 hour': 60,
-    '4 hour': 240,
-    '1 day': 1440,
-    '1 week': 10080
-};
+// Perpetuals to trade, as "FUTURES_SYMBOL:SPOT_OHLC_PAIR" pairs separated by commas.
+const INSTRUMENTS = process.env.INSTRUMENTS || 'PF_XBTUSD:XBTUSD';
+const INTERVALS = TIMEFRAME_MINUTES;
 const MIN_CONF = 0;
-let CYCLE_MS = 1000 * 60 * 60;
+const DEFAULT_CYCLE_MS = 1000 * 60 * 60;
 const TRADE_LOG_FILE = 'trades.json';
-const SPOT_OHLC_URL = 'https://api.kraken.com/0/public/OHLC';
+const FEES = {
+    maker: parseFloat(process.env.MAKER_FEE ?? '0.0002'),
+    taker: parseFloat(process.env.TAKER_FEE ?? '0.0005')
+};
+const ENTRY_FILL_TIMEOUT_MS = parseInt(process.env.ENTRY_FILL_TIMEOUT_MS ?? `${5 * 60 * 1000}`, 10);
+const ENTRY_POLL_INTERVAL_MS = parseInt(process.env.ENTRY_POLL_INTERVAL_MS ?? '5000', 10);
+// Position-management rules; set any of them to 0 to disable it.
+const POSITION_MANAGEMENT = {
+    breakEvenAtR: parseFloat(process.env.PM_BREAK_EVEN_R ?? '1') || null,
+    trailAtrMultiple: parseFloat(process.env.PM_TRAIL_ATR ?? '3') || null,
+    tightenOnTimeframeSwitch: parseFloat(process.env.PM_TIGHTEN_ON_TF_SWITCH ?? '0.5') || null
+};
+// 'kraken' (default) trades on the configured Kraken Futures endpoint; 'paper' uses the local simulator.
+const EXCHANGE = process.env.EXCHANGE || 'kraken';
+const PAPER_CONFIG = {
+    initialBalance: parseFloat(process.env.PAPER_BALANCE ?? '10000'),
+    leverage: parseFloat(process.env.PAPER_LEVERAGE ?? '10'),
+    stateFile: process.env.PAPER_STATE_FILE || 'paper-exchange.json'
+};
+// Account-level limits; set any of them to 0 to disable it.
+const RISK_LIMITS = {
+    maxDailyLossPercent: parseFloat(process.env.RISK_MAX_DAILY_LOSS ?? '0.05'),
+    maxDrawdownPercent: parseFloat(process.env.RISK_MAX_DRAWDOWN ?? '0.15'),
+    maxConsecutiveLosses: parseInt(process.env.RISK_MAX_CONSECUTIVE_LOSSES ?? '4', 10),
+    stopOutCooldownMs: parseFloat(process.env.RISK_STOP_OUT_COOLDOWN_MIN ?? '60') * 60 * 1000
+};
+const DEFAULT_MAINTENANCE_MARGIN = 0.01;
+const RISK_PER_TRADE = parseFloat(process.env.RISK_PER_TRADE ?? '0.02');
+// 'fixed' (default), 'confidence', 'volatility' or 'kelly'; see RiskManager for the per-mode caps.
+const SIZING_MODE = process.env.SIZING_MODE || 'fixed';
+// Bounds on the signal's stop/take-profit distances; set any of them to 0 to disable it.
+const STOP_BOUNDS = {
+    minAtrMultiple: parseFloat(process.env.STOP_MIN_ATR ?? '0.5'),
+    maxAtrMultiple: parseFloat(process.env.STOP_MAX_ATR ?? '5'),
+    minRewardRisk: parseFloat(process.env.MIN_REWARD_RISK ?? '1'),
+    onViolation: process.env.STOP_BOUNDS_MODE || 'clamp' // 'clamp' | 'reject'
+};
+// Stop distance allowed as a fraction of the distance to the estimated liquidation price.
+const LIQUIDATION = {
+    maxStopFraction: parseFloat(process.env.LIQ_MAX_STOP_FRACTION ?? '0.8'),
+    onViolation: process.env.LIQ_MODE || 'resize', // 'resize' | 'reject'
+    defaultMaintenanceMargin: DEFAULT_MAINTENANCE_MARGIN
+};
+// Block entries whose projected funding over FUNDING_HOLD_CANDLES candles exceeds this fraction of
+// the amount at risk; 0 (default) disables the rule.
+const FUNDING_MAX_COST_R = parseFloat(process.env.FUNDING_MAX_COST_R ?? '0');
+const FUNDING_HOLD_CANDLES = parseFloat(process.env.FUNDING_HOLD_CANDLES ?? '24');
+// Set RISK_RESET=1 for one start to lift an engaged kill switch.
+const RISK_RESET = process.env.RISK_RESET === '1';
+// Dead-man's switch: 'keep_protection' (default) arms the exchange cancel-after timer only while an
+// entry is pending; 'cancel_all' keeps it armed at all times; 'off' disables it. The timer cancels
+// orders on every instrument (see heartbeat.js).
+const HEARTBEAT = {
+    mode: process.env.DEADMAN_MODE || 'keep_protection',
+    timeoutSec: parseInt(process.env.DEADMAN_TIMEOUT_SEC ?? '60', 10)
+};
+// A cycle overdue by more than this counts as a stalled bot.
+const CYCLE_GRACE_MS = 15 * 60 * 1000;
+const STATE_FILE = process.env.BOT_STATE_FILE || 'bot-state.json';
+// Per-instrument fields written to STATE_FILE and restored on startup.
+const PERSISTED_FIELDS = ['cycleMs', 'wasPositionOpen', 'lastTradeDetails', 'lastBalance', 'commit', 'tfConsist'];
+// Kraken endpoints; point both at mockKrakenServer.js to run the bot offline.
+const KRAKEN_FUTURES_URL = process.env.KRAKEN_FUTURES_URL || undefined;
+const SPOT_OHLC_URL = process.env.KRAKEN_SPOT_OHLC_URL || 'https://api.kraken.com/0/public/OHLC';
+const LLM_CONFIG = {
+    provider: process.env.LLM_PROVIDER || 'gemini',
+    model: process.env.LLM_MODEL,
+    baseUrl: process.env.LLM_BASE_URL
+};
+// 'ai' (default) or a rule-based strategy: 'donchian', 'ema_cross', 'rsi_reversion'
+const STRATEGY = process.env.STRATEGY || 'ai';
+// Optional rule-based strategy evaluated alongside the main one for comparison only
+const BASELINE_STRATEGY = process.env.BASELINE_STRATEGY;
+const STRATEGY_TIMEFRAME = process.env.STRATEGY_TIMEFRAME || '1 hour';
 
-let wasPositionOpen = true;
-let lastTradeDetails = null;
-let lastBalance = null;
-let commit = {};
-let TfConsist = 0;
+/**
+ * Parses the INSTRUMENTS spec into per-instrument cycle state.
+ * Throws on a malformed entry or a symbol listed twice.
+ * @param {string} spec - e.g. 'PF_XBTUSD:XBTUSD,PF_ETHUSD:ETHUSD'.
+ * @returns {Array<object>}
+ */
+export function parseInstruments(spec) {
+    const seen = new Set();
+    return spec.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+        const [symbol, ohlcPair] = entry.split(':').map(s => s.trim());
+        if (!symbol || !ohlcPair) {
+            throw new Error(`Invalid instrument "${entry}". Expected FUTURES_SYMBOL:SPOT_OHLC_PAIR.`);
+        }
+        // Two cycles on one symbol would fight over its position and protection orders.
+        if (seen.has(symbol.toUpperCase())) throw new Error(`Duplicate instrument "${symbol}" in INSTRUMENTS.`);
+        seen.add(symbol.toUpperCase());
+        return {
+            symbol,
+            ohlcPair,
+            cycleMs: DEFAULT_CYCLE_MS,
+            wasPositionOpen: false,
+            lastTradeDetails: null,
+            lastBalance: null,
+            commit: {},
+            tfConsist: 0
+        };
+    });
+}
 
 // Helper function to create a delay
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -53,23 +154,9 @@ async function logInChunks(title, data, chunkSize = 5000, delay = 1000) {
     }
 }
 
-const fetchKrakenData = async ({ pair = 'XBTUSD', interval, since } = {}) => {
-    const params = { pair, interval };
-    if (since) params.since = since;
-    try {
-        const { data } = await axios.get(SPOT_OHLC_URL, { params });
-        if (data.error?.length) throw new Error(data.error.join(', '));
-        const key = Object.keys(data.result).find(k => k !== 'last');
-        return (data.result[key] || []).map(o => ({
-            date: new Date(o[0] * 1000).toISOString(),
-            open: +o[1], high: +o[2], low: +o[3], close: +o[4], volume: +o[6]
-        }));
-    } catch (e) {
-        return null;
-    }
-};
+const fetchKrakenData = (params) => fetchSpotOhlc(params, SPOT_OHLC_URL);
 
-const logTrade = async (tradeDetails) => {
+const writeTradeLog = async (tradeDetails) => {
     try {
         let trades = [];
         try {
@@ -97,135 +184,422 @@ const logTrade = async (tradeDetails) => {
     }
 };
 
-async function cycle() {
-    try {
-        const { KRAKEN_API_KEY, KRAKEN_SECRET_KEY } = process.env;
-        if (!KRAKEN_API_KEY || !KRAKEN_SECRET_KEY) {
-            log.error('Missing API keys. Please set KRAKEN_API_KEY and KRAKEN_SECRET_KEY in your .env file.');
-            return;
-        }
+// Instruments cycle concurrently and each update rewrites the whole file, so updates run one at a time.
+let tradeLogQueue = Promise.resolve();
+const logTrade = (tradeDetails) => {
+    tradeLogQueue = tradeLogQueue.then(() => writeTradeLog(tradeDetails));
+    return tradeLogQueue;
+};
 
-        const dataHandler = new DataHandler(KRAKEN_API_KEY, KRAKEN_SECRET_KEY);
-        const strat = new StrategyEngine();
-        const risk = new RiskManager({ leverage: 10, stopLossMultiplier: 2, takeProfitMultiplier: 3, marginBuffer: 0.4 });
-        const exec = new ExecutionHandler(dataHandler.api);
+const checkpoint = (ctx) => ctx.store.save({
+    instruments: Object.fromEntries(ctx.instruments.map(inst => [
+        inst.symbol,
+        Object.fromEntries(PERSISTED_FIELDS.map(f => [f, inst[f]]))
+    ])),
+    risk: ctx.risk.getAccountState()
+});
 
-        let allOhlcData = {};
-        log.info('Fetching OHLC data for all timeframes...');
-        try {
-            const fetchPromises = Object.entries(INTERVALS).map(async ([timeframe, interval]) => {
-                const candles = await fetchKrakenData({ pair: OHLC_PAIR, interval });
-                allOhlcData[timeframe] = candles;
-            });
-            await Promise.all(fetchPromises);
-            log.info('OHLC data for all timeframes has been fetched.');
-        } catch (dataError) {
-            log.error('Failed to fetch all market data:', dataError);
-            return;
-        }
+const positionSide = (position) => (position.side === 'long' ? 'LONG' : 'SHORT');
 
-        const timeframeDecision = await strat.selectTimeframeAndStrategy(allOhlcData, commit);
-        log.info('AI Timeframe Decision:', timeframeDecision);
-        const chosenTimeframe = timeframeDecision.timeframe;
-        log.info(`AI selected "${chosenTimeframe}" as the most interesting timeframe to trade on.`);
-            if (chosenTimeframe === commit.prevTf) TfConsist++;
-            else TfConsist = 0;
-        commit = {
-                prevTf: chosenTimeframe,
-                prevR: timeframeDecision.reason,
-                prevS: timeframeDecision.strategy,
-                tfC: TfConsist
-                  };
-
-        // Update the cycle time based on the chosen timeframe
-        CYCLE_MS = INTERVALS[chosenTimeframe] * 60 * 1000;
-        log.info(`Updated cycle time to ${CYCLE_MS / 1000 / 60} minutes (${CYCLE_MS}ms).`);
-
-        let market;
-        try {
-            const rawMarketData = await dataHandler.fetchAllData(OHLC_PAIR, INTERVALS[chosenTimeframe]);
-            market = rawMarketData;
-        } catch (dataError) {
-            log.error('Failed to fetch market data:', dataError);
-            return;
-        }
+/**
+ * Maintenance margin required by open positions in other instruments, for the liquidation estimate.
+ * Valued at the current mark price, as the exchange does; the entry price is only a fallback.
+ */
+async function otherMaintenanceMargin(inst, positions, { instrumentSpecs, dataHandler }) {
+    const others = positions.filter(p => p.symbol !== inst.symbol);
+    if (!others.length) return 0;
+    const markPrices = await dataHandler.fetchMarkPrices();
+    let total = 0;
+    for (const p of others) {
+        const spec = await instrumentSpecs.get(p.symbol);
+        const price = markPrices[p.symbol.toUpperCase()] ?? +p.price;
+        total += Math.abs(+p.size) * spec.contractSize * price * (spec.maintenanceMargin ?? DEFAULT_MAINTENANCE_MARGIN);
+    }
+    return total;
+}
 
-        if (!market || market.balance === undefined || !market.ohlc || !market.ohlc.length) {
-            log.warn('Skipping cycle due to missing market data or balance.');
-            return;
-        }
+/**
+ * Compares an instrument's tracked state with the positions the exchange reports
+ * and logs any disagreement.
+ * @returns {string|null} A mismatch code, or null when state and exchange agree.
+ */
+function detectStateMismatch(inst, open) {
+    const tag = `[${inst.symbol}]`;
+    const position = open[0];
+    let mismatch = null;
 
-        const open = market.positions?.openPositions?.filter(p => p.symbol === PAIR) || [];
+    if (position && !inst.wasPositionOpen && !inst.lastTradeDetails) {
+        mismatch = 'untracked_position';
+        log.warn(`${tag} [STATE] Exchange reports an open ${positionSide(position)} position (size ${position.size}) that the bot has no record of.`);
+    } else if (position && inst.lastTradeDetails && positionSide(position) !== inst.lastTradeDetails.side) {
+        mismatch = 'side_mismatch';
+        log.warn(`${tag} [STATE] Exchange position is ${positionSide(position)} but the stored trade ${inst.lastTradeDetails.id} is ${inst.lastTradeDetails.side}.`);
+    }
 
-        if (open.length) {
-            log.info('An open position already exists. Skipping signal generation.');
-            wasPositionOpen = true;
-        } else {
-            if (wasPositionOpen) {
-                if (lastTradeDetails && lastBalance !== null) {
-                    const pnl = market.balance - lastBalance;
-                    const closedTrade = { ...lastTradeDetails, pnl: pnl.toFixed(2) };
-                    await logTrade(closedTrade);
-                    log.info(`Trade closed. PnL: ${pnl.toFixed(2)} USD.`);
-                }
-                lastBalance = market.balance;
-                log.info(`New balance: ${market.balance.toFixed(2)} USD.`);
-                lastTradeDetails = null;
-                wasPositionOpen = false;
-            }
+    if (mismatch) log.metric('state_mismatch', 1, 'count', { symbol: inst.symbol, kind: mismatch });
+    return mismatch;
+}
 
-            let signal;
-            try {
-                signal = await strat.generateSignal(market, chosenTimeframe, commit);
-                log.info('AI Signal Response:', signal);
-                log.info(`Signal generated: ${signal.signal} with confidence ${signal.confidence}.`);
-            } catch (signalError) {
-                log.error('Failed to generate trading signal:', signalError);
-                return;
-            }
+/**
+ * Repairs protection for one instrument and persists any order IDs the reconciler attached to its trade.
+ * With `strict`, a position left unprotected throws instead of being logged.
+ */
+async function reconcileInstrument(inst, ctx, { ohlc, positions, orders, strict = false } = {}) {
+    try {
+        const changes = await ctx.reconciler.reconcile({ symbol: inst.symbol, trade: inst.lastTradeDetails, ohlc, positions, orders, strict });
+        if (changes.length && inst.lastTradeDetails) await logTrade(inst.lastTradeDetails);
+        return changes;
+    } catch (error) {
+        if (strict) throw error;
+        log.error(`[${inst.symbol}] [RECONCILE] Reconciliation failed.`, error);
+        return [];
+    }
+}
 
-            if (signal.signal !== 'HOLD' && signal.confidence >= MIN_CONF) {
-                const params = risk.calculateTradeParameters(market, signal);
-
-                if (params) {
-                    const lastPrice = market.ohlc.at(-1).close;
-                    try {
-                        const orderResult = await exec.placeOrder({ signal: signal.signal, pair: PAIR, params, lastPrice });
-                        const tradeLog = {
-                            id: orderResult.sendStatus.order_id,
-                            side: signal.signal,
-                            size: params.size,
-                            lastPrice: lastPrice,
-                            stopLoss: params.stopLoss,
-                            takeProfit: params.takeProfit,
-                            pnl: null
-                        };
-                        lastTradeDetails = tradeLog;
-                        await logTrade(tradeLog);
-                        log.info(`Order placed for ${PAIR}: ${signal.signal}.`);
-                    } catch (orderError) {
-                        log.error('Failed to place order:', orderError);
-                        return;
-                    }
-                } else {
-                    log.warn('Risk manager returned no trade parameters. Skipping order placement.');
-                }
-            } else {
-                log.info('Signal confidence too low or signal is HOLD. No trade will be placed.');
-            }
-        }
-    } catch (e) {
-        log.error('An unhandled error occurred during the trading cycle:', e);
-    } finally {
-        setTimeout(cycle, CYCLE_MS);
+/**
+ * Restores persisted per-instrument state and checks it against the exchange.
+ */
+async function restoreState(instruments, stored, dataHandler) {
+    let openPositions = [];
+    try {
+        openPositions = (await dataHandler.fetchOpenPositions())?.openPositions || [];
+    } catch (error) {
+        log.error('[STATE] Could not fetch open positions to verify stored state.', error);
+    }
+
+    for (const inst of instruments) {
+        const tag = `[${inst.symbol}]`;
+        const saved = stored?.instruments?.[inst.symbol];
+        const open = openPositions.filter(p => p.symbol === inst.symbol);
+
+        if (saved) {
+            for (const f of PERSISTED_FIELDS) {
+                if (saved[f] !== undefined) inst[f] = saved[f];
+            }
+            log.info(`${tag} [STATE] Restored state: timeframe "${inst.commit.prevTf}" upheld for ${inst.tfConsist} cycles, position ${inst.wasPositionOpen ? 'open' : 'flat'}.`);
+            if (!open.length && inst.wasPositionOpen && inst.lastTradeDetails) {
+                log.info(`${tag} [STATE] Trade ${inst.lastTradeDetails.id} closed while the bot was offline. It will be settled on the next cycle.`);
+            }
+        } else {
+            log.info(`${tag} [STATE] No stored state for this instrument.`);
+        }
+
+        if (detectStateMismatch(inst, open) === 'untracked_position') {
+            // Treat it as ours so the close is picked up instead of a new entry being opened.
+            inst.wasPositionOpen = true;
+        }
     }
 }
 
-startWebServer();
-log.info('Bot is starting up...');
-cycle();
+/**
+ * Runs one trading cycle for an instrument.
+ */
+export async function cycle(inst, ctx) {
+    const { dataHandler, strat, baseline, risk, exec, positionManager } = ctx;
+    const tag = `[${inst.symbol}]`;
+    inst.lastCycleAt = Date.now();
+    try {
+        let allOhlcData = {};
+        log.info(`${tag} Fetching OHLC data for all timeframes...`);
+        try {
+            const fetchPromises = Object.entries(INTERVALS).map(async ([timeframe, interval]) => {
+                const candles = await fetchKrakenData({ pair: inst.ohlcPair, interval });
+                allOhlcData[timeframe] = candles;
+            });
+            await Promise.all(fetchPromises);
+            log.info(`${tag} OHLC data for all timeframes has been fetched.`);
+        } catch (dataError) {
+            log.error(`${tag} Failed to fetch all market data:`, dataError);
+            return;
+        }
 
-process.on('SIGINT', () => {
-    log.warn('Shutting down gracefully...');
-    process.exit(0);
-});
+        const timeframeDecision = await strat.selectTimeframeAndStrategy(allOhlcData, inst.commit, inst.symbol);
+        log.info(`${tag} AI Timeframe Decision:`, timeframeDecision);
+        const chosenTimeframe = timeframeDecision.timeframe;
+        log.info(`${tag} AI selected "${chosenTimeframe}" as the most interesting timeframe to trade on.`);
+        if (chosenTimeframe === inst.commit.prevTf) inst.tfConsist++;
+        else inst.tfConsist = 0;
+        inst.commit = {
+            prevTf: chosenTimeframe,
+            prevR: timeframeDecision.reason,
+            prevS: timeframeDecision.strategy,
+            tfC: inst.tfConsist
+        };
+
+        // Update the cycle time based on the chosen timeframe
+        inst.cycleMs = INTERVALS[chosenTimeframe] * 60 * 1000;
+        log.info(`${tag} Updated cycle time to ${inst.cycleMs / 1000 / 60} minutes (${inst.cycleMs}ms).`);
+        await checkpoint(ctx);
+
+        let market;
+        try {
+            const rawMarketData = await dataHandler.fetchAllData(inst.ohlcPair, INTERVALS[chosenTimeframe]);
+            market = {
+                ...rawMarketData,
+                symbol: inst.symbol,
+                instrument: await ctx.instrumentSpecs.get(inst.symbol),
+                funding: await dataHandler.fetchFundingContext(inst.symbol),
+                expectedHoldHours: FUNDING_HOLD_CANDLES * INTERVALS[chosenTimeframe] / 60
+            };
+        } catch (dataError) {
+            log.error(`${tag} Failed to fetch market data:`, dataError);
+            return;
+        }
+
+        if (!market || market.balance === undefined || !market.ohlc || !market.ohlc.length) {
+            log.warn(`${tag} Skipping cycle due to missing market data or balance.`);
+            return;
+        }
+
+        // Drawdown and daily-loss limits track portfolio value: available margin drops by the
+        // initial margin whenever a position opens.
+        if (typeof market.equity === 'number') risk.updateBalance(market.equity);
+        else log.warn(`${tag} Account portfolio value is missing. Drawdown tracking skipped this cycle.`);
+        const open = market.positions?.openPositions?.filter(p => p.symbol === inst.symbol) || [];
+
+        detectStateMismatch(inst, open);
+        await reconcileInstrument(inst, ctx, {
+            ohlc: market.ohlc,
+            positions: market.positions?.openPositions || [],
+            orders: market.orders?.openOrders || []
+        });
+
+        if (open.length) {
+            log.info(`${tag} An open position already exists. Skipping signal generation.`);
+            inst.wasPositionOpen = true;
+
+            const trade = inst.lastTradeDetails;
+            if (trade) {
+                const timeframeChanged = !!trade.timeframe && trade.timeframe !== chosenTimeframe;
+                const markPrice = (await dataHandler.fetchMarkPrices())[inst.symbol.toUpperCase()];
+                const change = await positionManager.manage({ trade, ohlc: market.ohlc, markPrice, timeframeChanged });
+                if (timeframeChanged) trade.timeframe = chosenTimeframe;
+                if (change || timeframeChanged) await logTrade(trade);
+            }
+            await checkpoint(ctx);
+        } else {
+            if (inst.wasPositionOpen) {
+                if (inst.lastTradeDetails) {
+                    let closedTrade = ctx.reconstructor.reconstruct(inst.lastTradeDetails, market.fills?.fills);
+                    if (!closedTrade && inst.lastBalance !== null) {
+                        // Fills have rolled out of the recent-fills window; fall back to the balance delta.
+                        const pnl = market.balance - inst.lastBalance;
+                        log.warn(`${tag} Could not reconstruct trade ${inst.lastTradeDetails.id} from fills. Using balance delta for PnL.`);
+                        closedTrade = { ...inst.lastTradeDetails, pnl: parseFloat(pnl.toFixed(2)), exitTime: new Date().toISOString(), exitReason: 'Unknown', pnlSource: 'balance' };
+                    }
+                    if (closedTrade) {
+                        risk.recordClosedTrade(closedTrade);
+                        await logTrade(closedTrade);
+                        log.info(`${tag} Trade closed (${closedTrade.exitReason}). Exit: ${closedTrade.exitPrice ?? 'n/a'}, fees: ${closedTrade.fees ?? 'n/a'}, net PnL: ${closedTrade.pnl} USD.`);
+                    }
+                }
+                inst.lastBalance = market.balance;
+                log.info(`${tag} New balance: ${market.balance.toFixed(2)} USD.`);
+                inst.lastTradeDetails = null;
+                inst.wasPositionOpen = false;
+                await checkpoint(ctx);
+            }
+
+            const limits = risk.checkAccountLimits();
+            if (!limits.allowed) {
+                log.warn(`${tag} [RISK] Kill switch engaged, not opening new positions: ${limits.reason}.`);
+                return;
+            }
+
+            let signal;
+            try {
+                signal = await strat.generateSignal(market, chosenTimeframe, inst.commit);
+                log.info(`${tag} AI Signal Response:`, signal);
+                log.info(`${tag} Signal generated: ${signal.signal} with confidence ${signal.confidence}.`);
+            } catch (signalError) {
+                log.error(`${tag} Failed to generate trading signal:`, signalError);
+                return;
+            }
+
+            if (baseline) {
+                const baselineSignal = await baseline.generateSignal(market, chosenTimeframe);
+                log.info(`${tag} Baseline (${baseline.name}) signal: ${baselineSignal.signal} with confidence ${baselineSignal.confidence}.`, baselineSignal);
+                log.metric('baseline_agreement', baselineSignal.signal === signal.signal ? 1 : 0, 'bool', { symbol: inst.symbol, strategy: strat.name, baseline: baseline.name });
+            }
+
+            if (signal.signal !== 'HOLD' && signal.confidence >= MIN_CONF) {
+                const positions = market.positions?.openPositions || [];
+                market.otherMaintenanceMargin = await otherMaintenanceMargin(inst, positions, ctx);
+                const params = risk.calculateTradeParameters(market, signal);
+
+                if (params) {
+                    const lastPrice = market.ohlc.at(-1).close;
+                    try {
+                        const orderResult = await exec.placeOrder({ signal: signal.signal, pair: inst.symbol, params, lastPrice });
+                        if (!orderResult.filledSize) {
+                            log.warn(`${tag} Entry order was not filled (${orderResult.state}). No trade opened.`);
+                            return;
+                        }
+                        if (orderResult.state !== ORDER_STATES.FILLED) {
+                            log.warn(`${tag} Entry order ended ${orderResult.state} with ${orderResult.filledSize}/${params.size} filled. Tracking the filled part.`);
+                        }
+                        const tradeLog = {
+                            id: orderResult.sendStatus.order_id,
+                            symbol: inst.symbol,
+                            side: signal.signal,
+                            size: orderResult.filledSize,
+                            requestedSize: params.size,
+                            entryPrice: orderResult.avgFillPrice,
+                            lastPrice: lastPrice,
+                            stopLoss: params.stopLoss,
+                            takeProfit: params.takeProfit,
+                            liquidationPrice: params.liquidationPrice,
+                            stopLossOrderId: orderResult.protectionOrderIds?.stopLoss ?? null,
+                            takeProfitOrderId: orderResult.protectionOrderIds?.takeProfit ?? null,
+                            sizing: params.sizing,
+                            confidence: signal.confidence,
+                            entryTime: new Date().toISOString(),
+                            timeframe: chosenTimeframe,
+                            pnl: null
+                        };
+                        tradeLog.history = [{ time: tradeLog.entryTime, event: 'entry', price: tradeLog.entryPrice, size: tradeLog.size, stopLoss: params.stopLoss, takeProfit: params.takeProfit }];
+                        inst.lastTradeDetails = tradeLog;
+                        // Set now so a stop-out before the next cycle is still settled as a close.
+                        inst.wasPositionOpen = true;
+                        await checkpoint(ctx);
+                        await logTrade(tradeLog);
+                        if (orderResult.protectedSize < orderResult.filledSize) {
+                            log.warn(`${tag} Entry is not fully protected (${orderResult.protectedSize}/${orderResult.filledSize}). Reconciling now.`);
+                            await reconcileInstrument(inst, ctx, { ohlc: market.ohlc });
+                        }
+                        log.info(`Order placed for ${inst.symbol}: ${signal.signal}.`);
+                    } catch (orderError) {
+                        log.error(`${tag} Failed to place order:`, orderError);
+                        return;
+                    }
+                } else {
+                    log.warn(`${tag} Risk manager returned no trade parameters. Skipping order placement.`);
+                }
+            } else {
+                log.info(`${tag} Signal confidence too low or signal is HOLD. No trade will be placed.`);
+            }
+        }
+    } catch (e) {
+        log.error(`${tag} An unhandled error occurred during the trading cycle:`, e);
+    } finally {
+        await checkpoint(ctx);
+        inst.lastCycleAt = Date.now();
+    }
+}
+
+/**
+ * Runs an instrument's cycles back to back, each after the interval the previous one chose.
+ */
+async function runCycles(inst, ctx) {
+    await cycle(inst, ctx);
+    setTimeout(() => runCycles(inst, ctx), inst.cycleMs);
+}
+
+/**
+ * Connects to the configured exchange: Kraken Futures at KRAKEN_FUTURES_URL, or the paper simulator.
+ * @returns {Promise<DataHandler|null>} Null when the API keys are missing.
+ */
+export async function createDataHandler(instruments) {
+    if (EXCHANGE === 'paper') {
+        const paper = new PaperExchange({
+            ...PAPER_CONFIG,
+            makerFee: FEES.maker,
+            takerFee: FEES.taker,
+            ohlcPairs: Object.fromEntries(instruments.map(i => [i.ohlcPair, i.symbol])),
+            fetchOhlc: fetchKrakenData
+        });
+        await paper.init();
+        log.info('Paper trading mode: orders are simulated locally.');
+        return new DataHandler(null, null, { api: paper });
+    }
+    const { KRAKEN_API_KEY, KRAKEN_SECRET_KEY } = process.env;
+    if (!KRAKEN_API_KEY || !KRAKEN_SECRET_KEY) {
+        log.error('Missing API keys. Please set KRAKEN_API_KEY and KRAKEN_SECRET_KEY in your .env file.');
+        return null;
+    }
+    return new DataHandler(KRAKEN_API_KEY, KRAKEN_SECRET_KEY, { baseUrl: KRAKEN_FUTURES_URL, spotOhlcUrl: SPOT_OHLC_URL });
+}
+
+/**
+ * Builds what every instrument's cycle shares: one API client, strategy, risk manager and
+ * execution handler.
+ * @param {Array<object>} instruments - From `parseInstruments`.
+ * @param {DataHandler} dataHandler
+ * @param {object} [overrides] - Replaces any of the built members, e.g. `{ strat }`.
+ * @returns {object}
+ */
+export function createContext(instruments, dataHandler, overrides = {}) {
+    const instrumentSpecs = new InstrumentSpecs(dataHandler.api);
+    const heartbeat = new Heartbeat(dataHandler.api, {
+        ...HEARTBEAT,
+        isHealthy: () => instruments.every(i => !i.lastCycleAt || Date.now() - i.lastCycleAt < i.cycleMs + CYCLE_GRACE_MS)
+    });
+    return {
+        heartbeat,
+        instrumentSpecs,
+        dataHandler,
+        instruments,
+        store: new StateStore(STATE_FILE),
+        strat: createStrategy(STRATEGY, { ...LLM_CONFIG, timeframe: STRATEGY_TIMEFRAME, riskPerTrade: RISK_PER_TRADE, sizingMode: SIZING_MODE }),
+        baseline: BASELINE_STRATEGY ? createStrategy(BASELINE_STRATEGY, { timeframe: STRATEGY_TIMEFRAME }) : null,
+        risk: new RiskManager({ leverage: 10, stopLossMultiplier: 2, takeProfitMultiplier: 3, marginBuffer: 0.4, riskPerTrade: RISK_PER_TRADE, sizing: { mode: SIZING_MODE }, stopBounds: STOP_BOUNDS, liquidation: LIQUIDATION, funding: { maxCostToRisk: FUNDING_MAX_COST_R }, limits: RISK_LIMITS }),
+        exec: new ExecutionHandler(dataHandler.api, { fillTimeoutMs: ENTRY_FILL_TIMEOUT_MS, pollIntervalMs: ENTRY_POLL_INTERVAL_MS, instruments: instrumentSpecs, heartbeat }),
+        positionManager: new PositionManager(dataHandler.api, { ...POSITION_MANAGEMENT, instruments: instrumentSpecs }),
+        reconstructor: new TradeReconstructor({ makerFee: FEES.maker, takerFee: FEES.taker }),
+        reconciler: new Reconciler(dataHandler.api, { instruments: instrumentSpecs }),
+        ...overrides
+    };
+}
+
+async function main() {
+    const instruments = parseInstruments(INSTRUMENTS);
+    const dataHandler = await createDataHandler(instruments);
+    if (!dataHandler) return;
+    const ctx = createContext(instruments, dataHandler);
+    const { store, heartbeat } = ctx;
+
+    const stored = await store.load();
+    await restoreState(instruments, stored, dataHandler);
+    ctx.risk.restoreAccountState(stored?.risk);
+    if (RISK_RESET) ctx.risk.resetKillSwitch('RISK_RESET');
+    // The cancel-after timer is account-wide, so in 'keep_protection' mode a crash during one
+    // instrument's entry also cancels every other instrument's protection. Put it back before trading.
+    const protectionRequired = heartbeat.mode === 'keep_protection';
+    if (protectionRequired && instruments.length > 1) {
+        log.warn(`[HEARTBEAT] 'keep_protection' with ${instruments.length} instruments: if the bot dies while any entry is pending, the exchange cancels the stop-loss and take-profit orders of all of them until the next startup.`);
+    }
+    for (const inst of instruments) {
+        const ohlc = await dataHandler.fetchOhlcData({ pair: inst.ohlcPair, interval: INTERVALS['1 hour'] });
+        try {
+            await reconcileInstrument(inst, ctx, { ohlc: ohlc || [], strict: protectionRequired });
+        } catch (error) {
+            log.error(`[${inst.symbol}] [RECONCILE] Startup reconciliation failed. Not starting in 'keep_protection' mode while a position may be unprotected.`, error);
+            return;
+        }
+    }
+    await checkpoint(ctx);
+
+    heartbeat.start();
+    startWebServer({
+        getHeartbeatStatus: () => heartbeat.getStatus(),
+        getRiskStatus: () => ctx.risk.getAccountState(),
+        resetRisk: async () => {
+            ctx.risk.resetKillSwitch('dashboard');
+            await checkpoint(ctx);
+        }
+    });
+
+    log.info(`Trading ${instruments.length} instrument(s): ${instruments.map(i => `${i.symbol} (OHLC ${i.ohlcPair})`).join(', ')}.`);
+    for (const inst of instruments) runCycles(inst, ctx);
+}
+
+// Only run as a script, so tests can drive single cycles.
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    log.info('Bot is starting up...');
+    main().catch(e => log.error('Failed to start the bot:', e));
+
+    process.on('SIGINT', () => {
+        log.warn('Shutting down gracefully...');
+        process.exit(0);
+    });
+}
@@ -30,18 +30,27 @@ async function fetchBinanceOHLC(symbol, interval, startTime, limit) {
 }
 
 // --- FIX: Added export statement ---
-export async function ensureDataFileExists(filePath) {
+/**
+ * Downloads Binance klines into `filePath` unless the file already exists.
+ * @param {string} filePath
+ * @param {object} [options]
+ * @param {string} [options.interval='3m'] - Binance kline interval, e.g. '1m' for intra-candle exit data.
+ * @param {string} [options.start] - First candle to fetch (UTC); defaults to 2025-07-01.
+ * @param {string} [options.end] - Fetch up to, not including, this time (UTC); defaults to now.
+ */
+export async function ensureDataFileExists(filePath, { interval = INTERVAL, start = START_DATE, end } = {}) {
     if (fs.existsSync(filePath)) {
         log.info(`[DATA] Data file already exists at ${filePath}. Skipping download.`);
         return;
     }
-    log.info(`[DATA] Data file not found. Starting download from Binance...`);
+    log.info(`[DATA] Data file not found. Starting download of ${interval} candles from Binance...`);
     let allCandles = [];
-    let startTime = new Date(START_DATE).getTime();
-    const endTime = Date.now();
+    let startTime = new Date(start).getTime();
+    const endTime = end ? Math.min(new Date(end).getTime(), Date.now()) : Date.now();
     while (startTime < endTime) {
         try {
-            const candles = await fetchBinanceOHLC(BINANCE_PAIR, INTERVAL, startTime, BATCH_SIZE);
+            const candles = (await fetchBinanceOHLC(BINANCE_PAIR, interval, startTime, BATCH_SIZE))
+                .filter(c => c.timestamp * 1000 < endTime);
             if (candles.length === 0) break;
             allCandles.push(...candles);
             startTime = candles[candles.length - 1].timestamp * 1000 + 1;
@@ -8,12 +8,24 @@ import { log } from './logger.js';
  * for the trading bot using the Kraken API client.
  */
 export class DataHandler {
-    constructor(apiKey, apiSecret) {
+    /**
+     * @param {string} apiKey - Kraken Futures API key.
+     * @param {string} apiSecret - Kraken Futures API secret.
+     * @param {object} [options]
+     * @param {object} [options.api] - A ready-made client (e.g. PaperExchange); the keys are then not required.
+     * @param {string} [options.baseUrl] - Kraken Futures REST root, e.g. a local mock server.
+     * @param {string} [options.spotOhlcUrl] - Spot OHLC endpoint.
+     */
+    constructor(apiKey, apiSecret, { api, baseUrl, spotOhlcUrl } = {}) {
+        if (api) {
+            this.api = api;
+            return;
+        }
         if (!apiKey || !apiSecret) {
             log.error("API key and secret are required to initialize the DataHandler.");
             throw new Error("API key and secret are required to initialize the DataHandler.");
         }
-        this.api = new KrakenFuturesApi(apiKey, apiSecret);
+        this.api = new KrakenFuturesApi(apiKey, apiSecret, baseUrl, spotOhlcUrl);
     }
 
     /**
@@ -26,13 +38,13 @@ export class DataHandler {
         try {
             const [
                 ohlcData,
-                accountBalance,
+                account,
                 openPositions,
                 openOrders,
                 recentFills
             ] = await Promise.all([
                 this.fetchOhlcData({ pair, interval }),
-                this.fetchAccountBalance(), // This will now return a number
+                this.fetchAccount(),
                 this.fetchOpenPositions(),
                 this.fetchOpenOrders(),
                 this.fetchRecentFills()
@@ -40,7 +52,8 @@ export class DataHandler {
 
             return {
                 ohlc: ohlcData,
-                balance: accountBalance, // This is now the tradable USD amount
+                balance: this._availableMargin(account), // This is now the tradable USD amount
+                equity: typeof account?.portfolioValue === 'number' ? account.portfolioValue : undefined,
                 positions: openPositions,
                 orders: openOrders,
                 fills: recentFills
@@ -52,28 +65,103 @@ export class DataHandler {
         }
     }
 
+    /**
+     * Fetches the multi-collateral (flex) account summary from Kraken Futures.
+     * @returns {Promise<object|null>} The `accounts.flex` object (availableMargin, portfolioValue, ...), or null on error.
+     */
+    async fetchAccount() {
+        try {
+            const data = await this.api.getAccounts();
+            return data?.accounts?.flex ?? null;
+        } catch (error) {
+            log.error("Failed to fetch or parse account balance.", error);
+            return null;
+        }
+    }
+
+    _availableMargin(account) {
+        // Safely navigate the object structure to find the available margin.
+        const availableMargin = account?.availableMargin;
+        if (typeof availableMargin === 'number') {
+            return availableMargin;
+        }
+        // This case handles if the structure is unexpected or the value is missing.
+        log.warn("Could not find 'availableMargin' in the expected path in the account data. Defaulting to 0.");
+        return 0;
+    }
+
     /**
      * Fetches account balance information from Kraken Futures and returns the available tradable USD margin.
      * @returns {Promise<number>} The available USD margin as a number. Returns 0 if not found.
      */
     async fetchAccountBalance() {
+        return this._availableMargin(await this.fetchAccount());
+    }
+
+    /**
+     * Fetches the current mark price of every listed instrument.
+     * @returns {Promise<object>} Futures symbol → mark price; empty if the tickers are unavailable.
+     */
+    async fetchMarkPrices() {
         try {
-            const data = await this.api.getAccounts();
-            
-            // Safely navigate the object structure to find the available margin.
-            // This is called optional chaining (`?.`) and prevents errors if a key doesn't exist.
-            const availableMargin = data?.accounts?.flex?.availableMargin;
-            if (typeof availableMargin === 'number') {
-                return availableMargin;
-            } else {
-                // This case handles if the structure is unexpected or the value is missing.
-                log.warn("Could not find 'availableMargin' in the expected path in the account data. Defaulting to 0.");
-                return 0;
-            }
+            const data = await this.api.getTickers();
+            return Object.fromEntries((data?.tickers || [])
+                .filter(t => t.symbol && +t.markPrice > 0)
+                .map(t => [t.symbol.toUpperCase(), +t.markPrice]));
         } catch (error) {
-            log.error("Failed to fetch or parse account balance.", error);
-            return 0; // Return a safe value in case of an API error
+            log.error("Failed to fetch tickers for mark prices.", error);
+            return {};
+        }
+    }
+
+    /**
+     * Fetches perpetual-specific context: mark/index prices, basis and funding.
+     * Funding rates are relative (fraction of notional) per hourly funding period; a positive rate
+     * means longs pay shorts.
+     * @param {string} symbol - Futures symbol, e.g. 'PF_XBTUSD'.
+     * @param {object} [options]
+     * @param {number} [options.historyHours=72] - How many past funding periods to keep.
+     * @returns {Promise<object|null>} `{ symbol, markPrice, indexPrice, lastPrice, basis, basisPercent,
+     * fundingRate, predictedFundingRate, avgFundingRate24h, fundingHistory: [{ time, rate }] }`, or null
+     * if the ticker is unavailable.
+     */
+    async fetchFundingContext(symbol, { historyHours = 72 } = {}) {
+        const [tickersRes, historyRes] = await Promise.allSettled([
+            this.api.getTickers(),
+            this.api.getHistoricalFundingRates({ symbol })
+        ]);
+        const ticker = tickersRes.status === 'fulfilled'
+            ? tickersRes.value?.tickers?.find(t => t.symbol?.toUpperCase() === symbol.toUpperCase())
+            : null;
+        if (!ticker) {
+            log.warn(`Could not fetch ticker for ${symbol}. Funding context unavailable.`, tickersRes.reason?.message);
+            return null;
+        }
+        if (historyRes.status === 'rejected') {
+            log.warn(`Could not fetch funding history for ${symbol}.`, historyRes.reason?.message);
         }
+
+        const markPrice = +ticker.markPrice;
+        const indexPrice = +ticker.indexPrice || markPrice;
+        // Ticker funding rates are absolute (USD per contract); express them relative to the index.
+        const relative = rate => (typeof rate === 'number' && indexPrice > 0 ? rate / indexPrice : null);
+        const fundingHistory = (historyRes.value?.rates || [])
+            .slice(-historyHours)
+            .map(r => ({ time: r.timestamp, rate: +r.relativeFundingRate }));
+        const last24 = fundingHistory.slice(-24);
+
+        return {
+            symbol,
+            markPrice,
+            indexPrice,
+            lastPrice: +ticker.last,
+            basis: markPrice - indexPrice,
+            basisPercent: indexPrice > 0 ? (markPrice - indexPrice) / indexPrice * 100 : null,
+            fundingRate: relative(ticker.fundingRate),
+            predictedFundingRate: relative(ticker.fundingRatePrediction),
+            avgFundingRate24h: last24.length ? last24.reduce((a, r) => a + r.rate, 0) / last24.length : null,
+            fundingHistory
+        };
     }
 
     async fetchOhlcData({ pair, interval }) {
@@ -95,50 +183,4 @@ export class DataHandler {
         const data = await this.api.getFills();
         return data;
     }
-    /* ---------- FIFO realised-PnL calculator ---------- */
-
-async realizedPnlStatsFromFills(fills) {
-  const queue = [];          // { side, size, price }
-  let realisedPnL = 0;
-  let winCount = 0;
-  let totalCloses = 0;
-
-  for (const f of fills) {
-    let { side, size, price } = f;
-    size = side === 'sell' ? -size : +size;   // signed quantity
-
-    while (size !== 0 && queue.length) {
-      const head = queue[0];
-      const headQty = head.side === 'buy' ? head.size : -head.size;
-      const matchQty = Math.min(Math.abs(size), Math.abs(headQty));
-
-      // Only when signs differ are we closing a position
-      const closeSide = size > 0 ? 'buy' : 'sell';
-      const openSide  = headQty > 0 ? 'buy' : 'sell';
-
-      if (closeSide !== openSide) {
-        const pnl = (price - head.price) * matchQty * head.price;
-
-        realisedPnL += pnl;
-        totalCloses++;
-        if (pnl > 0) winCount++;
-      }
-
-      // Adjust queue
-      if (Math.abs(headQty) === matchQty) {
-        queue.shift();
-      } else {
-        head.size -= matchQty * Math.sign(headQty);
-      }
-      size -= matchQty * Math.sign(size);
-    }
-
-    if (size !== 0) {
-      queue.push({ side: size > 0 ? 'buy' : 'sell', size: Math.abs(size), price });
-    }
-  }
-
-  return { realisedPnL, winCount, totalCloses };
-}
-    
 }
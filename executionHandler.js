@@ -1,32 +1,67 @@
 // executionHandler.js - with enhanced logging
 // The 'logger.js' import is still present.
 import { log } from './logger.js';
+import { FALLBACK_SPEC, roundPrice } from './instrumentSpecs.js';
+
+/**
+ * Lifecycle states of an entry order.
+ * PENDING → PARTIALLY_FILLED → FILLED, or → TIMED_OUT / CANCELLED (possibly after a partial fill).
+ */
+export const ORDER_STATES = Object.freeze({
+    PENDING: 'pending',
+    PARTIALLY_FILLED: 'partially_filled',
+    FILLED: 'filled',
+    TIMED_OUT: 'timed_out',
+    CANCELLED: 'cancelled',
+    REJECTED: 'rejected'
+});
+
+const SIZE_EPSILON = 1e-9;
+const PROTECTION_LEGS = ['stopLoss', 'takeProfit'];
+const PROTECTION_TAGS = { stopLoss: '2', takeProfit: '3' };
+const roundSize = n => parseFloat(n.toFixed(8));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
  * @class ExecutionHandler
- * @description Places a trade in two steps: first the entry order, then a minute later, the stop-loss and take-profit orders.
+ * @description Places a trade as a small state machine: send the entry order, poll open orders and
+ * fills until it fills, and keep stop-loss / take-profit orders sized to the filled quantity.
  */
 export class ExecutionHandler {
-    constructor(api) {
+    /**
+     * @param {object} api - KrakenFuturesApi (or a compatible client).
+     * @param {object} [config]
+     * @param {number} [config.fillTimeoutMs=300000] - How long to wait for the entry to fill before cancelling it.
+     * @param {number} [config.pollIntervalMs=5000] - Delay between fill checks.
+     * @param {object} [config.instruments] - InstrumentSpecs used to round prices to the traded symbol's tick size.
+     * @param {object} [config.heartbeat] - Heartbeat told when an entry is pending, so the dead-man's switch covers it.
+     */
+    constructor(api, config = {}) {
         if (!api) {
             // Use an error log for critical initialization issues
             log.error("ExecutionHandler requires an instance of the KrakenFuturesApi client. Exiting.", new Error("Missing KrakenFuturesApi instance"));
             throw new Error("ExecutionHandler requires an instance of the KrakenFuturesApi client.");
         }
         this.api = api;
+        this.fillTimeoutMs = config.fillTimeoutMs ?? 5 * 60 * 1000;
+        this.pollIntervalMs = config.pollIntervalMs ?? 5000;
+        this.instruments = config.instruments ?? null;
+        this.heartbeat = config.heartbeat ?? null;
     }
 
     /**
      * @method placeOrder
-     * @description Orchestrates the two-step order placement process.
+     * @description Sends the entry order, waits for it to fill and protects every filled unit.
      * @param {object} tradeDetails The trade parameters.
      * @param {string} tradeDetails.signal 'LONG' or 'SHORT'.
-     * @param {string} tradeDetails.pair The trading pair (e.g., 'PI_XBTUSD').
+     * @param {string} tradeDetails.pair The trading pair (e.g., 'PF_XBTUSD', 'PF_ETHUSD').
      * @param {object} tradeDetails.params The order parameters.
      * @param {number} tradeDetails.params.size The size of the order.
      * @param {number} tradeDetails.params.stopLoss The stop-loss price.
      * @param {number} tradeDetails.params.takeProfit The take-profit price.
      * @param {number} tradeDetails.lastPrice The last known price of the instrument.
+     * @returns {Promise<object>} The entry order response plus `state` (one of ORDER_STATES), `filledSize`,
+     * `avgFillPrice`, `protectedSize` and `protectionOrderIds` ({ stopLoss, takeProfit }).
      */
     async placeOrder({ signal, pair, params, lastPrice }) {
         const { size, stopLoss, takeProfit } = params;
@@ -41,19 +76,20 @@ export class ExecutionHandler {
 
         const entrySide = (signal === 'LONG') ? 'buy' : 'sell';
         const closeSide = (signal === 'LONG') ? 'sell' : 'buy';
+        const spec = this.instruments ? await this.instruments.get(pair) : FALLBACK_SPEC;
 
         // Use an aggressive limit price for the entry order to simulate a market order.
         const entrySlippagePercent = 0.001; // 0.1%
         const entryLimitPrice = (signal === 'LONG')
-            ? Math.round(lastPrice * (1 + entrySlippagePercent))
-            : Math.round(lastPrice * (1 - entrySlippagePercent));
+            ? roundPrice(lastPrice * (1 + entrySlippagePercent), spec, 'up')
+            : roundPrice(lastPrice * (1 - entrySlippagePercent), spec, 'down');
 
-        log.info(`Step 1: Preparing to place entry order for ${size} BTC on ${pair}`);
+        log.info(`Step 1: Preparing to place entry order for ${size} contracts on ${pair}`);
 
+        await this.heartbeat?.entryStarted();
         try {
             // ----------------------------------------------------
             // Step 1: Send the initial entry order.
-            // Using `sendOrder` for a single order, as requested.
             // ----------------------------------------------------
             const entryOrderPayload = {
                 orderType: 'lmt',
@@ -65,83 +101,276 @@ export class ExecutionHandler {
 
             log.info(`Sending entry order to API. Payload:`, entryOrderPayload);
             const entryResponse = await this.api.sendOrder(entryOrderPayload);
+            const orderId = entryResponse?.sendStatus?.order_id;
 
-            if (entryResponse.result === 'success') {
-                log.info(`✅ Entry order successfully placed. Waiting ${size*10} minutes to place protection orders...`);
-            } else {
+            if (entryResponse.result !== 'success' || !orderId) {
                 log.error("❌ Failed to place entry order. Aborting order placement.", { apiResponse: entryResponse });
-                return entryResponse; // Abort if the first order fails
+                return { ...entryResponse, state: ORDER_STATES.REJECTED, filledSize: 0, avgFillPrice: null, protectionOrderIds: null };
             }
+            log.info(`✅ Entry order ${orderId} accepted (${entryResponse.sendStatus.status}). Waiting up to ${this.fillTimeoutMs / 1000}s for fills...`);
 
             // ----------------------------------------------------
-            // Step 2: Wait for 1 minute before placing the next orders.
+            // Step 2: Track fills and keep protection in step with them.
             // ----------------------------------------------------
-            await new Promise(resolve => setTimeout(resolve, size*10*60000));
-            log.info(`${size*10}-minute delay complete. Proceeding with protection orders.`);
+            const order = {
+                id: orderId,
+                pair,
+                spec,
+                closeSide,
+                size,
+                stopLoss,
+                takeProfit,
+                state: ORDER_STATES.PENDING,
+                filledSize: 0,
+                avgFillPrice: null,
+                protectedSize: 0,
+                // Size each protection order covers, as accepted by the exchange.
+                protectedSizes: { stopLoss: 0, takeProfit: 0 },
+                protectionOrderIds: { stopLoss: null, takeProfit: null }
+            };
+            await this._trackEntry(order);
 
-            // ----------------------------------------------------
-            // Step 3: Prepare and send the stop-loss and take-profit orders.
-            // ----------------------------------------------------
-            const stopSlippagePercent = 0.01; // 1% slippage buffer
-            const stopLimitPrice = (closeSide === 'sell')
-                ? Math.round(stopLoss * (1 - stopSlippagePercent))
-                : Math.round(stopLoss * (1 + stopSlippagePercent));
-            
-            // Apply Math.round() to ensure stopPrice and takeProfit have no floating points
-            const roundedStopLoss = Math.round(stopLoss);
-            const roundedTakeProfit = Math.round(takeProfit);
-
-            const batchOrderPayload = {
-                batchOrder: [
-                    // The Stop-Loss Order (Stop-Limit)
-                    {
-                        order: 'send',
-                        order_tag: '2',
-                        orderType: 'stp',
-                        symbol: pair,
-                        side: closeSide,
-                        size: size,
-                        limitPrice: stopLimitPrice,
-                        stopPrice: roundedStopLoss, // stopLoss value rounded to the nearest integer
-                        reduceOnly: true
-                    },
-                    // The Take-Profit Order (Limit Order)
-                    {
-                        order: 'send',
-                        order_tag: '3',
-                        orderType: 'lmt',
-                        symbol: pair,
-                        side: closeSide,
-                        size: size,
-                        limitPrice: roundedTakeProfit, // takeProfit value rounded to the nearest integer
-                        reduceOnly: true
-                    }
-                ]
+            if (order.filledSize > order.protectedSize) {
+                log.error(`❌ Only ${order.protectedSize} of ${order.filledSize} filled units on ${pair} are protected.`);
+            }
+
+            return {
+                ...entryResponse,
+                state: order.state,
+                filledSize: order.filledSize,
+                avgFillPrice: order.avgFillPrice,
+                protectionOrderIds: order.protectionOrderIds,
+                protectedSize: order.protectedSize
             };
 
-            log.info(`Sending batch order for stop-loss and take-profit. Payload:`, batchOrderPayload);
+        } catch (error) {
+            log.error("❌ CRITICAL ERROR in ExecutionHandler during order placement.", error);
+            throw error;
+        } finally {
+            await this.heartbeat?.entryFinished();
+        }
+    }
+
+    _transition(order, state) {
+        if (order.state === state) return;
+        log.info(`Entry order ${order.id}: ${order.state} → ${state} (filled ${order.filledSize}/${order.size}).`);
+        order.state = state;
+    }
+
+    /**
+     * Polls until the entry is fully filled or closed by the exchange and every filled unit is
+     * protected, or the fill window expires.
+     */
+    async _trackEntry(order) {
+        const deadline = Date.now() + this.fillTimeoutMs;
+        let notOpenPolls = 0;
+        const settled = () => [ORDER_STATES.FILLED, ORDER_STATES.CANCELLED].includes(order.state);
 
-            const protectionResponse = await this.api.batchOrder({ json: JSON.stringify(batchOrderPayload) });
+        while (true) {
+            let status;
+            try {
+                status = await this._entryStatus(order.id);
+            } catch (error) {
+                log.error(`Failed to poll status of entry order ${order.id}. Retrying.`, error);
+            }
 
-            log.info(`Protection Orders API Response received:`, protectionResponse);
+            if (status) {
+                await this._applyFills(order, status);
 
-            if (protectionResponse.result === 'success') {
-                log.info("✅ Successfully placed protection orders!");
-            } else {
-                log.error("❌ Failed to place one or more protection orders.", { apiResponse: protectionResponse });
+                // Require two consecutive polls without the order so a lagging fills feed isn't read as a cancel.
+                notOpenPolls = status.isOpen ? 0 : notOpenPolls + 1;
+                if (order.filledSize >= order.size - SIZE_EPSILON) {
+                    this._transition(order, ORDER_STATES.FILLED);
+                } else if (notOpenPolls >= 2 && !settled()) {
+                    log.warn(`Entry order ${order.id} is no longer open but only ${order.filledSize}/${order.size} filled.`);
+                    this._transition(order, ORDER_STATES.CANCELLED);
+                }
+                // Once the entry is done, keep polling only to retry protection that failed.
+                if (settled() && order.protectedSize >= order.filledSize) return;
             }
-            
-            // Log the status of each individual order
-            if (protectionResponse.status) {
-              protectionResponse.status.forEach((orderStatus, index) => {
-                  log.info(`Status for order ${index + 1} (tag: ${orderStatus.order_tag}): ${orderStatus.status}`);
-              });
+
+            if (Date.now() >= deadline) {
+                if (!settled()) await this._expireEntry(order);
+                return;
             }
-            return entryResponse;
+            await sleep(this.pollIntervalMs);
+        }
+    }
 
+    /**
+     * Cancels an entry that did not fill in time, then picks up any fills that raced the cancel.
+     */
+    async _expireEntry(order) {
+        log.warn(`Entry order ${order.id} not filled within ${this.fillTimeoutMs / 1000}s (${order.filledSize}/${order.size}). Cancelling remainder.`);
+        try {
+            const cancelResponse = await this.api.cancelOrder({ order_id: order.id });
+            log.info(`Cancel response for entry order ${order.id}:`, cancelResponse);
         } catch (error) {
-            log.error("❌ CRITICAL ERROR in ExecutionHandler during order placement.", error);
-            throw error;
+            log.error(`Failed to cancel entry order ${order.id}.`, error);
+        }
+
+        try {
+            await this._applyFills(order, await this._entryStatus(order.id));
+        } catch (error) {
+            log.error(`Failed to re-check fills for entry order ${order.id} after cancelling.`, error);
+        }
+
+        if (order.filledSize >= order.size - SIZE_EPSILON) {
+            this._transition(order, ORDER_STATES.FILLED);
+        } else {
+            this._transition(order, ORDER_STATES.TIMED_OUT);
+            if (order.filledSize === 0) log.warn(`❌ Entry order ${order.id} expired without any fills.`);
+        }
+    }
+
+    /**
+     * Reads the entry order's fills and whether it is still resting on the book.
+     * @returns {Promise<{filledSize: number, avgFillPrice: number|null, isOpen: boolean}>}
+     */
+    async _entryStatus(orderId) {
+        const [fillsRes, openRes] = await Promise.all([this.api.getFills(), this.api.getOpenOrders()]);
+        const fills = (fillsRes?.fills || []).filter(f => f.order_id === orderId);
+        const filledSize = roundSize(fills.reduce((a, f) => a + +f.size, 0));
+        const avgFillPrice = filledSize > 0 ? fills.reduce((a, f) => a + f.price * f.size, 0) / filledSize : null;
+        const isOpen = (openRes?.openOrders || []).some(o => o.order_id === orderId);
+        return { filledSize, avgFillPrice, isOpen };
+    }
+
+    /**
+     * Records new fills and places or resizes protection orders to cover them. Each leg only
+     * counts as covering the sizes the exchange accepted; a leg that is missing or was not
+     * resized is retried on the next poll. `protectedSize` is the size both legs cover.
+     */
+    async _applyFills(order, { filledSize, avgFillPrice }) {
+        if (filledSize > order.filledSize) {
+            order.filledSize = filledSize;
+            order.avgFillPrice = avgFillPrice;
+            if (filledSize < order.size - SIZE_EPSILON) this._transition(order, ORDER_STATES.PARTIALLY_FILLED);
+        }
+        if (order.filledSize <= order.protectedSize) return;
+
+        const size = order.filledSize;
+        try {
+            const toResize = PROTECTION_LEGS.filter(leg => order.protectionOrderIds[leg] && order.protectedSizes[leg] < size - SIZE_EPSILON);
+            for (const leg of await this._resizeProtection(order, size, toResize)) {
+                order.protectedSizes[leg] = size;
+            }
+
+            const toPlace = PROTECTION_LEGS.filter(leg => !order.protectionOrderIds[leg]);
+            if (toPlace.length) {
+                const placed = await this._placeProtection(order, size, toPlace);
+                for (const leg of toPlace.filter(leg => placed[leg])) {
+                    order.protectionOrderIds[leg] = placed[leg];
+                    order.protectedSizes[leg] = size;
+                }
+            }
+        } catch (error) {
+            log.error(`❌ Failed to protect ${size} filled units of entry order ${order.id}.`, error);
+        }
+
+        order.protectedSize = Math.min(...PROTECTION_LEGS.map(leg => order.protectedSizes[leg]));
+        if (order.protectedSize < size) {
+            const missing = PROTECTION_LEGS.filter(leg => order.protectedSizes[leg] < size).join(', ');
+            log.warn(`Entry order ${order.id}: ${missing} not covering ${size} filled units yet. Will retry.`);
+        }
+    }
+
+    /**
+     * Sends the stop-loss and/or take-profit orders for `size` units.
+     * @param {object} order
+     * @param {number} size
+     * @param {Array<string>} [legs] - Which of 'stopLoss' and 'takeProfit' to send.
+     * @returns {Promise<{stopLoss: string|null, takeProfit: string|null}>} The IDs of the orders the exchange accepted.
+     */
+    async _placeProtection(order, size, legs = PROTECTION_LEGS) {
+        const { pair, spec, closeSide, stopLoss, takeProfit } = order;
+
+        const stopSlippagePercent = 0.01; // 1% slippage buffer
+        const stopLimitPrice = (closeSide === 'sell')
+            ? roundPrice(stopLoss * (1 - stopSlippagePercent), spec, 'down')
+            : roundPrice(stopLoss * (1 + stopSlippagePercent), spec, 'up');
+
+        // Prices must be multiples of the instrument's tick size.
+        const roundedStopLoss = roundPrice(stopLoss, spec);
+        const roundedTakeProfit = roundPrice(takeProfit, spec);
+
+        const orders = {
+            // The Stop-Loss Order (Stop-Limit)
+            stopLoss: {
+                order: 'send',
+                order_tag: PROTECTION_TAGS.stopLoss,
+                orderType: 'stp',
+                symbol: pair,
+                side: closeSide,
+                size: size,
+                limitPrice: stopLimitPrice,
+                stopPrice: roundedStopLoss,
+                reduceOnly: true
+            },
+            // The Take-Profit Order (Limit Order)
+            takeProfit: {
+                order: 'send',
+                order_tag: PROTECTION_TAGS.takeProfit,
+                orderType: 'lmt',
+                symbol: pair,
+                side: closeSide,
+                size: size,
+                limitPrice: roundedTakeProfit,
+                reduceOnly: true
+            }
+        };
+        const batchOrderPayload = { batchOrder: legs.map(leg => orders[leg]) };
+
+        log.info(`Sending batch order for stop-loss and take-profit. Payload:`, batchOrderPayload);
+
+        const protectionResponse = await this.api.batchOrder({ json: JSON.stringify(batchOrderPayload) });
+
+        log.info(`Protection Orders API Response received:`, protectionResponse);
+
+        if (protectionResponse.result === 'success') {
+            log.info("✅ Successfully placed protection orders!");
+        } else {
+            log.error("❌ Failed to place one or more protection orders.", { apiResponse: protectionResponse });
+        }
+
+        // Log the status of each individual order
+        const batchStatus = protectionResponse.batchStatus || protectionResponse.status || [];
+        batchStatus.forEach((orderStatus, index) => {
+            log.info(`Status for order ${index + 1} (tag: ${orderStatus.order_tag}): ${orderStatus.status}`);
+        });
+
+        // Keep the protection order IDs so fills can later be matched back to this trade.
+        // An order missing from the response or rejected has no ID and is sent again on the next poll.
+        const orderIdForTag = tag => batchStatus.find(o => o.order_tag === tag)?.order_id ?? null;
+        return {
+            stopLoss: legs.includes('stopLoss') ? orderIdForTag(PROTECTION_TAGS.stopLoss) : null,
+            takeProfit: legs.includes('takeProfit') ? orderIdForTag(PROTECTION_TAGS.takeProfit) : null
+        };
+    }
+
+    /**
+     * Grows existing protection orders to cover a larger filled size.
+     * @param {object} order
+     * @param {number} size
+     * @param {Array<string>} legs - Which of 'stopLoss' and 'takeProfit' to resize.
+     * @returns {Promise<Array<string>>} The legs the exchange resized.
+     */
+    async _resizeProtection(order, size, legs) {
+        const resized = [];
+        for (const leg of legs) {
+            const id = order.protectionOrderIds[leg];
+            try {
+                const res = await this.api.editOrder({ orderId: id, size });
+                if (res?.result === 'success' && res.editStatus?.status === 'edited') {
+                    log.info(`Resized ${leg} order ${id} to ${size}.`);
+                    resized.push(leg);
+                } else {
+                    log.error(`❌ Failed to resize ${leg} order ${id} to ${size}.`, { apiResponse: res });
+                }
+            } catch (error) {
+                log.error(`❌ Failed to resize ${leg} order ${id} to ${size}.`, error);
+            }
         }
+        return resized;
     }
 }
@@ -0,0 +1,157 @@
+// heartbeat.js – dead-man's switch built on the exchange's cancel-all-orders-after timer
+import { log } from './logger.js';
+
+export const HEARTBEAT_MODES = ['keep_protection', 'cancel_all', 'off'];
+
+/**
+ * @class Heartbeat
+ * @description Keeps re-arming `cancelAllOrdersAfter` while the bot is healthy, so the exchange
+ * cancels our orders if the process dies or stalls.
+ *
+ * The exchange timer cancels every open order, so the mode decides when it is armed:
+ *  - 'cancel_all'      → armed continuously while healthy; a dead bot leaves no orders at all,
+ *                        including stop-loss and take-profit.
+ *  - 'keep_protection' → armed only while an entry order is pending and disarmed once it has
+ *                        settled, so reduce-only protection on open positions survives a crash
+ *                        between entries. The timer is account-wide: if the bot dies while any
+ *                        instrument's entry is pending, the exchange cancels the stop-loss and
+ *                        take-profit orders of every instrument, not just that entry's. The bot
+ *                        therefore has to reconcile protection at startup in this mode.
+ *  - 'off'             → never armed.
+ */
+export class Heartbeat {
+    /**
+     * @param {object} api - KrakenFuturesApi (or a compatible client).
+     * @param {object} [config]
+     * @param {string} [config.mode='keep_protection'] - One of HEARTBEAT_MODES.
+     * @param {number} [config.timeoutSec=60] - Cancel-after timeout sent to the exchange.
+     * @param {number} [config.intervalMs] - How often to re-arm; defaults to a third of the timeout.
+     * @param {Function} [config.isHealthy] - Returns false to stop re-arming and let the timer fire.
+     */
+    constructor(api, config = {}) {
+        this.api = api;
+        this.mode = config.mode ?? 'keep_protection';
+        if (!HEARTBEAT_MODES.includes(this.mode)) {
+            throw new Error(`Unknown heartbeat mode "${this.mode}". Expected one of: ${HEARTBEAT_MODES.join(', ')}.`);
+        }
+        this.timeoutSec = config.timeoutSec ?? 60;
+        this.intervalMs = config.intervalMs ?? (this.timeoutSec * 1000) / 3;
+        this.isHealthy = config.isHealthy ?? (() => true);
+        this.pendingEntries = 0;
+        this.timer = null;
+        this.status = {
+            armed: false,
+            lastArmedAt: null,
+            triggerTime: null,
+            consecutiveFailures: 0,
+            lastError: null,
+            unhealthySince: null
+        };
+    }
+
+    _shouldArm() {
+        if (this.mode === 'cancel_all') return true;
+        if (this.mode === 'keep_protection') return this.pendingEntries > 0;
+        return false;
+    }
+
+    async _send(timeout) {
+        const res = await this.api.cancelAllOrdersAfter({ timeout });
+        if (res?.result !== 'success') throw new Error(`Unexpected response: ${JSON.stringify(res)}`);
+        return res;
+    }
+
+    /**
+     * Re-arms or disarms the exchange timer according to the mode and health check.
+     */
+    async tick() {
+        if (this.mode === 'off') return;
+
+        if (!this.isHealthy()) {
+            if (!this.status.unhealthySince) {
+                this.status.unhealthySince = new Date().toISOString();
+                log.warn(`[HEARTBEAT] Bot reported unhealthy. No longer re-arming; open orders will be cancelled when the timer fires (${this.status.triggerTime ?? 'not armed'}).`);
+                log.metric('heartbeat_unhealthy', 1, 'count', { mode: this.mode });
+            }
+            return;
+        }
+        if (this.status.unhealthySince) {
+            log.info('[HEARTBEAT] Bot healthy again. Resuming heartbeat.');
+            this.status.unhealthySince = null;
+        }
+
+        const arm = this._shouldArm();
+        if (!arm && !this.status.armed) return;
+
+        try {
+            const res = await this._send(arm ? this.timeoutSec : 0);
+            if (this.status.consecutiveFailures > 0) {
+                log.info(`[HEARTBEAT] Recovered after ${this.status.consecutiveFailures} failed attempt(s).`);
+            }
+            if (arm && !this.status.armed) {
+                log.info(`[HEARTBEAT] Dead-man's switch armed (${this.mode}, ${this.timeoutSec}s).`);
+            } else if (!arm) {
+                log.info(`[HEARTBEAT] Dead-man's switch disarmed (${this.mode}); no entries pending.`);
+            }
+            this.status.armed = arm;
+            this.status.lastArmedAt = arm ? new Date().toISOString() : this.status.lastArmedAt;
+            this.status.triggerTime = arm ? (res.status?.triggerTime ?? new Date(Date.now() + this.timeoutSec * 1000).toISOString()) : null;
+            this.status.consecutiveFailures = 0;
+            this.status.lastError = null;
+        } catch (error) {
+            this.status.consecutiveFailures++;
+            this.status.lastError = error.message;
+            log.error(`[HEARTBEAT] Failed to ${arm ? 're-arm' : 'disarm'} cancel-after timer (attempt ${this.status.consecutiveFailures}).`, error);
+            log.metric('heartbeat_failure', 1, 'count', { mode: this.mode });
+        }
+    }
+
+    /**
+     * Starts the periodic heartbeat.
+     */
+    start() {
+        if (this.mode === 'off') {
+            log.warn("[HEARTBEAT] Dead-man's switch is off. Orders stay live if the bot dies.");
+            return this;
+        }
+        log.info(`[HEARTBEAT] Starting dead-man's switch (${this.mode}, timeout ${this.timeoutSec}s, every ${Math.round(this.intervalMs / 1000)}s).`);
+        this.timer = setInterval(() => this.tick(), this.intervalMs);
+        this.tick();
+        return this;
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Called by ExecutionHandler before an entry order is sent. Arms the timer immediately in
+     * 'keep_protection' mode so the entry is covered from the moment it exists.
+     */
+    async entryStarted() {
+        this.pendingEntries++;
+        if (this.mode === 'keep_protection') await this.tick();
+    }
+
+    /**
+     * Called by ExecutionHandler once an entry has filled, expired or been rejected.
+     */
+    async entryFinished() {
+        this.pendingEntries = Math.max(0, this.pendingEntries - 1);
+        if (this.mode === 'keep_protection') await this.tick();
+    }
+
+    /**
+     * @returns {object} Status for the dashboard.
+     */
+    getStatus() {
+        return {
+            mode: this.mode,
+            timeoutSec: this.timeoutSec,
+            running: !!this.timer,
+            pendingEntries: this.pendingEntries,
+            ...this.status
+        };
+    }
+}
@@ -1,6 +1,25 @@
 import { EMA, RSI, MACD, ATR } from 'technicalindicators';
 import { log } from './logger.js';
 
+/**
+ * Single-indicator helpers. Each returns the full series, aligned so that the
+ * last element corresponds to the last candle.
+ */
+export const emaSeries = (ohlcData, period) => EMA.calculate({ period, values: ohlcData.map(c => c.close) });
+
+export const rsiSeries = (ohlcData, period = 14) => RSI.calculate({ period, values: ohlcData.map(c => c.close) });
+
+export const macdHistogramSeries = (ohlcData) => MACD.calculate({
+    values: ohlcData.map(c => c.close), fastPeriod: 12, slowPeriod: 26, signalPeriod: 9, SimpleMAOscillator: false, SimpleMASignal: false
+}).map(m => m.histogram);
+
+export const atrSeries = (ohlcData, period = 20) => ATR.calculate({
+    high: ohlcData.map(c => c.high),
+    low: ohlcData.map(c => c.low),
+    close: ohlcData.map(c => c.close),
+    period
+});
+
 /**
  * Calculates full series for all necessary technical indicators.
  * @param {Array<object>} ohlcData - Array of OHLC candles.
@@ -12,16 +31,12 @@ export function calculateIndicatorSeries(ohlcData) {
         return null;
     }
 
-    const close = ohlcData.map(c => c.close);
-    const high = ohlcData.map(c => c.high);
-    const low = ohlcData.map(c => c.low);
-
     const indicatorSeries = {
-        ema_50_series: EMA.calculate({ period: 50, values: close }),
-        ema_200_series: EMA.calculate({ period: 200, values: close }),
-        rsi_14_series: RSI.calculate({ period: 14, values: close }),
-        macd_histogram_series: MACD.calculate({ values: close, fastPeriod: 12, slowPeriod: 26, signalPeriod: 9, SimpleMAOscillator: false, SimpleMASignal: false }).map(m => m.histogram),
-        atr_20_series: ATR.calculate({ high, low, close, period: 20 })
+        ema_50_series: emaSeries(ohlcData, 50),
+        ema_200_series: emaSeries(ohlcData, 200),
+        rsi_14_series: rsiSeries(ohlcData, 14),
+        macd_histogram_series: macdHistogramSeries(ohlcData),
+        atr_20_series: atrSeries(ohlcData, 20)
     };
 
     log.info(`[INDICATORS] Calculated full indicator series.`);
@@ -0,0 +1,114 @@
+// instrumentSpecs.js – contract specs from the exchange, for rounding prices and sizes
+import { log } from './logger.js';
+
+const DEFAULT_TTL_MS = 6 * 60 * 60 * 1000;
+const RETRY_MS = 60 * 1000;
+
+// Used when the exchange has no spec for a symbol: whole-dollar prices, 4-decimal sizes.
+export const FALLBACK_SPEC = Object.freeze({
+    symbol: null,
+    tickSize: 1,
+    contractSize: 1,
+    sizeStep: 0.0001,
+    minSize: 0.0001,
+    maxLeverage: null,
+    maintenanceMargin: null
+});
+
+const decimals = step => step.toFixed(12).replace(/0+$/, '').split('.')[1]?.length ?? 0;
+
+/**
+ * Rounds a price to the instrument's tick size.
+ * @param {number} price
+ * @param {object} spec
+ * @param {'nearest'|'up'|'down'} [mode='nearest']
+ * @returns {number}
+ */
+export function roundPrice(price, spec = FALLBACK_SPEC, mode = 'nearest') {
+    const ratio = price / spec.tickSize;
+    const ticks = mode === 'up' ? Math.ceil(ratio - 1e-9) : mode === 'down' ? Math.floor(ratio + 1e-9) : Math.round(ratio);
+    return parseFloat((ticks * spec.tickSize).toFixed(decimals(spec.tickSize)));
+}
+
+/**
+ * Rounds a size down to the instrument's size increment.
+ * @param {number} size
+ * @param {object} spec
+ * @returns {number}
+ */
+export function roundSize(size, spec = FALLBACK_SPEC) {
+    const steps = Math.floor(size / spec.sizeStep + 1e-9);
+    return parseFloat((steps * spec.sizeStep).toFixed(decimals(spec.sizeStep)));
+}
+
+/**
+ * Converts an entry of the Kraken Futures `instruments` response into a spec.
+ * @returns {object}
+ */
+export function specFromInstrument(instrument) {
+    const precision = instrument.contractValueTradePrecision;
+    const sizeStep = typeof precision === 'number' ? Number(`1e${-precision}`) : FALLBACK_SPEC.sizeStep;
+    const level = instrument.marginLevels?.[0] ?? instrument.retailMarginLevels?.[0];
+    const initialMargin = level?.initialMargin;
+    return {
+        symbol: instrument.symbol,
+        tickSize: +instrument.tickSize || FALLBACK_SPEC.tickSize,
+        contractSize: +instrument.contractSize || 1,
+        sizeStep,
+        minSize: +instrument.minimumOrderSize || sizeStep,
+        maxLeverage: initialMargin > 0 ? 1 / initialMargin : null,
+        maintenanceMargin: level?.maintenanceMargin > 0 ? level.maintenanceMargin : null
+    };
+}
+
+/**
+ * @class InstrumentSpecs
+ * @description Fetches contract specs (tick size, contract size, minimum order size, maximum
+ * leverage, maintenance margin rate) through `getInstruments` and caches them. Lookups for symbols the exchange does
+ * not list fall back to FALLBACK_SPEC.
+ */
+export class InstrumentSpecs {
+    /**
+     * @param {object} api - KrakenFuturesApi (or a compatible client).
+     * @param {object} [config]
+     * @param {number} [config.ttlMs=21600000] - How long fetched specs are reused.
+     */
+    constructor(api, config = {}) {
+        this.api = api;
+        this.ttlMs = config.ttlMs ?? DEFAULT_TTL_MS;
+        this.specs = new Map();
+        this.fetchedAt = 0;
+        this.pending = null;
+    }
+
+    async _refresh() {
+        try {
+            const res = await this.api.getInstruments();
+            const instruments = res?.instruments || [];
+            if (!instruments.length) throw new Error('No instruments in response.');
+            this.specs = new Map(instruments.filter(i => i.symbol).map(i => [i.symbol.toUpperCase(), specFromInstrument(i)]));
+            this.fetchedAt = Date.now();
+            log.info(`[SPECS] Loaded contract specs for ${this.specs.size} instruments.`);
+        } catch (error) {
+            log.error('[SPECS] Failed to fetch instrument specs. Using cached or fallback values.', error);
+            this.fetchedAt = Date.now() - this.ttlMs + RETRY_MS;
+        }
+    }
+
+    /**
+     * @param {string} symbol - e.g. 'PF_XBTUSD'.
+     * @returns {Promise<object>} `{ symbol, tickSize, contractSize, sizeStep, minSize, maxLeverage, maintenanceMargin }`
+     */
+    async get(symbol) {
+        if (Date.now() - this.fetchedAt > this.ttlMs) {
+            this.pending ??= this._refresh().finally(() => { this.pending = null; });
+            await this.pending;
+        }
+        const spec = this.specs.get(symbol?.toUpperCase());
+        if (!spec) {
+            log.warn(`[SPECS] No contract spec for ${symbol}. Using fallback rounding.`);
+            return { ...FALLBACK_SPEC, symbol };
+        }
+        return spec;
+    }
+}
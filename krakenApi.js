@@ -7,11 +7,18 @@ const SPOT_OHLC_URL = 'https://api.kraken.com/0/public/OHLC';
 const BASE_URL      = 'https://demo-futures.kraken.com';
 
 export class KrakenFuturesApi {
-  constructor(apiKey, apiSecret, baseUrl = BASE_URL) {
+  /**
+   * @param {string} apiKey
+   * @param {string} apiSecret - Base64 secret.
+   * @param {string} [baseUrl] - Futures REST root; the demo environment by default.
+   * @param {string} [spotOhlcUrl] - Spot OHLC endpoint used by `fetchKrakenData`.
+   */
+  constructor(apiKey, apiSecret, baseUrl = BASE_URL, spotOhlcUrl = SPOT_OHLC_URL) {
     if (!apiKey || !apiSecret) throw new Error('API key & secret required');
     this.apiKey = apiKey;
     this.apiSecret = apiSecret;
     this.baseUrl = baseUrl;
+    this.spotOhlcUrl = spotOhlcUrl;
     this.nonceCtr = 0;
   }
 
@@ -55,6 +62,10 @@ export class KrakenFuturesApi {
         const errorMessage = data.errors.map(err => `Code: ${err.code}, Message: ${err.msg}`).join(', ');
         throw new Error(`Kraken API returned an error: ${errorMessage}`);
       }
+      // v3 endpoints report failures as a single `error` string (e.g. authenticationError, nonceBelowThreshold)
+      if (data && data.result === 'error' && typeof data.error === 'string') {
+        throw new Error(`Kraken API returned an error: ${data.error}`);
+      }
 
       return data;
     } catch (e) {
@@ -68,6 +79,7 @@ export class KrakenFuturesApi {
   getTickers          = () => this._request('GET', '/derivatives/api/v3/tickers');
   getOrderbook        = p => this._request('GET', '/derivatives/api/v3/orderbook', p);
   getHistory          = p => this._request('GET', '/derivatives/api/v3/history', p);
+  getHistoricalFundingRates = p => this._request('GET', '/derivatives/api/v4/historicalfundingrates', p);
 
   /* ---------- private endpoints ---------- */
   getAccounts         = () => this._request('GET', '/derivatives/api/v3/accounts');
@@ -86,22 +98,27 @@ export class KrakenFuturesApi {
   batchOrder          = p => this._request('POST', '/derivatives/api/v3/batchorder', p);
 
   /* ---------- spot OHLC (unauthenticated) ---------- */
-  async fetchKrakenData({ pair = 'XBTUSD', interval = 60, since } = {}) {
-    const params = { pair, interval };
-    if (since) params.since = since;
+  fetchKrakenData(params) {
+    return fetchSpotOhlc(params, this.spotOhlcUrl);
+  }
+}
 
-    try {
-      const { data } = await axios.get(SPOT_OHLC_URL, { params });
-      if (data.error?.length) throw new Error(data.error.join(', '));
-
-      const key = Object.keys(data.result).find(k => k !== 'last');
-      return (data.result[key] || []).map(o => ({
-        date:  new Date(o[0] * 1000).toISOString(),
-        open:  +o[1], high: +o[2], low: +o[3], close: +o[4], volume: +o[6]
-      }));
-    } catch (e) {
-      return null;
-    }
+/* ---------- spot OHLC, usable without a client instance ---------- */
+export async function fetchSpotOhlc({ pair = 'XBTUSD', interval = 60, since } = {}, url = SPOT_OHLC_URL) {
+  const params = { pair, interval };
+  if (since) params.since = since;
+
+  try {
+    const { data } = await axios.get(url, { params });
+    if (data.error?.length) throw new Error(data.error.join(', '));
+
+    const key = Object.keys(data.result).find(k => k !== 'last');
+    return (data.result[key] || []).map(o => ({
+      date:  new Date(o[0] * 1000).toISOString(),
+      open:  +o[1], high: +o[2], low: +o[3], close: +o[4], volume: +o[6]
+    }));
+  } catch (e) {
+    return null;
   }
 }
 
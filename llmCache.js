@@ -0,0 +1,93 @@
+// llmCache.js – content-addressed record/replay cache for LLM responses
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { log } from './logger.js';
+
+export const LLM_CACHE_MODES = ['record', 'replay', 'passthrough'];
+
+const DEFAULT_CACHE_DIR = path.join(process.cwd(), 'llm-cache');
+
+/**
+ * Raised in 'replay' mode when a prompt has no recorded response.
+ */
+export class LlmCacheMissError extends Error {
+    constructor(key, model) {
+        super(`No recorded response for model "${model}" (key ${key}) and the LLM cache is in replay mode.`);
+        this.name = 'LlmCacheMissError';
+        this.key = key;
+    }
+}
+
+/**
+ * @class CachingProvider
+ * @description Wraps an LLM provider and stores its raw responses on disk, keyed by a SHA-256
+ * of the model and prompt.
+ *  - 'record'      → serve recorded responses, call the provider on a miss and record the answer.
+ *  - 'replay'      → serve recorded responses only; a miss throws LlmCacheMissError, so runs are
+ *                    deterministic and need no network or API key.
+ *  - 'passthrough' → always call the provider; the cache is neither read nor written.
+ */
+export class CachingProvider {
+    /**
+     * @param {Function} createInner - Returns the real provider. Only called when a request has to
+     *   reach it, so replay mode works without credentials.
+     * @param {object} config
+     * @param {string} config.provider - Provider name, e.g. 'gemini'.
+     * @param {string} config.model - Model name; part of the cache key.
+     * @param {string} [config.mode='record'] - One of LLM_CACHE_MODES.
+     * @param {string} [config.dir='llm-cache'] - Directory holding the recorded responses.
+     */
+    constructor(createInner, { provider, model, mode = 'record', dir = DEFAULT_CACHE_DIR }) {
+        if (!LLM_CACHE_MODES.includes(mode)) {
+            throw new Error(`Unknown LLM cache mode "${mode}". Expected one of: ${LLM_CACHE_MODES.join(', ')}.`);
+        }
+        this.createInner = createInner;
+        this.inner = null;
+        this.provider = provider;
+        this.model = model;
+        this.mode = mode;
+        this.dir = dir;
+        this.name = `${provider} (cache: ${mode})`;
+        this.stats = { hits: 0, misses: 0 };
+        if (mode === 'passthrough') this._innerProvider();
+    }
+
+    _innerProvider() {
+        this.inner ??= this.createInner();
+        return this.inner;
+    }
+
+    _key(prompt) {
+        return crypto.createHash('sha256').update(JSON.stringify([this.provider, this.model, prompt])).digest('hex');
+    }
+
+    _file(key) {
+        return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+    }
+
+    async generate(prompt) {
+        if (this.mode === 'passthrough') return this._innerProvider().generate(prompt);
+
+        const key = this._key(prompt);
+        const file = this._file(key);
+        try {
+            const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            this.stats.hits++;
+            return entry.response;
+        } catch (error) {
+            if (error.code !== 'ENOENT') log.warn(`[LLM CACHE] Ignoring unreadable cache entry ${file}.`, error);
+        }
+
+        this.stats.misses++;
+        if (this.mode === 'replay') throw new LlmCacheMissError(key, this.model);
+
+        const response = await this._innerProvider().generate(prompt);
+        if (response?.length) {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            const entry = { key, provider: this.provider, model: this.model, recordedAt: new Date().toISOString(), response };
+            await fs.promises.writeFile(file, JSON.stringify(entry, null, 2));
+        }
+        return response;
+    }
+}
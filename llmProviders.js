@@ -0,0 +1,145 @@
+// llmProviders.js
+import fs from 'fs';
+import axios from 'axios';
+import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from '@google/generative-ai';
+import { log } from './logger.js';
+import { CachingProvider } from './llmCache.js';
+
+const DEFAULT_MODELS = {
+    gemini: 'gemini-2.5-flash-lite',
+    openai: 'gpt-4o-mini',
+    scripted: 'scripted'
+};
+
+/**
+ * @class GeminiProvider
+ * @description Google Gemini adapter. Requires GEMINI_API_KEY (or an explicit apiKey).
+ */
+export class GeminiProvider {
+    constructor({ model = DEFAULT_MODELS.gemini, apiKey = process.env.GEMINI_API_KEY } = {}) {
+        if (!apiKey) {
+            log.error('GEMINI_API_KEY environment variable is not set.');
+            throw new Error('API key missing');
+        }
+        const genAI = new GoogleGenerativeAI(apiKey);
+        const safety = [{ category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE }];
+        this.name = 'Gemini';
+        this.model = model;
+        this.client = genAI.getGenerativeModel({ model, safetySettings: safety });
+    }
+
+    async generate(prompt) {
+        const res = await this.client.generateContent(prompt);
+        return res.response.text?.();
+    }
+}
+
+/**
+ * @class OpenAICompatibleProvider
+ * @description Talks to any server exposing the OpenAI `/chat/completions` endpoint
+ * (OpenAI itself, a local llama.cpp / vLLM / Ollama server, etc.).
+ */
+export class OpenAICompatibleProvider {
+    constructor({ model = DEFAULT_MODELS.openai, baseUrl = process.env.LLM_BASE_URL || 'https://api.openai.com/v1', apiKey = process.env.LLM_API_KEY, temperature, timeoutMs = 120_000 } = {}) {
+        this.name = 'OpenAI-compatible';
+        this.model = model;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.temperature = temperature;
+        this.timeoutMs = timeoutMs;
+    }
+
+    async generate(prompt) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+        const body = { model: this.model, messages: [{ role: 'user', content: prompt }] };
+        if (this.temperature !== undefined) body.temperature = this.temperature;
+
+        const { data } = await axios.post(`${this.baseUrl}/chat/completions`, body, { headers, timeout: this.timeoutMs });
+        return data?.choices?.[0]?.message?.content;
+    }
+}
+
+/**
+ * @class ScriptedProvider
+ * @description Offline provider that replays a fixed list of responses in order.
+ * Entries may be strings or functions `(prompt) => string`. Every prompt is kept in `calls`.
+ */
+export class ScriptedProvider {
+    constructor({ responses = [], loop = false } = {}) {
+        this.name = 'Scripted';
+        this.model = DEFAULT_MODELS.scripted;
+        this.responses = responses;
+        this.loop = loop;
+        this.calls = [];
+    }
+
+    async generate(prompt) {
+        this.calls.push(prompt);
+        if (!this.responses.length) throw new Error('Scripted provider has no responses');
+
+        let idx = this.calls.length - 1;
+        if (idx >= this.responses.length) {
+            if (!this.loop) throw new Error('Scripted provider exhausted');
+            idx %= this.responses.length;
+        }
+        const next = this.responses[idx];
+        return typeof next === 'function' ? next(prompt) : next;
+    }
+}
+
+/**
+ * Builds an LLM provider from configuration. Unset fields fall back to the
+ * LLM_PROVIDER, LLM_MODEL, LLM_BASE_URL, LLM_API_KEY and LLM_SCRIPT_FILE env vars.
+ * @param {object} [config]
+ * @param {string} [config.provider] - 'gemini' | 'openai' | 'scripted'.
+ * @param {string} [config.model] - Model name passed to the provider.
+ * @param {string} [config.baseUrl] - Base URL for the OpenAI-compatible provider.
+ * @param {string} [config.apiKey] - API key for the selected provider.
+ * @param {Array} [config.responses] - Canned responses for the scripted provider.
+ * @param {string} [config.scriptFile] - JSON file with an array of canned responses.
+ * @param {object} [config.cache] - `{ mode, dir }` to wrap the provider in a CachingProvider;
+ *   falls back to the LLM_CACHE_MODE and LLM_CACHE_DIR env vars. No caching when neither is set.
+ * @returns {GeminiProvider|OpenAICompatibleProvider|ScriptedProvider|CachingProvider}
+ */
+export function createLlmProvider(config = {}) {
+    const provider = (config.provider || process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+    const model = config.model || process.env.LLM_MODEL || DEFAULT_MODELS[provider];
+    const cacheMode = config.cache?.mode || process.env.LLM_CACHE_MODE;
+
+    if (cacheMode) {
+        if (!DEFAULT_MODELS[provider]) {
+            log.error(`Unknown LLM provider "${provider}".`);
+            throw new Error(`Unknown LLM provider: ${provider}`);
+        }
+        const dir = config.cache?.dir || process.env.LLM_CACHE_DIR || undefined;
+        return new CachingProvider(() => buildProvider(provider, model, config), { provider, model, mode: cacheMode, dir });
+    }
+    return buildProvider(provider, model, config);
+}
+
+function buildProvider(provider, model, config) {
+    switch (provider) {
+        case 'gemini':
+            return new GeminiProvider({ model, apiKey: config.apiKey || process.env.GEMINI_API_KEY });
+        case 'openai':
+            return new OpenAICompatibleProvider({
+                model,
+                baseUrl: config.baseUrl || process.env.LLM_BASE_URL,
+                apiKey: config.apiKey || process.env.LLM_API_KEY,
+                temperature: config.temperature
+            });
+        case 'scripted': {
+            let responses = config.responses;
+            const scriptFile = config.scriptFile || process.env.LLM_SCRIPT_FILE;
+            if (!responses && scriptFile) {
+                responses = JSON.parse(fs.readFileSync(scriptFile, 'utf8'));
+            }
+            return new ScriptedProvider({ responses, loop: config.loop ?? true });
+        }
+        default:
+            log.error(`Unknown LLM provider "${provider}".`);
+            throw new Error(`Unknown LLM provider: ${provider}`);
+    }
+}
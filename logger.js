@@ -9,6 +9,10 @@ if (!fs.existsSync(logDir)) fs.mkdirSync(logDir, { recursive: true });
 const humanLog = path.join(logDir, 'trading-bot.log');
 const jsonLog = path.join(logDir, 'metrics.ndjson');
 
+// LOG_LEVEL=warn or error drops the lower levels (e.g. for sweep workers); METRIC counts as INFO.
+const LEVEL_RANK = { INFO: 0, METRIC: 0, WARN: 1, ERROR: 2 };
+const minRank = LEVEL_RANK[(process.env.LOG_LEVEL || 'info').toUpperCase()] ?? 0;
+
 /**
  * The core logging method that handles all log levels.
  * It uses a rest parameter `...args` to capture all arguments after `level`.
@@ -18,6 +22,7 @@ const jsonLog = path.join(logDir, 'metrics.ndjson');
  */
 class Logger {
   _write(level, ...args) {
+    if (LEVEL_RANK[level] < minRank) return;
     const ts = new Date().toISOString();
 
     // The first argument is the main message.
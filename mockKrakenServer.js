@@ -0,0 +1,166 @@
+// mockKrakenServer.js – local stand-in for the Kraken Futures REST API, for offline integration tests
+import crypto from 'crypto';
+import express from 'express';
+import qs from 'querystring';
+import { PaperExchange } from './paperExchange.js';
+
+const API_PREFIX = '/derivatives/api/v3';
+
+/**
+ * Recomputes the `Authent` header exactly as `KrakenFuturesApi._sign` builds it.
+ */
+export function computeAuthent(apiSecret, endpoint, nonce, postData) {
+    const path = endpoint.replace('/derivatives', '');
+    const hash = crypto.createHash('sha256').update(postData + nonce + path).digest();
+    return crypto.createHmac('sha512', Buffer.from(apiSecret, 'base64')).update(hash).digest('base64');
+}
+
+const krakenError = (error) => ({ result: 'error', serverTime: new Date().toISOString(), error });
+
+/**
+ * Starts a mock Kraken Futures server backed by a PaperExchange. It also serves the spot
+ * `/0/public/OHLC` endpoint from candles set with `setOhlc`, so the bot can run fully offline.
+ *
+ * Injected failures are consumed in order by matching requests:
+ *  - 'rateLimit'   → HTTP 429 `apiLimitExceeded`
+ *  - 'serverError' → HTTP 503 with a non-JSON body
+ *  - 'staleNonce'  → `nonceBelowThreshold`
+ *  - 'authError'   → `authenticationError`
+ *  - 'partial'     → a marketable sendorder fills only half on arrival; batchorder rejects its last instruction
+ *
+ * @param {object} [options]
+ * @param {number} [options.port=0] - 0 picks a free port.
+ * @param {string} [options.apiKey='test-key']
+ * @param {string} [options.apiSecret] - Base64 secret; a random one is generated if omitted.
+ * @param {number} [options.nonceWindowMs=1000] - How far (ms) behind the newest nonce a request may arrive.
+ * @param {object} [options.prices] - Initial last prices, e.g. { PF_XBTUSD: 60000 }.
+ * @param {object} [options.exchange] - PaperExchange config (stateFile defaults to in-memory).
+ * @returns {Promise<object>} `{ baseUrl, spotOhlcUrl, apiKey, apiSecret, exchange, requests, setPrice, setOhlc, injectFailure, clearFailures, close }`
+ */
+export async function startMockKrakenServer(options = {}) {
+    const apiKey = options.apiKey ?? 'test-key';
+    const apiSecret = options.apiSecret ?? crypto.randomBytes(64).toString('base64');
+    const exchange = await new PaperExchange({ stateFile: null, ...options.exchange }).init();
+    const requests = [];
+    const failures = [];
+    const seenNonces = new Set();
+    const spotOhlc = {};
+    const nonceWindowMs = options.nonceWindowMs ?? 1000;
+    let newestNonceMs = 0;
+
+    const setPrice = (symbol, price) => {
+        Object.assign(exchange._market(symbol), { lastPrice: price, lastPriceAt: Date.now() });
+    };
+    for (const [symbol, price] of Object.entries(options.prices ?? { PF_XBTUSD: 60000 })) setPrice(symbol, price);
+
+    const takeFailure = (endpoint) => {
+        const idx = failures.findIndex(f => !f.endpoint || f.endpoint === endpoint);
+        if (idx === -1) return null;
+        const failure = failures[idx];
+        if (--failure.times <= 0) failures.splice(idx, 1);
+        return failure.type;
+    };
+
+    const app = express();
+    app.use(express.text({ type: '*/*' }));
+
+    // Record, inject failures, and authenticate private endpoints.
+    app.use(API_PREFIX, (req, res, next) => {
+        const endpoint = API_PREFIX + req.path;
+        const name = req.path.replace(/^\//, '');
+        const postData = req.method === 'POST' ? (typeof req.body === 'string' ? req.body : '') : '';
+        requests.push({ method: req.method, endpoint, query: req.query, body: postData, headers: req.headers });
+
+        const injected = takeFailure(name);
+        if (injected === 'rateLimit') return res.status(429).json(krakenError('apiLimitExceeded'));
+        if (injected === 'serverError') return res.status(503).type('text/html').send('<html><body>503 Service Unavailable</body></html>');
+        if (injected === 'staleNonce') return res.json(krakenError('nonceBelowThreshold'));
+        if (injected === 'authError') return res.json(krakenError('authenticationError'));
+        req.partial = injected === 'partial';
+
+        if (['instruments', 'tickers'].includes(name)) return next();
+
+        const { apikey, nonce, authent } = req.headers;
+        if (apikey !== apiKey || !nonce || !authent) return res.json(krakenError('authenticationError'));
+        if (authent !== computeAuthent(apiSecret, endpoint, nonce, postData)) return res.json(krakenError('authenticationError'));
+        // A nonce is stale if it was used before or is too far behind the newest one seen.
+        // The window tolerates concurrent requests arriving slightly out of order.
+        const nonceMs = Number(nonce.slice(0, 13));
+        if (seenNonces.has(nonce) || nonceMs < newestNonceMs - nonceWindowMs) {
+            return res.json(krakenError('nonceBelowThreshold'));
+        }
+        seenNonces.add(nonce);
+        newestNonceMs = Math.max(newestNonceMs, nonceMs);
+        req.form = qs.parse(postData);
+        next();
+    });
+
+    app.get(`${API_PREFIX}/instruments`, async (req, res) => res.json(await exchange.getInstruments()));
+
+    app.get(`${API_PREFIX}/tickers`, async (req, res) => res.json(await exchange.getTickers()));
+    app.get('/derivatives/api/v4/historicalfundingrates', async (req, res) => res.json(await exchange.getHistoricalFundingRates(req.query)));
+
+    app.get(`${API_PREFIX}/accounts`, async (req, res) => res.json(await exchange.getAccounts()));
+    app.get(`${API_PREFIX}/openpositions`, async (req, res) => res.json(await exchange.getOpenPositions()));
+    app.get(`${API_PREFIX}/openorders`, async (req, res) => res.json(await exchange.getOpenOrders()));
+    app.get(`${API_PREFIX}/fills`, async (req, res) => res.json(await exchange.getFills()));
+
+    app.post(`${API_PREFIX}/sendorder`, async (req, res) => {
+        res.json(await exchange.sendOrder(req.form, req.partial ? { immediateFillFraction: 0.5 } : {}));
+    });
+
+    app.post(`${API_PREFIX}/batchorder`, async (req, res) => {
+        const { batchOrder = [] } = JSON.parse(req.form.json || '{}');
+        if (req.partial && batchOrder.length) {
+            const rejected = batchOrder.pop();
+            const response = await exchange.batchOrder({ json: JSON.stringify({ batchOrder }) });
+            response.batchStatus.push({ order_tag: rejected.order_tag, status: 'insufficientAvailableFunds' });
+            return res.json(response);
+        }
+        res.json(await exchange.batchOrder({ json: req.form.json }));
+    });
+
+    app.post(`${API_PREFIX}/editorder`, async (req, res) => res.json(await exchange.editOrder(req.form)));
+    app.post(`${API_PREFIX}/cancelorder`, async (req, res) => res.json(await exchange.cancelOrder(req.form)));
+    app.post(`${API_PREFIX}/cancelallordersafter`, async (req, res) => res.json(await exchange.cancelAllOrdersAfter(req.form)));
+
+    app.use(API_PREFIX, (req, res) => res.status(404).json(krakenError('notFound')));
+
+    // Spot OHLC in the Kraken REST shape: [time, open, high, low, close, vwap, volume, count].
+    app.get('/0/public/OHLC', (req, res) => {
+        const rows = (spotOhlc[req.query.pair] ?? []).map(c => [
+            Math.floor(new Date(c.date).getTime() / 1000), String(c.open), String(c.high), String(c.low), String(c.close), String(c.close), String(c.volume ?? 0), 1
+        ]);
+        res.json({ error: [], result: { [req.query.pair]: rows, last: rows.at(-1)?.[0] ?? 0 } });
+    });
+
+    const server = await new Promise(resolve => {
+        const s = app.listen(options.port ?? 0, '127.0.0.1', () => resolve(s));
+    });
+    const { port } = server.address();
+
+    return {
+        baseUrl: `http://127.0.0.1:${port}`,
+        spotOhlcUrl: `http://127.0.0.1:${port}/0/public/OHLC`,
+        apiKey,
+        apiSecret,
+        exchange,
+        requests,
+        setPrice,
+        /**
+         * Sets the spot candles served for a pair (every interval gets the same candles).
+         * @param {string} pair - Spot pair, e.g. 'XBTUSD'.
+         * @param {Array<object>} candles - `{ date, open, high, low, close, volume }`, oldest first.
+         */
+        setOhlc: (pair, candles) => { spotOhlc[pair] = candles; },
+        /**
+         * @param {object} failure
+         * @param {string} failure.type - 'rateLimit' | 'serverError' | 'staleNonce' | 'authError' | 'partial'
+         * @param {string} [failure.endpoint] - e.g. 'sendorder'; any endpoint when omitted.
+         * @param {number} [failure.times=1]
+         */
+        injectFailure: ({ type, endpoint, times = 1 }) => failures.push({ type, endpoint, times }),
+        clearFailures: () => { failures.length = 0; },
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
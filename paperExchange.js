@@ -0,0 +1,426 @@
+// paperExchange.js – simulated Kraken Futures account for paper trading
+import crypto from 'crypto';
+import { log } from './logger.js';
+import { fetchSpotOhlc } from './krakenApi.js';
+import { StateStore } from './stateStore.js';
+
+const EPS = 1e-9;
+const MAX_FILLS = 500;
+const ok = body => ({ result: 'success', serverTime: new Date().toISOString(), ...body });
+
+/**
+ * @class PaperExchange
+ * @description Drop-in replacement for KrakenFuturesApi covering the calls DataHandler and
+ * ExecutionHandler make. Prices come from the spot OHLC feed: marketable orders fill at the
+ * latest close when sent, resting limit and stop orders fill against closed candles of the
+ * finest interval fetched that started after the order was placed. Stops are checked before
+ * limits within a candle.
+ * Reduce-only orders are clipped to the open position and cancelled once it is flat.
+ * Account state is persisted after every change.
+ */
+export class PaperExchange {
+    /**
+     * @param {object} [config]
+     * @param {number} [config.initialBalance=10000] - Starting USD collateral.
+     * @param {number} [config.leverage=10] - Used for initial-margin requirements.
+     * @param {number} [config.makerFee=0.0002]
+     * @param {number} [config.takerFee=0.0005]
+     * @param {object} [config.ohlcPairs] - Spot OHLC pair → futures symbol, e.g. { XBTUSD: 'PF_XBTUSD' }.
+     * @param {string|null} [config.stateFile='paper-exchange.json'] - null keeps state in memory only.
+     * @param {Function} [config.fetchOhlc] - OHLC source; defaults to the Kraken spot feed.
+     * @param {object} [config.instruments] - Per-symbol overrides of the contract specs returned by
+     * `getInstruments`, e.g. { PF_ETHUSD: { tickSize: 0.1, contractValueTradePrecision: 3 } }.
+     */
+    constructor(config = {}) {
+        this.initialBalance = config.initialBalance ?? 10000;
+        this.leverage = config.leverage ?? 10;
+        this.makerFee = config.makerFee ?? 0.0002;
+        this.takerFee = config.takerFee ?? 0.0005;
+        this.ohlcPairs = config.ohlcPairs ?? { XBTUSD: 'PF_XBTUSD' };
+        this.fetchOhlc = config.fetchOhlc ?? fetchSpotOhlc;
+        this.instruments = config.instruments ?? {};
+        this.store = config.stateFile === null ? null : new StateStore(config.stateFile ?? 'paper-exchange.json');
+        this.state = this._freshState();
+    }
+
+    _freshState() {
+        return { balance: this.initialBalance, positions: {}, orders: [], fills: [], markets: {}, cancelAfter: null };
+    }
+
+    /**
+     * Loads persisted paper-account state. Call once before use.
+     */
+    async init() {
+        const saved = await this.store?.load();
+        if (saved) {
+            const { savedAt, ...state } = saved;
+            this.state = { ...this._freshState(), ...state };
+        }
+        this._checkCancelAfter();
+        log.info(`[PAPER] Paper exchange ready. Balance: ${this.state.balance.toFixed(2)} USD, open orders: ${this.state.orders.length}.`);
+        return this;
+    }
+
+    _persist() {
+        return this.store ? this.store.save(this.state) : Promise.resolve();
+    }
+
+    /* ---------- market data ---------- */
+
+    async fetchKrakenData(params = {}) {
+        const candles = await this.fetchOhlc(params);
+        const symbol = this.ohlcPairs[params.pair ?? 'XBTUSD'];
+        if (candles?.length && symbol) {
+            await this.ingestCandles(symbol, candles, (params.interval ?? 60) * 60 * 1000);
+        }
+        return candles;
+    }
+
+    /**
+     * Replays candles for a symbol against resting orders and updates its last price.
+     * @param {string} symbol - Futures symbol, e.g. 'PF_XBTUSD'.
+     * @param {Array<object>} candles - `{ date, open, high, low, close }`, oldest first.
+     * @param {number} [intervalMs=3600000] - Candle length.
+     */
+    async ingestCandles(symbol, candles, intervalMs = 60 * 60 * 1000) {
+        this._checkCancelAfter();
+        this._onCandles(symbol, candles, intervalMs);
+        await this._persist();
+    }
+
+    _market(symbol) {
+        const market = (this.state.markets[symbol] ??= { lastPrice: null, lastPriceAt: 0, matchIntervalMs: null, processedUntil: {} });
+        // State saved before intervals were tracked separately has a single timestamp.
+        if (typeof market.processedUntil === 'number') market.processedUntil = { legacy: market.processedUntil };
+        return market;
+    }
+
+    _onCandles(symbol, candles, intervalMs) {
+        const market = this._market(symbol);
+        const now = Date.now();
+        // Resting orders are matched on the finest interval only; coarser candles span the same
+        // prices and would fill orders a second time or out of order.
+        if (!market.matchIntervalMs || intervalMs < market.matchIntervalMs) market.matchIntervalMs = intervalMs;
+        const matching = market.matchIntervalMs === intervalMs;
+        // A new interval starts where the others left off instead of replaying history.
+        market.processedUntil[intervalMs] ??= Math.max(0, ...Object.values(market.processedUntil));
+        for (const c of candles) {
+            const start = new Date(c.date).getTime();
+            const end = start + intervalMs;
+            // Only closed candles that don't overlap what has been replayed already.
+            if (end > now || start < market.processedUntil[intervalMs]) continue;
+            if (matching) this._matchCandle(symbol, c, start);
+            market.processedUntil[intervalMs] = end;
+        }
+        // The newest close wins whichever interval it came from: a candle still open is priced now,
+        // a closed one as of its end.
+        const last = candles.at(-1);
+        const priceAt = Math.min(new Date(last.date).getTime() + intervalMs, now);
+        if (priceAt >= (market.lastPriceAt ?? 0)) {
+            market.lastPrice = last.close;
+            market.lastPriceAt = priceAt;
+        }
+    }
+
+    _matchCandle(symbol, candle, start) {
+        const resting = this.state.orders
+            .filter(o => o.symbol === symbol && new Date(o.receivedTime).getTime() <= start)
+            .sort((a, b) => (a.orderType === 'stp' ? 0 : 1) - (b.orderType === 'stp' ? 0 : 1));
+
+        for (const order of resting) {
+            if (!this.state.orders.includes(order)) continue; // cancelled by an earlier fill
+            const buy = order.side === 'buy';
+
+            if (order.orderType === 'stp') {
+                const triggered = buy ? candle.high >= order.stopPrice : candle.low <= order.stopPrice;
+                if (!triggered) continue;
+                const trigger = buy ? Math.max(order.stopPrice, candle.open) : Math.min(order.stopPrice, candle.open);
+                const withinLimit = !order.limitPrice || (buy ? trigger <= order.limitPrice : trigger >= order.limitPrice);
+                if (withinLimit) {
+                    this._fill(order, trigger, 'taker', candle.date);
+                } else {
+                    // Gapped through the limit: the stop becomes a resting limit order.
+                    order.orderType = 'lmt';
+                    log.warn(`[PAPER] Stop ${order.order_id} triggered at ${trigger} beyond its limit ${order.limitPrice}; now resting.`);
+                }
+            } else {
+                const touched = buy ? candle.low <= order.limitPrice : candle.high >= order.limitPrice;
+                if (!touched) continue;
+                const price = buy ? Math.min(order.limitPrice, candle.open) : Math.max(order.limitPrice, candle.open);
+                this._fill(order, price, 'maker', candle.date);
+            }
+        }
+    }
+
+    /* ---------- account bookkeeping ---------- */
+
+    _position(symbol) {
+        return this.state.positions[symbol] ?? null;
+    }
+
+    _signedSize(symbol) {
+        const p = this._position(symbol);
+        return p ? (p.side === 'long' ? p.size : -p.size) : 0;
+    }
+
+    _unrealized() {
+        return Object.values(this.state.positions).reduce((sum, p) => {
+            const mark = this._market(p.symbol).lastPrice ?? p.price;
+            return sum + (mark - p.price) * p.size * (p.side === 'long' ? 1 : -1);
+        }, 0);
+    }
+
+    _initialMargin(extraNotional = 0) {
+        const notional = Object.values(this.state.positions).reduce((sum, p) => {
+            const mark = this._market(p.symbol).lastPrice ?? p.price;
+            return sum + mark * p.size;
+        }, 0);
+        return (notional + extraNotional) / this.leverage;
+    }
+
+    _fill(order, price, fillType, time = new Date().toISOString(), maxSize = Infinity) {
+        let size = Math.min(order.unfilledSize, maxSize);
+        if (order.reduceOnly) {
+            const pos = this._signedSize(order.symbol);
+            const closing = order.side === 'buy' ? pos < 0 : pos > 0;
+            size = closing ? Math.min(size, Math.abs(pos)) : 0;
+            if (size <= EPS) {
+                this._removeOrder(order, 'reduce-only order has no position to reduce');
+                return;
+            }
+        }
+
+        const fee = price * size * (fillType === 'maker' ? this.makerFee : this.takerFee);
+        this._applyToPosition(order.symbol, order.side, size, price, time);
+        this.state.balance -= fee;
+
+        this.state.fills.unshift({
+            fill_id: crypto.randomUUID(),
+            symbol: order.symbol,
+            side: order.side,
+            order_id: order.order_id,
+            cliOrdId: order.cliOrdId,
+            fillTime: time,
+            size,
+            price,
+            fee,
+            fillType
+        });
+        this.state.fills.length = Math.min(this.state.fills.length, MAX_FILLS);
+
+        order.filledSize += size;
+        order.unfilledSize = parseFloat((order.unfilledSize - size).toFixed(10));
+        if (order.reduceOnly || order.unfilledSize <= EPS) this._removeOrder(order);
+        log.info(`[PAPER] Filled ${order.side} ${size} ${order.symbol} @ ${price} (${fillType}, order ${order.order_id}).`);
+
+        if (!this._position(order.symbol)) {
+            for (const o of this.state.orders.filter(o => o.symbol === order.symbol && o.reduceOnly)) {
+                this._removeOrder(o, 'position closed');
+            }
+        }
+    }
+
+    _applyToPosition(symbol, side, size, price, time) {
+        const before = this._signedSize(symbol);
+        const delta = side === 'buy' ? size : -size;
+        const after = before + delta;
+
+        if (before !== 0 && Math.sign(delta) !== Math.sign(before)) {
+            const closed = Math.min(Math.abs(delta), Math.abs(before));
+            const entry = this._position(symbol).price;
+            this.state.balance += (price - entry) * closed * Math.sign(before);
+        }
+
+        if (Math.abs(after) <= EPS) {
+            delete this.state.positions[symbol];
+        } else if (before === 0 || Math.sign(after) !== Math.sign(before)) {
+            this.state.positions[symbol] = { symbol, side: after > 0 ? 'long' : 'short', size: Math.abs(after), price, fillTime: time };
+        } else if (Math.abs(after) > Math.abs(before)) {
+            const p = this._position(symbol);
+            p.price = (p.price * p.size + price * size) / Math.abs(after);
+            p.size = Math.abs(after);
+        } else {
+            this._position(symbol).size = Math.abs(after);
+        }
+    }
+
+    /**
+     * Fires the cancel-all-orders-after timer once its deadline has passed.
+     */
+    _checkCancelAfter(now = Date.now()) {
+        if (!this.state.cancelAfter || now < this.state.cancelAfter) return;
+        log.warn(`[PAPER] Cancel-after timer expired at ${new Date(this.state.cancelAfter).toISOString()}. Cancelling ${this.state.orders.length} open order(s).`);
+        for (const order of [...this.state.orders]) this._removeOrder(order, 'dead man\'s switch');
+        this.state.cancelAfter = null;
+    }
+
+    _removeOrder(order, reason) {
+        this.state.orders = this.state.orders.filter(o => o !== order);
+        if (reason) log.info(`[PAPER] Order ${order.order_id} cancelled: ${reason}.`);
+    }
+
+    /**
+     * Validates and books a new order, filling it straight away if it is marketable.
+     * @param {object} p - sendorder parameters.
+     * @param {object} [opts]
+     * @param {number} [opts.immediateFillFraction=1] - Share of a marketable order filled on arrival; the rest rests.
+     * @returns {{order_id?: string, status: string}}
+     */
+    _submit(p, { immediateFillFraction = 1 } = {}) {
+        const size = +p.size;
+        const symbol = p.symbol;
+        const orderType = p.orderType === 'stp' ? 'stp' : 'lmt';
+        const lastPrice = this._market(symbol).lastPrice;
+        const reduceOnly = p.reduceOnly === true || p.reduceOnly === 'true';
+
+        if (!symbol || !['buy', 'sell'].includes(p.side) || !(size > 0)) return { status: 'invalidArgument' };
+        if (orderType === 'lmt' && !(+p.limitPrice > 0)) return { status: 'invalidPrice' };
+        if (orderType === 'stp' && !(+p.stopPrice > 0)) return { status: 'invalidPrice' };
+        if (!lastPrice) return { status: 'marketSuspended' };
+
+        if (!reduceOnly) {
+            const { availableMargin } = this._account();
+            if (lastPrice * size / this.leverage > availableMargin) return { status: 'insufficientAvailableFunds' };
+        }
+
+        const order = {
+            order_id: crypto.randomUUID(),
+            cliOrdId: p.cliOrdId,
+            symbol,
+            side: p.side,
+            orderType,
+            limitPrice: p.limitPrice !== undefined ? +p.limitPrice : undefined,
+            stopPrice: p.stopPrice !== undefined ? +p.stopPrice : undefined,
+            reduceOnly,
+            filledSize: 0,
+            unfilledSize: size,
+            receivedTime: new Date().toISOString(),
+            status: 'untouched'
+        };
+        this.state.orders.push(order);
+
+        const marketable = orderType === 'lmt' && (p.side === 'buy' ? order.limitPrice >= lastPrice : order.limitPrice <= lastPrice);
+        if (marketable) {
+            this._fill(order, lastPrice, 'taker', undefined, size * immediateFillFraction);
+            return { order_id: order.order_id, status: this.state.orders.includes(order) ? 'placed' : 'filled' };
+        }
+        return { order_id: order.order_id, status: 'placed' };
+    }
+
+    _account() {
+        const unrealized = this._unrealized();
+        const portfolioValue = this.state.balance + unrealized;
+        const initialMargin = this._initialMargin();
+        return {
+            balanceValue: this.state.balance,
+            portfolioValue,
+            pnl: unrealized,
+            initialMargin,
+            availableMargin: portfolioValue - initialMargin
+        };
+    }
+
+    /* ---------- KrakenFuturesApi surface ---------- */
+
+    getInstruments = async () => {
+        const symbols = new Set([...Object.values(this.ohlcPairs), ...Object.keys(this.state.markets), ...Object.keys(this.instruments)]);
+        return ok({
+            instruments: [...symbols].map(symbol => ({
+                symbol,
+                type: 'flexible_futures',
+                tradeable: true,
+                tickSize: 0.5,
+                contractSize: 1,
+                contractValueTradePrecision: 4,
+                marginLevels: [{ contracts: 0, initialMargin: 1 / this.leverage, maintenanceMargin: 0.5 / this.leverage }],
+                ...this.instruments[symbol]
+            }))
+        });
+    };
+
+    getTickers = async () => ok({
+        tickers: Object.entries(this.state.markets).map(([symbol, m]) => ({
+            symbol,
+            last: m.lastPrice,
+            markPrice: m.lastPrice,
+            indexPrice: m.lastPrice,
+            fundingRate: 0,
+            fundingRatePrediction: 0,
+            suspended: false
+        }))
+    });
+
+    // The simulator charges no funding.
+    getHistoricalFundingRates = async () => ok({ rates: [] });
+
+    getAccounts = async () => ok({ accounts: { flex: { type: 'multiCollateralMarginAccount', ...this._account() } } });
+
+    getOpenPositions = async () => ok({
+        openPositions: Object.values(this.state.positions).map(p => ({ ...p, unrealizedFunding: 0 }))
+    });
+
+    getOpenOrders = async () => {
+        this._checkCancelAfter();
+        return ok({
+            openOrders: this.state.orders.map(o => ({ ...o, orderType: o.orderType === 'stp' ? 'stop' : 'lmt' }))
+        });
+    };
+
+    getFills = async () => ok({ fills: this.state.fills.slice(0, 100) });
+
+    sendOrder = async (p, opts) => {
+        const result = this._submit(p, opts);
+        await this._persist();
+        return ok({ sendStatus: { ...result, receivedTime: new Date().toISOString(), orderEvents: [] } });
+    };
+
+    batchOrder = async ({ json }) => {
+        const { batchOrder = [] } = JSON.parse(json);
+        const batchStatus = batchOrder.map(instr => {
+            if (instr.order === 'send') {
+                return { order_tag: instr.order_tag, ...this._submit(instr) };
+            }
+            if (instr.order === 'cancel') {
+                const order = this.state.orders.find(o => o.order_id === instr.order_id);
+                if (order) this._removeOrder(order);
+                return { order_id: instr.order_id, status: order ? 'cancelled' : 'notFound' };
+            }
+            return { order_tag: instr.order_tag, status: 'invalidArgument' };
+        });
+        await this._persist();
+        return ok({ batchStatus });
+    };
+
+    editOrder = async p => {
+        const order = this.state.orders.find(o => o.order_id === (p.orderId ?? p.order_id));
+        if (!order) return ok({ editStatus: { status: 'orderForEditNotFound', orderId: p.orderId } });
+
+        if (p.size !== undefined) {
+            order.unfilledSize = Math.max(0, +p.size - order.filledSize);
+        }
+        if (p.limitPrice !== undefined) order.limitPrice = +p.limitPrice;
+        if (p.stopPrice !== undefined) order.stopPrice = +p.stopPrice;
+        await this._persist();
+        return ok({ editStatus: { status: 'edited', orderId: order.order_id } });
+    };
+
+    cancelAllOrdersAfter = async ({ timeout }) => {
+        const now = Date.now();
+        this._checkCancelAfter(now);
+        this.state.cancelAfter = +timeout > 0 ? now + +timeout * 1000 : null;
+        await this._persist();
+        return ok({
+            status: {
+                currentTime: new Date(now).toISOString(),
+                triggerTime: this.state.cancelAfter ? new Date(this.state.cancelAfter).toISOString() : '0'
+            }
+        });
+    };
+
+    cancelOrder = async p => {
+        const order = this.state.orders.find(o => o.order_id === p.order_id || (p.cliOrdId && o.cliOrdId === p.cliOrdId));
+        if (order) this._removeOrder(order);
+        await this._persist();
+        return ok({ cancelStatus: { status: order ? 'cancelled' : 'notFound', order_id: p.order_id } });
+    };
+}
@@ -0,0 +1,118 @@
+// positionManager.js – adjusts protection on open positions
+import { log } from './logger.js';
+import { atrSeries } from './indicators.js';
+import { FALLBACK_SPEC, roundPrice } from './instrumentSpecs.js';
+
+/**
+ * @class PositionManager
+ * @description Runs once per cycle while a position is open and moves its stop-loss according
+ * to the configured rules. Stops only ever move in the trade's favour. Every change is applied
+ * through `editOrder` and appended to the trade's `history`.
+ */
+export class PositionManager {
+    /**
+     * @param {object} api - KrakenFuturesApi (or a compatible client).
+     * @param {object} [config]
+     * @param {number|null} [config.breakEvenAtR=1] - Move the stop to entry once price is this many R in profit.
+     * @param {number|null} [config.trailAtrMultiple=3] - Trail the stop this many ATRs behind price.
+     * @param {number|null} [config.tightenOnTimeframeSwitch=0.5] - On a timeframe switch, move the stop this
+     * fraction of the way from its current level towards price.
+     * @param {number} [config.atrPeriod=14] - ATR period for trailing.
+     * @param {number} [config.stopSlippagePercent=0.01] - Stop-limit buffer, as used by ExecutionHandler.
+     * @param {object} [config.instruments] - InstrumentSpecs used to round stops to the symbol's tick size.
+     */
+    constructor(api, config = {}) {
+        this.api = api;
+        this.breakEvenAtR = config.breakEvenAtR === undefined ? 1 : config.breakEvenAtR;
+        this.trailAtrMultiple = config.trailAtrMultiple === undefined ? 3 : config.trailAtrMultiple;
+        this.tightenOnTimeframeSwitch = config.tightenOnTimeframeSwitch === undefined ? 0.5 : config.tightenOnTimeframeSwitch;
+        this.atrPeriod = config.atrPeriod ?? 14;
+        this.stopSlippagePercent = config.stopSlippagePercent ?? 0.01;
+        this.instruments = config.instruments ?? null;
+    }
+
+    /**
+     * Proposes stop levels from each enabled rule.
+     * @returns {Array<{rule: string, stop: number}>}
+     */
+    _candidates(trade, price, ohlc, timeframeChanged) {
+        const dir = trade.side === 'LONG' ? 1 : -1;
+        const entry = trade.entryPrice ?? trade.lastPrice;
+        const initialStop = trade.initialStopLoss ?? trade.stopLoss;
+        const risk = Math.abs(entry - initialStop);
+        const candidates = [];
+
+        if (this.breakEvenAtR && risk > 0 && (price - entry) * dir >= this.breakEvenAtR * risk) {
+            candidates.push({ rule: 'break_even', stop: entry });
+        }
+
+        if (this.trailAtrMultiple && ohlc?.length > this.atrPeriod) {
+            const atr = atrSeries(ohlc, this.atrPeriod).at(-1);
+            if (atr > 0) candidates.push({ rule: 'atr_trail', stop: price - dir * atr * this.trailAtrMultiple });
+        }
+
+        if (this.tightenOnTimeframeSwitch && timeframeChanged) {
+            candidates.push({ rule: 'timeframe_switch', stop: trade.stopLoss + (price - trade.stopLoss) * this.tightenOnTimeframeSwitch });
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Evaluates the rules for one open trade and applies the best stop improvement.
+     * @param {object} args
+     * @param {object} args.trade - Trade log entry (mutated: `stopLoss`, `initialStopLoss`, `history`).
+     * @param {Array<object>} args.ohlc - Candles for the trade's timeframe, for the ATR.
+     * @param {number} [args.markPrice] - Futures mark price, which the stop triggers on; the last close
+     * stands in for it when missing.
+     * @param {boolean} [args.timeframeChanged=false] - Whether the strategy is about to switch timeframe.
+     * @returns {Promise<object|null>} The history entry that was recorded, or null if nothing changed.
+     */
+    async manage({ trade, ohlc, markPrice, timeframeChanged = false }) {
+        const tag = `[${trade?.symbol ?? 'PM'}]`;
+        if (!trade?.stopLossOrderId) {
+            log.warn(`${tag} [PM] Trade ${trade?.id} has no stop-loss order ID. Cannot manage position.`);
+            return null;
+        }
+        if (!(markPrice > 0)) log.warn(`${tag} [PM] No mark price for trade ${trade.id}. Using the last candle close.`);
+        const price = markPrice > 0 ? markPrice : ohlc?.at(-1)?.close;
+        if (!price) return null;
+
+        const dir = trade.side === 'LONG' ? 1 : -1;
+        const current = trade.stopLoss;
+        trade.initialStopLoss ??= current;
+        const spec = this.instruments ? await this.instruments.get(trade.symbol) : FALLBACK_SPEC;
+
+        // Best = furthest in the trade's favour, but still on the protective side of price.
+        const best = this._candidates(trade, price, ohlc, timeframeChanged)
+            .map(c => ({ ...c, stop: roundPrice(c.stop, spec) }))
+            .filter(c => (c.stop - current) * dir > 0 && (price - c.stop) * dir > 0)
+            .sort((a, b) => (b.stop - a.stop) * dir)[0];
+
+        if (!best) {
+            log.info(`${tag} [PM] No stop adjustment for trade ${trade.id} (price ${price}, stop ${current}).`);
+            return null;
+        }
+
+        const limitPrice = dir === 1
+            ? roundPrice(best.stop * (1 - this.stopSlippagePercent), spec, 'down')
+            : roundPrice(best.stop * (1 + this.stopSlippagePercent), spec, 'up');
+
+        try {
+            const res = await this.api.editOrder({ orderId: trade.stopLossOrderId, stopPrice: best.stop, limitPrice });
+            if (res?.result !== 'success') {
+                log.error(`${tag} [PM] Failed to move stop for trade ${trade.id} (${best.rule}).`, { apiResponse: res });
+                return null;
+            }
+        } catch (error) {
+            log.error(`${tag} [PM] Failed to move stop for trade ${trade.id} (${best.rule}).`, error);
+            return null;
+        }
+
+        const entry = { time: new Date().toISOString(), event: 'stop_moved', rule: best.rule, from: current, to: best.stop, price };
+        trade.stopLoss = best.stop;
+        trade.history = [...(trade.history || []), entry];
+        log.info(`${tag} [PM] Moved stop for trade ${trade.id} from ${current} to ${best.stop} (${best.rule}, price ${price}).`);
+        return entry;
+    }
+}
@@ -0,0 +1,180 @@
+// reconciler.js – keeps exchange protection orders consistent with open positions
+import fs from 'fs/promises';
+import path from 'path';
+import { log } from './logger.js';
+import { atrSeries } from './indicators.js';
+import { FALLBACK_SPEC, roundPrice } from './instrumentSpecs.js';
+
+const SIZE_EPSILON = 1e-9;
+const DEFAULT_AUDIT_FILE = path.join(process.cwd(), 'logs', 'reconciliation-audit.ndjson');
+
+const isStop = o => ['stop', 'stp'].includes(o.orderType);
+const isTakeProfit = o => ['lmt', 'take_profit'].includes(o.orderType);
+const openSize = o => +(o.unfilledSize ?? o.size ?? 0);
+
+/**
+ * @class Reconciler
+ * @description Compares open positions with open reduce-only orders for an instrument. Missing
+ * stop-loss / take-profit orders are attached (from the stored trade, or an ATR-based default),
+ * undersized ones are resized, and protection left behind by a closed position is cancelled.
+ * Every change is appended to an NDJSON audit log.
+ */
+export class Reconciler {
+    /**
+     * @param {object} api - KrakenFuturesApi (or a compatible client).
+     * @param {object} [config]
+     * @param {object} [config.instruments] - InstrumentSpecs used for tick-size rounding.
+     * @param {number} [config.stopAtrMultiple=2] - Default stop distance when no trade is stored.
+     * @param {number} [config.targetAtrMultiple=3] - Default take-profit distance when no trade is stored.
+     * @param {number} [config.atrPeriod=14]
+     * @param {number} [config.stopSlippagePercent=0.01] - Stop-limit buffer, as used by ExecutionHandler.
+     * @param {string} [config.auditFile='logs/reconciliation-audit.ndjson']
+     */
+    constructor(api, config = {}) {
+        this.api = api;
+        this.instruments = config.instruments ?? null;
+        this.stopAtrMultiple = config.stopAtrMultiple ?? 2;
+        this.targetAtrMultiple = config.targetAtrMultiple ?? 3;
+        this.atrPeriod = config.atrPeriod ?? 14;
+        this.stopSlippagePercent = config.stopSlippagePercent ?? 0.01;
+        this.auditFile = config.auditFile ?? DEFAULT_AUDIT_FILE;
+    }
+
+    async _audit(symbol, action, details) {
+        const entry = { time: new Date().toISOString(), symbol, action, ...details };
+        log.warn(`[${symbol}] [RECONCILE] ${action}`, details);
+        try {
+            await fs.appendFile(this.auditFile, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            log.error('[RECONCILE] Failed to write audit log entry.', error);
+        }
+        return entry;
+    }
+
+    /**
+     * Works out stop-loss and take-profit prices for a position: the stored trade's levels when
+     * there is one, otherwise ATR multiples around the latest close.
+     */
+    _levels(side, trade, ohlc) {
+        if (trade?.stopLoss && trade?.takeProfit) {
+            return { stopLoss: trade.stopLoss, takeProfit: trade.takeProfit, source: 'trade' };
+        }
+        const price = ohlc?.at(-1)?.close;
+        const atr = ohlc?.length > this.atrPeriod ? atrSeries(ohlc, this.atrPeriod).at(-1) : null;
+        if (!price || !(atr > 0)) return null;
+        const dir = side === 'LONG' ? 1 : -1;
+        return {
+            stopLoss: price - dir * atr * this.stopAtrMultiple,
+            takeProfit: price + dir * atr * this.targetAtrMultiple,
+            source: 'atr'
+        };
+    }
+
+    async _send(payload) {
+        const res = await this.api.sendOrder(payload);
+        const orderId = res?.sendStatus?.order_id;
+        if (res?.result !== 'success' || !orderId || !['placed', 'filled'].includes(res.sendStatus.status)) {
+            throw new Error(`Order rejected: ${JSON.stringify(res?.sendStatus ?? res)}`);
+        }
+        return orderId;
+    }
+
+    /**
+     * Reconciles one instrument.
+     * @param {object} args
+     * @param {string} args.symbol - Futures symbol.
+     * @param {object|null} [args.trade] - Stored trade for the symbol; its order IDs are updated in place.
+     * @param {Array<object>} [args.ohlc] - Recent candles, for the ATR default.
+     * @param {Array<object>} [args.positions] - Open positions; fetched when omitted.
+     * @param {Array<object>} [args.orders] - Open orders; fetched when omitted.
+     * @param {boolean} [args.strict=false] - Throw when the position cannot be fully protected
+     * instead of logging the failure and moving on.
+     * @returns {Promise<Array<object>>} The audit entries for the changes made.
+     */
+    async reconcile({ symbol, trade = null, ohlc = [], positions, orders, strict = false }) {
+        positions ??= (await this.api.getOpenPositions())?.openPositions || [];
+        orders ??= (await this.api.getOpenOrders())?.openOrders || [];
+
+        const position = positions.find(p => p.symbol?.toUpperCase() === symbol.toUpperCase());
+        const protection = orders.filter(o => o.symbol?.toUpperCase() === symbol.toUpperCase() && (o.reduceOnly === true || o.reduceOnly === 'true'));
+        const changes = [];
+
+        if (!position) {
+            for (const order of protection) {
+                try {
+                    const res = await this.api.cancelOrder({ order_id: order.order_id });
+                    if (res?.result !== 'success') throw new Error(JSON.stringify(res));
+                    changes.push(await this._audit(symbol, 'cancelled_orphan_order', { orderId: order.order_id, orderType: order.orderType, side: order.side, size: openSize(order) }));
+                } catch (error) {
+                    log.error(`[${symbol}] [RECONCILE] Failed to cancel orphan protection order ${order.order_id}.`, error);
+                }
+            }
+            return changes;
+        }
+
+        const side = position.side === 'long' ? 'LONG' : 'SHORT';
+        const closeSide = side === 'LONG' ? 'sell' : 'buy';
+        const size = Math.abs(+position.size);
+        const spec = this.instruments ? await this.instruments.get(symbol) : FALLBACK_SPEC;
+        const closing = protection.filter(o => o.side === closeSide);
+        const ownTrade = trade?.side === side ? trade : null;
+        let levels;
+
+        for (const [kind, matches, idField] of [
+            ['stop_loss', isStop, 'stopLossOrderId'],
+            ['take_profit', isTakeProfit, 'takeProfitOrderId']
+        ]) {
+            const existing = closing.filter(matches);
+            const covered = existing.reduce((a, o) => a + openSize(o), 0);
+            if (covered >= size - SIZE_EPSILON) continue;
+
+            try {
+                if (existing.length === 1) {
+                    const order = existing[0];
+                    const res = await this.api.editOrder({ orderId: order.order_id, size });
+                    if (res?.result !== 'success') throw new Error(JSON.stringify(res));
+                    if (ownTrade) ownTrade[idField] = order.order_id;
+                    changes.push(await this._audit(symbol, `resized_${kind}`, { orderId: order.order_id, from: covered, to: size }));
+                    continue;
+                }
+
+                levels ??= this._levels(side, ownTrade, ohlc);
+                if (!levels) {
+                    const message = `${side} position of ${size} has no ${kind} and no trade or ATR to derive one from.`;
+                    if (strict) throw new Error(message);
+                    log.error(`[${symbol}] [RECONCILE] ${message}`);
+                    continue;
+                }
+                const missing = size - covered;
+                const payload = kind === 'stop_loss'
+                    ? {
+                        orderType: 'stp',
+                        symbol,
+                        side: closeSide,
+                        size: missing,
+                        stopPrice: roundPrice(levels.stopLoss, spec),
+                        limitPrice: closeSide === 'sell'
+                            ? roundPrice(levels.stopLoss * (1 - this.stopSlippagePercent), spec, 'down')
+                            : roundPrice(levels.stopLoss * (1 + this.stopSlippagePercent), spec, 'up'),
+                        reduceOnly: true
+                    }
+                    : { orderType: 'lmt', symbol, side: closeSide, size: missing, limitPrice: roundPrice(levels.takeProfit, spec), reduceOnly: true };
+                const orderId = await this._send(payload);
+                if (ownTrade && !existing.length) ownTrade[idField] = orderId;
+                changes.push(await this._audit(symbol, `attached_${kind}`, {
+                    orderId,
+                    positionSide: side,
+                    size: missing,
+                    price: payload.stopPrice ?? payload.limitPrice,
+                    source: levels.source
+                }));
+            } catch (error) {
+                if (strict) throw error;
+                log.error(`[${symbol}] [RECONCILE] Failed to repair ${kind} for ${side} position of ${size}.`, error);
+            }
+        }
+
+        if (!changes.length) log.info(`[${symbol}] [RECONCILE] ${side} position of ${size} is fully protected.`);
+        return changes;
+    }
+}
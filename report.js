@@ -0,0 +1,26 @@
+// report.js – analytics report for a trade log (live trades.json or a backtest's)
+// Usage: node report.js [tradesFile] [initialBalance] [outDir]
+
+import fs from 'fs';
+import { computeAnalytics, writeReport } from './analytics.js';
+import { log } from './logger.js';
+
+// --- Configuration ---
+const TRADES_FILE = process.argv[2] || './trades.json';
+const INITIAL_BALANCE = Number(process.argv[3] || process.env.REPORT_INITIAL_BALANCE || 10000);
+const OUTPUT_DIR = process.argv[4] || './reports';
+
+function main() {
+    try {
+        const trades = JSON.parse(fs.readFileSync(TRADES_FILE, 'utf8'));
+        const report = computeAnalytics(trades, { initialBalance: INITIAL_BALANCE });
+        const files = writeReport(report, OUTPUT_DIR, 'live');
+        log.info(`[REPORT] ${report.summary.trades} closed trades from ${TRADES_FILE}:`, report.summary);
+        log.info(`[REPORT] Written to ${files.json}, ${files.equity} and ${files.trades}.`);
+    } catch (error) {
+        log.error(`[REPORT] Failed to build the analytics report for ${TRADES_FILE}:`, error);
+        process.exitCode = 1;
+    }
+}
+
+main();
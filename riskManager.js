@@ -1,23 +1,396 @@
 // riskManager.js
 
 import { log } from './logger.js';
+import { atrSeries } from './indicators.js';
+import { FALLBACK_SPEC, roundPrice, roundSize } from './instrumentSpecs.js';
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const SIZING_MODES = ['fixed', 'confidence', 'volatility', 'kelly'];
+
+// Per-mode options. `maxRisk` caps the fraction of the balance lost if the stop is hit.
+const SIZING_DEFAULTS = {
+    confidence: { minConfidence: 0, minScale: 0.25, maxScale: 1.5, maxRisk: 0.03 },
+    volatility: { targetAtrPercent: 0.01, atrPeriod: 14, maxRisk: 0.03 },
+    kelly: { fraction: 0.25, lookback: 50, minTrades: 20, minRisk: 0.0025, maxRisk: 0.03 }
+};
+
+const clamp = (x, lo, hi) => Math.min(hi, Math.max(lo, x));
+
+/**
+ * Estimates where a new position would be liquidated under cross margin: the point at which
+ * account equity, after the position's loss, falls to the maintenance margin of everything held.
+ * Other positions are assumed to hold their current value.
+ * @param {object} args
+ * @param {string} args.side - 'LONG' or 'SHORT'.
+ * @param {number} args.units - Position size in the underlying (contracts × contract size).
+ * @param {number} args.entryPrice
+ * @param {number} args.equity - Account portfolio value.
+ * @param {number} args.maintenanceMarginRate - Maintenance margin as a fraction of notional.
+ * @param {number} [args.otherMaintenanceMargin=0] - Maintenance margin already required by other positions.
+ * @returns {number|null} The estimated liquidation price, or null if the position cannot be liquidated.
+ */
+export function estimateLiquidationPrice({ side, units, entryPrice, equity, maintenanceMarginRate, otherMaintenanceMargin = 0 }) {
+    const free = equity - otherMaintenanceMargin;
+    const m = maintenanceMarginRate;
+    if (!(units > 0)) return null;
+    if (side === 'LONG') {
+        const price = (units * entryPrice - free) / (units * (1 - m));
+        return price > 0 ? price : null;
+    }
+    return (free + units * entryPrice) / (units * (1 + m));
+}
+
+const utcDay = (time) => new Date(time).toISOString().slice(0, 10);
+const nextUtcMidnight = (time) => Math.floor(time / DAY_MS) * DAY_MS + DAY_MS;
+
+/**
+ * @class RiskManager
+ * @description Sizes individual trades and enforces account-level limits. When a limit is
+ * breached the kill switch engages and `checkAccountLimits` refuses new positions until the
+ * period ends (daily loss, cooldown) or `resetKillSwitch` is called (drawdown, consecutive losses).
+ */
 export class RiskManager {
+    /**
+     * @param {object} config
+     * @param {number} [config.leverage=10]
+     * @param {number} [config.marginBuffer=0.01]
+     * @param {number} [config.riskPerTrade=0.02] - Fraction of the balance risked between entry and stop.
+     * @param {object} [config.sizing] - Position sizing mode and per-mode options (see SIZING_DEFAULTS).
+     * @param {string} [config.sizing.mode='fixed'] - 'fixed' risks `riskPerTrade`; 'confidence' scales it by
+     * the signal's confidence; 'volatility' sizes so one ATR move is `targetAtrPercent` of the balance;
+     * 'kelly' uses a fraction of the Kelly criterion estimated from recent closed trades, and skips trades
+     * while that estimate shows no edge.
+     * @param {object} [config.stopBounds] - Sanity bounds on the signal's stop and take-profit distances;
+     * a missing or zero value disables that bound.
+     * @param {number} [config.stopBounds.minAtrMultiple] - Smallest allowed stop distance, in ATRs.
+     * @param {number} [config.stopBounds.maxAtrMultiple] - Largest allowed stop distance, in ATRs.
+     * @param {number} [config.stopBounds.minRewardRisk] - Smallest allowed take-profit / stop-loss distance ratio.
+     * @param {string} [config.stopBounds.onViolation='clamp'] - 'clamp' moves the distance onto the bound; 'reject' skips the trade.
+     * @param {number} [config.stopBounds.atrPeriod=14]
+     * @param {object} [config.liquidation] - Keeps the stop-loss safely inside the estimated liquidation price.
+     * @param {number} [config.liquidation.maxStopFraction=0.8] - Largest allowed stop distance, as a fraction of the
+     * distance from entry to the estimated liquidation price.
+     * @param {string} [config.liquidation.onViolation='resize'] - 'resize' shrinks the position until the stop is
+     * safe; 'reject' skips the trade.
+     * @param {number} [config.liquidation.defaultMaintenanceMargin=0.01] - Used when the instrument spec has none.
+     * @param {object} [config.funding] - Optional rule against entries that funding would eat into.
+     * @param {number} [config.funding.maxCostToRisk] - Largest projected funding cost over the expected hold,
+     * as a fraction of the amount risked to the stop. Disabled when missing or zero.
+     * @param {object} [config.limits] - Account-level limits; a missing or zero value disables that limit.
+     * @param {number} [config.limits.maxDailyLossPercent] - Max realized loss per UTC day, as a fraction of the day's starting equity.
+     * @param {number} [config.limits.maxDrawdownPercent] - Max peak-to-trough equity drawdown, as a fraction of the peak.
+     * @param {number} [config.limits.maxConsecutiveLosses] - Losing trades in a row before halting.
+     * @param {number} [config.limits.stopOutCooldownMs] - Pause after a trade is stopped out or liquidated.
+     */
     constructor(config) {
         this.leverage = config.leverage || 10;
         this.marginBuffer = config.marginBuffer || 0.01;
+        this.riskPerTrade = config.riskPerTrade || 0.02;
+        const mode = config.sizing?.mode || 'fixed';
+        if (!SIZING_MODES.includes(mode)) {
+            throw new Error(`Unknown sizing mode "${mode}". Expected one of: ${SIZING_MODES.join(', ')}.`);
+        }
+        this.sizing = {
+            mode,
+            confidence: { ...SIZING_DEFAULTS.confidence, ...config.sizing?.confidence },
+            volatility: { ...SIZING_DEFAULTS.volatility, ...config.sizing?.volatility },
+            kelly: { ...SIZING_DEFAULTS.kelly, ...config.sizing?.kelly }
+        };
+        this.stopBounds = {
+            minAtrMultiple: config.stopBounds?.minAtrMultiple || null,
+            maxAtrMultiple: config.stopBounds?.maxAtrMultiple || null,
+            minRewardRisk: config.stopBounds?.minRewardRisk || null,
+            onViolation: config.stopBounds?.onViolation === 'reject' ? 'reject' : 'clamp',
+            atrPeriod: config.stopBounds?.atrPeriod || 14
+        };
+        this.liquidation = {
+            maxStopFraction: config.liquidation?.maxStopFraction || 0.8,
+            onViolation: config.liquidation?.onViolation === 'reject' ? 'reject' : 'resize',
+            defaultMaintenanceMargin: config.liquidation?.defaultMaintenanceMargin || 0.01
+        };
+        this.funding = {
+            maxCostToRisk: config.funding?.maxCostToRisk || null
+        };
+        this.limits = {
+            maxDailyLossPercent: config.limits?.maxDailyLossPercent || null,
+            maxDrawdownPercent: config.limits?.maxDrawdownPercent || null,
+            maxConsecutiveLosses: config.limits?.maxConsecutiveLosses || null,
+            stopOutCooldownMs: config.limits?.stopOutCooldownMs || null
+        };
+        this.account = {
+            day: null,
+            dayStartBalance: null,
+            dailyPnl: 0,
+            balance: null,
+            peakBalance: null,
+            consecutiveLosses: 0,
+            lastStopOutAt: null,
+            halt: null,
+            recentPnls: []
+        };
+    }
+
+    /**
+     * Engages the kill switch. A halt without `until` only ends on manual reset and is never
+     * replaced by a timed one; a timed halt is replaced by one that lasts longer.
+     */
+    _halt(code, reason, until, now) {
+        const current = this.account.halt;
+        if (current && (current.until === null || (until !== null && until <= current.until))) return;
+        this.account.halt = { code, reason, since: new Date(now).toISOString(), until };
+        log.warn(`[RISK] Kill switch engaged (${code}): ${reason}. New positions are blocked ${until === null ? 'until manual reset' : `until ${new Date(until).toISOString()}`}.`);
+        log.metric('risk_limit_breach', 1, 'count', { code });
+    }
+
+    _rollDay(now) {
+        const day = utcDay(now);
+        if (this.account.day === day) return;
+        this.account.day = day;
+        this.account.dailyPnl = 0;
+        this.account.dayStartBalance = this.account.balance;
+    }
+
+    /**
+     * Records the current account equity (portfolio value, not available margin), tracking the
+     * peak and the drawdown limit.
+     * @param {number} balance
+     * @param {number} [now=Date.now()]
+     */
+    updateBalance(balance, now = Date.now()) {
+        if (!(balance > 0)) return;
+        this.account.balance = balance;
+        this._rollDay(now);
+        this.account.dayStartBalance ??= balance;
+        this.account.peakBalance = Math.max(this.account.peakBalance ?? balance, balance);
+
+        const { maxDrawdownPercent } = this.limits;
+        const drawdown = 1 - balance / this.account.peakBalance;
+        if (maxDrawdownPercent && drawdown >= maxDrawdownPercent) {
+            this._halt('max_drawdown', `Drawdown ${(drawdown * 100).toFixed(2)}% from peak ${this.account.peakBalance.toFixed(2)} reached the ${(maxDrawdownPercent * 100).toFixed(2)}% limit`, null, now);
+        }
+    }
+
+    /**
+     * Records a closed trade against the daily-loss, consecutive-loss and cooldown limits.
+     * @param {object} trade - Closed trade with a net `pnl` and optionally `exitReason`.
+     * @param {number} [now=Date.now()]
+     */
+    recordClosedTrade(trade, now = Date.now()) {
+        if (typeof trade?.pnl !== 'number') return;
+        this._rollDay(now);
+        this.account.recentPnls = [...this.account.recentPnls, trade.pnl].slice(-this.sizing.kelly.lookback);
+        this.account.dailyPnl += trade.pnl;
+        this.account.consecutiveLosses = trade.pnl < 0 ? this.account.consecutiveLosses + 1 : 0;
+
+        const { maxDailyLossPercent, maxConsecutiveLosses, stopOutCooldownMs } = this.limits;
+        const dayStart = this.account.dayStartBalance ?? this.account.balance;
+        if (maxDailyLossPercent && dayStart > 0 && -this.account.dailyPnl >= dayStart * maxDailyLossPercent) {
+            this._halt('daily_loss', `Realized loss today ${(-this.account.dailyPnl).toFixed(2)} USD reached ${(maxDailyLossPercent * 100).toFixed(2)}% of the day's starting balance ${dayStart.toFixed(2)}`, nextUtcMidnight(now), now);
+        }
+        if (maxConsecutiveLosses && this.account.consecutiveLosses >= maxConsecutiveLosses) {
+            this._halt('consecutive_losses', `${this.account.consecutiveLosses} losing trades in a row`, null, now);
+        }
+        if (trade.pnl < 0 && /Stop-Loss|Liquidation/.test(trade.exitReason ?? '')) {
+            this.account.lastStopOutAt = new Date(now).toISOString();
+            if (stopOutCooldownMs) {
+                this._halt('cooldown', `Trade ${trade.id} was closed by ${trade.exitReason}`, now + stopOutCooldownMs, now);
+            }
+        }
+    }
+
+    /**
+     * Checks whether a new position may be opened, lifting timed halts whose period has ended.
+     * @param {number} [now=Date.now()]
+     * @returns {{allowed: boolean, reason: string|null}}
+     */
+    checkAccountLimits(now = Date.now()) {
+        const { halt } = this.account;
+        if (halt && halt.until !== null && now >= halt.until) {
+            log.info(`[RISK] Kill switch (${halt.code}) expired. New positions are allowed again.`);
+            this.account.halt = null;
+        }
+        if (this.account.halt) return { allowed: false, reason: this.account.halt.reason };
+        return { allowed: true, reason: null };
+    }
+
+    /**
+     * Manually lifts the kill switch and restarts drawdown and loss-streak tracking from the
+     * current balance.
+     * @param {string} [source='manual']
+     */
+    resetKillSwitch(source = 'manual') {
+        const { halt } = this.account;
+        this.account.halt = null;
+        this.account.consecutiveLosses = 0;
+        this.account.peakBalance = this.account.balance;
+        log.warn(`[RISK] Kill switch reset (${source})${halt ? `; was engaged for: ${halt.reason}` : ''}.`);
+    }
+
+    /**
+     * @returns {object} A copy of the account-level risk state, for persistence and the dashboard.
+     */
+    getAccountState() {
+        return { ...this.account, recentPnls: [...this.account.recentPnls], limits: { ...this.limits } };
+    }
+
+    /**
+     * Restores state saved by `getAccountState`. Configured limits are not overwritten.
+     * @param {object} [saved]
+     */
+    restoreAccountState(saved) {
+        if (!saved) return;
+        const { limits, ...account } = saved;
+        Object.assign(this.account, account);
+        if (this.account.halt) {
+            log.warn(`[RISK] Kill switch is still engaged (${this.account.halt.code}): ${this.account.halt.reason}.`);
+        }
+    }
+
+    /**
+     * Checks the signal's stop and take-profit distances against ATR bounds and a minimum
+     * reward-to-risk ratio, clamping or rejecting them according to `stopBounds.onViolation`.
+     * @returns {{stop: number, target: number}|null} The distances to use, or null to reject the trade.
+     */
+    _applyStopBounds(ohlc, stop, target) {
+        const { minAtrMultiple, maxAtrMultiple, minRewardRisk, onViolation, atrPeriod } = this.stopBounds;
+        const violation = (bound, message, clamped) => {
+            log.metric('risk_bound_violation', 1, 'count', { bound, action: onViolation });
+            if (onViolation === 'reject') {
+                log.warn(`[RISK] ${message}. Rejecting trade.`);
+                return false;
+            }
+            log.warn(`[RISK] ${message}. Clamped to ${clamped.toFixed(2)}.`);
+            return true;
+        };
+
+        if (minAtrMultiple || maxAtrMultiple) {
+            const atr = ohlc.length > atrPeriod ? atrSeries(ohlc, atrPeriod).at(-1) : null;
+            if (!(atr > 0)) {
+                log.warn(`[RISK] Not enough candles for ATR(${atrPeriod}). Skipping ATR bounds on the stop distance.`);
+            } else if (minAtrMultiple && stop < atr * minAtrMultiple) {
+                const clamped = atr * minAtrMultiple;
+                if (!violation('min_atr', `Stop distance ${stop.toFixed(2)} is below ${minAtrMultiple} ATR (${clamped.toFixed(2)})`, clamped)) return null;
+                stop = clamped;
+            } else if (maxAtrMultiple && stop > atr * maxAtrMultiple) {
+                const clamped = atr * maxAtrMultiple;
+                if (!violation('max_atr', `Stop distance ${stop.toFixed(2)} is above ${maxAtrMultiple} ATR (${clamped.toFixed(2)})`, clamped)) return null;
+                stop = clamped;
+            }
+        }
+
+        if (minRewardRisk && target / stop < minRewardRisk) {
+            const clamped = stop * minRewardRisk;
+            if (!violation('min_reward_risk', `Reward-to-risk ${(target / stop).toFixed(2)} is below ${minRewardRisk}; take-profit distance ${target.toFixed(2)}`, clamped)) return null;
+            target = clamped;
+        }
+
+        return { stop, target };
+    }
+
+    /**
+     * Projects funding paid over the expected hold and compares it with the amount risked to the stop.
+     * Both scale with size, so the check is made per unit. Entries that would receive funding always pass.
+     * @returns {boolean} false if the entry should be blocked.
+     */
+    _checkFundingCost(marketData, side, stopDistance, price) {
+        const { maxCostToRisk } = this.funding;
+        const { funding, expectedHoldHours } = marketData;
+        if (!maxCostToRisk || !funding || !(expectedHoldHours > 0)) return true;
+
+        const rate = funding.predictedFundingRate ?? funding.fundingRate;
+        if (typeof rate !== 'number') return true;
+        const costPerUnit = (side === 'LONG' ? 1 : -1) * rate * expectedHoldHours * price;
+        const costToRisk = costPerUnit / stopDistance;
+        if (costToRisk > maxCostToRisk) {
+            log.warn(`[RISK] Projected funding over ${expectedHoldHours}h at ${(rate * 100).toFixed(4)}%/h costs ${(costToRisk * 100).toFixed(1)}% of the amount at risk (limit ${(maxCostToRisk * 100).toFixed(1)}%). Blocking ${side} entry.`);
+            log.metric('risk_funding_block', 1, 'count', { side });
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Kelly fraction f* = p - (1 - p) / b from the recent closed trades, where p is the win rate
+     * and b the average win over the average loss.
+     * @returns {number|null} null while there are too few trades or no losses to estimate from.
+     */
+    _kellyFraction() {
+        const { minTrades } = this.sizing.kelly;
+        const pnls = this.account.recentPnls;
+        if (pnls.length < minTrades) return null;
+        const wins = pnls.filter(p => p > 0);
+        const losses = pnls.filter(p => p < 0);
+        if (!losses.length) return null;
+        if (!wins.length) return 0;
+        const avgWin = wins.reduce((a, p) => a + p, 0) / wins.length;
+        const avgLoss = -losses.reduce((a, p) => a + p, 0) / losses.length;
+        const p = wins.length / pnls.length;
+        return p - (1 - p) / (avgWin / avgLoss);
+    }
+
+    /**
+     * Picks the fraction of the balance to risk between entry and stop for the configured sizing mode.
+     * @returns {number|null} The risk fraction, or null to skip the trade.
+     */
+    _riskFraction(ohlc, tradingSignal, riskPerUnit, balance) {
+        const { mode } = this.sizing;
+
+        if (mode === 'confidence') {
+            const { minConfidence, minScale, maxScale, maxRisk } = this.sizing.confidence;
+            const confidence = tradingSignal.confidence ?? 0;
+            if (confidence < minConfidence) {
+                log.warn(`[RISK] Confidence ${confidence} is below the sizing minimum of ${minConfidence}. Aborting trade.`);
+                return null;
+            }
+            const scale = minScale + (maxScale - minScale) * clamp(confidence / 10, 0, 1);
+            return Math.min(this.riskPerTrade * scale, maxRisk);
+        }
+
+        if (mode === 'volatility') {
+            const { targetAtrPercent, atrPeriod, maxRisk } = this.sizing.volatility;
+            const atr = ohlc.length > atrPeriod ? atrSeries(ohlc, atrPeriod).at(-1) : null;
+            if (!(atr > 0)) {
+                log.warn(`[RISK] Not enough candles for ATR(${atrPeriod}). Falling back to fixed risk of ${this.riskPerTrade}.`);
+                return this.riskPerTrade;
+            }
+            const units = (balance * targetAtrPercent) / atr;
+            return Math.min((units * riskPerUnit) / balance, maxRisk);
+        }
+
+        if (mode === 'kelly') {
+            const { fraction, minTrades, minRisk, maxRisk } = this.sizing.kelly;
+            const kelly = this._kellyFraction();
+            if (kelly === null) {
+                log.info(`[RISK] Not enough closed trades to estimate Kelly (need ${minTrades} with at least one loss). Using fixed risk of ${this.riskPerTrade}.`);
+                return this.riskPerTrade;
+            }
+            if (kelly <= 0) {
+                log.warn(`[RISK] Kelly estimate ${kelly.toFixed(3)} over the last ${this.account.recentPnls.length} trades shows no edge. Skipping trade.`);
+                log.metric('risk_kelly_no_edge', 1, 'count');
+                return null;
+            }
+            return clamp(kelly * fraction, minRisk, maxRisk);
+        }
+
+        return this.riskPerTrade;
     }
 
     /**
      * Calculates the position size based on the AI's trade plan.
      * The AI now provides the stop-loss and take-profit distances.
      * This version adds a safeguard to prevent oversized positions from tight stop-losses.
-     * @param {object} marketData - Contains balance and last price.
+     * @param {object} marketData - Contains balance and last price, and optionally the instrument's
+     * contract spec (`instrument`, see InstrumentSpecs) used for rounding, minimum size and leverage,
+     * the account `equity` (portfolio value), `otherMaintenanceMargin` of positions already held, and
+     * `funding` (see DataHandler.fetchFundingContext) with `expectedHoldHours` for the funding rule.
      * @param {object} tradingSignal - The full trade plan from the AI.
      * @returns {object|null} The final trade parameters, or null if risk is invalid.
      */
     calculateTradeParameters(marketData, tradingSignal) {
         const { balance, ohlc } = marketData;
+        const spec = marketData.instrument || FALLBACK_SPEC;
+        const leverage = spec.maxLeverage ? Math.min(this.leverage, spec.maxLeverage) : this.leverage;
         const lastPrice = ohlc[ohlc.length - 1].close;
 
         if (!balance || balance <= 0 || !lastPrice || lastPrice <= 0) {
@@ -25,7 +398,7 @@ export class RiskManager {
             return null;
         }
 
-        const { stop_loss_distance_in_usd, take_profit_distance_in_usd } = tradingSignal;
+        let { stop_loss_distance_in_usd, take_profit_distance_in_usd } = tradingSignal;
 
         if (!stop_loss_distance_in_usd || stop_loss_distance_in_usd <= 0) {
             log.warn('[RISK] AI provided an invalid stop-loss distance. Aborting trade.');
@@ -36,41 +409,85 @@ export class RiskManager {
             return null;
         }
 
-        // --- Step 1: Calculate Position Sizing based on 2% risk ---
+        const bounded = this._applyStopBounds(ohlc, stop_loss_distance_in_usd, take_profit_distance_in_usd);
+        if (!bounded) return null;
+        stop_loss_distance_in_usd = bounded.stop;
+        take_profit_distance_in_usd = bounded.target;
+
+        if (!this._checkFundingCost(marketData, tradingSignal.signal, stop_loss_distance_in_usd, lastPrice)) return null;
+
+        // --- Step 1: Calculate Position Sizing based on the configured sizing mode ---
         const riskPerUnit = stop_loss_distance_in_usd;
-        const totalCapitalToRisk = balance * 0.02;
+        const riskFraction = this._riskFraction(ohlc, tradingSignal, riskPerUnit, balance);
+        if (!riskFraction) return null;
+        const totalCapitalToRisk = balance * riskFraction;
         const sizeBasedOnRisk = totalCapitalToRisk / riskPerUnit;
 
         // --- Step 2: Calculate a safety cap based on available margin ---
         // This calculation now correctly includes the margin buffer to prevent the error.
-        const maxPositionValueWithBuffer = (balance * this.leverage) / (1 + this.marginBuffer);
+        const maxPositionValueWithBuffer = (balance * leverage) / (1 + this.marginBuffer);
         const sizeBasedOnMargin = maxPositionValueWithBuffer / lastPrice;
 
         // --- Step 3: Use the smaller of the two calculated sizes ---
-        // This ensures we never risk more than 2% AND never take a position we can't afford.
-        let sizeInUnits = Math.min(sizeBasedOnRisk, sizeBasedOnMargin);
+        // This ensures we never risk more than the sizing mode allows AND never take a position we can't afford.
+        // Orders are sized in contracts, rounded down to the instrument's size increment.
+        let sizeInUnits = roundSize(Math.min(sizeBasedOnRisk, sizeBasedOnMargin) / spec.contractSize, spec);
+
+        // --- Step 4: Keep the stop safely inside the estimated liquidation price ---
+        const liquidation = {
+            side: tradingSignal.signal,
+            entryPrice: lastPrice,
+            equity: marketData.equity ?? balance,
+            maintenanceMarginRate: spec.maintenanceMargin || this.liquidation.defaultMaintenanceMargin,
+            otherMaintenanceMargin: marketData.otherMaintenanceMargin ?? 0
+        };
+        const safeStopDistance = units => {
+            const liq = estimateLiquidationPrice({ ...liquidation, units });
+            return liq === null ? Infinity : Math.abs(lastPrice - liq) * this.liquidation.maxStopFraction;
+        };
+        if (stop_loss_distance_in_usd > safeStopDistance(sizeInUnits * spec.contractSize)) {
+            const liqPrice = estimateLiquidationPrice({ ...liquidation, units: sizeInUnits * spec.contractSize });
+            const message = `Stop distance ${stop_loss_distance_in_usd.toFixed(2)} is not safely inside the estimated liquidation price ${liqPrice.toFixed(2)} for size ${sizeInUnits}`;
+            log.metric('risk_liquidation_violation', 1, 'count', { action: this.liquidation.onViolation });
+            if (this.liquidation.onViolation === 'reject') {
+                log.warn(`[RISK] ${message}. Rejecting trade.`);
+                return null;
+            }
+            // Largest size whose liquidation distance still covers the stop: solve
+            // stopDistance = maxStopFraction * |entry - liquidation(units)| for units.
+            const { equity, otherMaintenanceMargin, maintenanceMarginRate: m } = liquidation;
+            const k = this.liquidation.maxStopFraction;
+            const sideFactor = tradingSignal.signal === 'LONG' ? 1 - m : 1 + m;
+            const maxUnits = Math.max(0, (equity - otherMaintenanceMargin) * k / (stop_loss_distance_in_usd * sideFactor + lastPrice * m * k));
+            sizeInUnits = roundSize(Math.min(sizeInUnits, maxUnits / spec.contractSize), spec);
+            log.warn(`[RISK] ${message}. Resized to ${sizeInUnits}.`);
+        }
 
         // --- Final Safety Checks ---
-        const positionValueUSD = sizeInUnits * lastPrice;
-        const marginRequired = (positionValueUSD / this.leverage) * (1 + this.marginBuffer);
+        const positionValueUSD = sizeInUnits * spec.contractSize * lastPrice;
+        const marginRequired = (positionValueUSD / leverage) * (1 + this.marginBuffer);
 
         if (marginRequired > balance) {
             // This check should now always pass with the corrected logic above.
             log.warn(`[RISK] Insufficient funds. Required: $${marginRequired.toFixed(2)}, Available: $${balance.toFixed(2)}`);
             return null;
         }
-        if (sizeInUnits < 0.0001) {
-            log.warn(`[FAIL] Size is too small: ${sizeInUnits.toFixed(4)}. Aborting trade.`);
+        if (sizeInUnits < spec.minSize) {
+            log.warn(`[FAIL] Size is too small: ${sizeInUnits} (minimum ${spec.minSize}). Aborting trade.`);
             return null;
         }
 
         const stopLossPrice = tradingSignal.signal === 'LONG' ? lastPrice - stop_loss_distance_in_usd : lastPrice + stop_loss_distance_in_usd;
         const takeProfitPrice = tradingSignal.signal === 'LONG' ? lastPrice + take_profit_distance_in_usd : lastPrice - take_profit_distance_in_usd;
 
+        const liquidationPrice = estimateLiquidationPrice({ ...liquidation, units: sizeInUnits * spec.contractSize });
+
         const tradeParams = {
-            size: parseFloat(sizeInUnits.toFixed(4)),
-            stopLoss: parseFloat(stopLossPrice.toFixed(0)),
-            takeProfit: parseFloat(takeProfitPrice.toFixed(0)),
+            size: sizeInUnits,
+            stopLoss: roundPrice(stopLossPrice, spec),
+            takeProfit: roundPrice(takeProfitPrice, spec),
+            liquidationPrice: liquidationPrice === null ? null : roundPrice(liquidationPrice, spec),
+            sizing: { mode: this.sizing.mode, riskFraction: parseFloat(riskFraction.toFixed(5)) }
         };
         return tradeParams;
     }
@@ -0,0 +1,169 @@
+// signalSchema.js – declared shapes for AI responses, with coercion and validation
+
+export const TIMEFRAMES = ['1 hour', '4 hour', '1 day', '1 week'];
+
+// Candle length in minutes for each timeframe (Kraken OHLC `interval`).
+export const TIMEFRAME_MINUTES = {
+    '1 hour': 60,
+    '4 hour': 240,
+    '1 day': 1440,
+    '1 week': 10080
+};
+
+const TIMEFRAME_ALIASES = {
+    '1h': '1 hour', '1 hr': '1 hour', '1hour': '1 hour', '60': '1 hour',
+    '4h': '4 hour', '4 hr': '4 hour', '4hour': '4 hour', '4 hours': '4 hour', '240': '4 hour',
+    '1d': '1 day', 'daily': '1 day', '1day': '1 day', '1440': '1 day',
+    '1w': '1 week', 'weekly': '1 week', '1week': '1 week', '10080': '1 week'
+};
+
+const isHold = obj => obj.signal === 'HOLD';
+
+/**
+ * Field rules:
+ *  - type: 'enum' | 'number' | 'string'
+ *  - values: allowed values for enums (compared after normalisation)
+ *  - normalize: maps a raw string onto a canonical value before the enum check
+ *  - min / max: inclusive numeric bounds; positive: must be > 0
+ *  - optionalWhen: predicate on the already-coerced object; the field may then be missing/zero
+ *  - default: value used when the field is missing (the field is then not required)
+ *  - note: extra hint shown to the model in repair prompts
+ */
+export const SIGNAL_SCHEMA = {
+    name: 'signal',
+    fields: {
+        signal: { type: 'enum', values: ['LONG', 'SHORT', 'HOLD'], normalize: v => v.trim().toUpperCase() },
+        confidence: { type: 'number', min: 0, max: 10 },
+        stop_loss_distance_in_usd: { type: 'number', positive: true, optionalWhen: isHold, note: '0 allowed when signal is HOLD' },
+        take_profit_distance_in_usd: { type: 'number', positive: true, optionalWhen: isHold, note: '0 allowed when signal is HOLD' },
+        reason: { type: 'string', default: '' }
+    }
+};
+
+export const TIMEFRAME_SCHEMA = {
+    name: 'timeframe',
+    fields: {
+        timeframe: {
+            type: 'enum',
+            values: TIMEFRAMES,
+            normalize: v => {
+                const s = v.trim().toLowerCase().replace(/s$/, '');
+                return TIMEFRAME_ALIASES[s] || TIMEFRAME_ALIASES[v.trim().toLowerCase()] || s;
+            }
+        },
+        reason: { type: 'string' }
+    }
+};
+
+/**
+ * Extracts the first `{...}` block from a model response and parses it.
+ * @param {string} text - Raw model output.
+ * @returns {{ok: boolean, value?: object, errors?: Array<object>}}
+ */
+export function parseJsonResponse(text) {
+    const jsonMatch = typeof text === 'string' ? text.match(/\{.*\}/s)?.[0] : null;
+    if (!jsonMatch) {
+        return { ok: false, errors: [{ field: null, code: 'NO_JSON', message: 'no JSON object found in response' }] };
+    }
+    try {
+        const value = JSON.parse(jsonMatch);
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return { ok: false, errors: [{ field: null, code: 'NOT_AN_OBJECT', message: 'response JSON is not an object' }] };
+        }
+        return { ok: true, value };
+    } catch (e) {
+        return { ok: false, errors: [{ field: null, code: 'INVALID_JSON', message: e.message }] };
+    }
+}
+
+function coerceNumber(raw) {
+    if (typeof raw === 'number') return raw;
+    if (typeof raw === 'string') {
+        const cleaned = raw.trim().replace(/^\$/, '').replace(/,/g, '');
+        if (cleaned !== '' && !isNaN(cleaned)) return Number(cleaned);
+    }
+    return NaN;
+}
+
+/**
+ * Validates an object against a schema, coercing values where it is safe to do so.
+ * Unknown fields are passed through untouched.
+ * @param {object} schema - One of the schemas exported by this module.
+ * @param {object} input - The parsed response.
+ * @returns {{ok: boolean, value: object, errors: Array<{field: string, code: string, message: string}>}}
+ */
+export function validateAgainstSchema(schema, input) {
+    const value = { ...input };
+    const errors = [];
+    const entries = Object.entries(schema.fields);
+
+    // Enums first so that `optionalWhen` predicates see canonical values.
+    entries.sort(([, a], [, b]) => (a.type === 'enum' ? 0 : 1) - (b.type === 'enum' ? 0 : 1));
+
+    for (const [field, rule] of entries) {
+        const raw = value[field];
+        const optional = rule.optionalWhen?.(value);
+
+        if (raw === undefined || raw === null || raw === '') {
+            if (rule.default !== undefined) {
+                value[field] = rule.default;
+                continue;
+            }
+            if (optional) {
+                if (rule.type === 'number') value[field] = 0;
+                continue;
+            }
+            errors.push({ field, code: 'MISSING_FIELD', message: `"${field}" is required` });
+            continue;
+        }
+
+        if (rule.type === 'enum') {
+            const normalized = typeof raw === 'string' && rule.normalize ? rule.normalize(raw) : raw;
+            if (!rule.values.includes(normalized)) {
+                errors.push({ field, code: 'INVALID_ENUM', message: `"${field}" must be one of ${rule.values.join(', ')}; got ${JSON.stringify(raw)}` });
+                continue;
+            }
+            value[field] = normalized;
+        } else if (rule.type === 'number') {
+            const num = coerceNumber(raw);
+            if (!Number.isFinite(num)) {
+                errors.push({ field, code: 'NOT_A_NUMBER', message: `"${field}" must be a number; got ${JSON.stringify(raw)}` });
+                continue;
+            }
+            if (rule.positive && num <= 0 && !(optional && num === 0)) {
+                errors.push({ field, code: 'NOT_POSITIVE', message: `"${field}" must be greater than 0; got ${num}` });
+                continue;
+            }
+            if ((rule.min !== undefined && num < rule.min) || (rule.max !== undefined && num > rule.max)) {
+                errors.push({ field, code: 'OUT_OF_RANGE', message: `"${field}" must be between ${rule.min} and ${rule.max}; got ${num}` });
+                continue;
+            }
+            value[field] = num;
+        } else if (rule.type === 'string') {
+            if (typeof raw !== 'string') {
+                errors.push({ field, code: 'INVALID_TYPE', message: `"${field}" must be a string` });
+                continue;
+            }
+            value[field] = raw.trim();
+        }
+    }
+
+    return { ok: errors.length === 0, value, errors };
+}
+
+/**
+ * Renders a schema as a short human-readable description for repair prompts.
+ * @param {object} schema
+ * @returns {string}
+ */
+export function describeSchema(schema) {
+    return Object.entries(schema.fields).map(([field, rule]) => {
+        const note = rule.note ? ` (${rule.note})` : '';
+        if (rule.type === 'enum') return `"${field}": one of ${rule.values.map(v => `"${v}"`).join(', ')}${note}`;
+        if (rule.type === 'number') {
+            const bounds = rule.positive ? 'greater than 0' : `between ${rule.min} and ${rule.max}`;
+            return `"${field}": number ${bounds}${note}`;
+        }
+        return `"${field}": string${note}`;
+    }).join('\n');
+}
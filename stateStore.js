@@ -0,0 +1,63 @@
+// stateStore.js – durable JSON state for the live bot
+import fs from 'fs/promises';
+import { log } from './logger.js';
+
+/**
+ * @class StateStore
+ * @description Persists bot runtime state to a JSON file. Writes go to a temp file that is
+ * fsync'd and renamed over the target, so a crash mid-write never leaves a truncated file.
+ * Saves are serialised; the last one queued wins.
+ */
+export class StateStore {
+    constructor(filePath = 'bot-state.json') {
+        this.filePath = filePath;
+        this.tmpPath = `${filePath}.tmp`;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Reads the stored state.
+     * @returns {Promise<object|null>} The stored state, or null if none exists or it is unreadable.
+     */
+    async load() {
+        try {
+            const data = await fs.readFile(this.filePath, 'utf8');
+            const state = JSON.parse(data);
+            log.info(`[STATE] Loaded bot state from ${this.filePath} (saved ${state.savedAt}).`);
+            return state;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                log.info(`[STATE] No state file at ${this.filePath}. Starting fresh.`);
+            } else {
+                log.error(`[STATE] Failed to read state file ${this.filePath}. Starting fresh.`, error);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Atomically writes the state to disk.
+     * @param {object} state - Any JSON-serialisable object.
+     * @returns {Promise<void>}
+     */
+    save(state) {
+        const payload = JSON.stringify({ ...state, savedAt: new Date().toISOString() }, null, 2);
+        this.queue = this.queue.then(() => this._write(payload));
+        return this.queue;
+    }
+
+    async _write(payload) {
+        try {
+            const handle = await fs.open(this.tmpPath, 'w');
+            try {
+                await handle.writeFile(payload, 'utf8');
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+            await fs.rename(this.tmpPath, this.filePath);
+        } catch (error) {
+            log.error(`[STATE] Failed to write state file ${this.filePath}.`, error);
+        }
+    }
+}
@@ -0,0 +1,182 @@
+// strategies.js – deterministic rule-based strategies and the strategy factory
+import { log } from './logger.js';
+import { Strategy } from './strategy.js';
+import { StrategyEngine } from './strategyEngine.js';
+import { emaSeries, rsiSeries, macdHistogramSeries, atrSeries } from './indicators.js';
+
+const round1 = n => Math.round(n * 10) / 10;
+const clampConfidence = n => round1(Math.max(0, Math.min(10, n)));
+
+/**
+ * @class RuleBasedStrategy
+ * @description Shared plumbing for the indicator strategies: data sufficiency checks
+ * and ATR-based stop/target distances.
+ */
+class RuleBasedStrategy extends Strategy {
+    constructor(name, { timeframe, atrPeriod = 14, stopAtr = 2, targetAtr = 3 } = {}) {
+        super({ name, timeframe });
+        this.atrPeriod = atrPeriod;
+        this.stopAtr = stopAtr;
+        this.targetAtr = targetAtr;
+    }
+
+    get minCandles() {
+        return this.atrPeriod + 1;
+    }
+
+    async generateSignal(marketData) {
+        const ohlc = marketData?.ohlc;
+        if (!ohlc?.length) {
+            log.error(`[${this.name}] Received an empty or invalid marketData object.`);
+            return this._fail('No OHLC');
+        }
+        if (ohlc.length < this.minCandles) {
+            log.warn(`[${this.name}] Insufficient data. Need ${this.minCandles} candles, have ${ohlc.length}.`);
+            return this._fail('Insufficient data');
+        }
+
+        const atr = atrSeries(ohlc, this.atrPeriod).at(-1);
+        if (!(atr > 0)) return this._fail('ATR unavailable');
+
+        const decision = this._evaluate(ohlc, atr);
+        if (decision.signal === 'HOLD') return this._fail(decision.reason);
+
+        return {
+            signal: decision.signal,
+            confidence: clampConfidence(decision.confidence),
+            stop_loss_distance_in_usd: parseFloat((atr * this.stopAtr).toFixed(2)),
+            take_profit_distance_in_usd: parseFloat((atr * this.targetAtr).toFixed(2)),
+            reason: decision.reason
+        };
+    }
+
+    /**
+     * @param {Array<object>} ohlc - Candles, oldest first.
+     * @param {number} atr - Latest ATR value.
+     * @returns {{signal: string, confidence?: number, reason: string}}
+     */
+    _evaluate(ohlc, atr) {
+        throw new Error(`${this.constructor.name} must implement _evaluate()`);
+    }
+}
+
+/**
+ * @class DonchianBreakoutStrategy
+ * @description Goes with a close beyond the prior `period`-candle high/low (plus a small buffer).
+ */
+export class DonchianBreakoutStrategy extends RuleBasedStrategy {
+    constructor({ period = 21, bufferPct = 0.0015, ...rest } = {}) {
+        super('donchian', rest);
+        this.period = period;
+        this.bufferPct = bufferPct;
+    }
+
+    get minCandles() {
+        return Math.max(this.period + 1, super.minCandles);
+    }
+
+    _evaluate(ohlc, atr) {
+        const cur = ohlc.at(-1);
+        const prev = ohlc.slice(-this.period - 1, -1);
+        const hh = Math.max(...prev.map(c => c.high));
+        const ll = Math.min(...prev.map(c => c.low));
+        const buffer = cur.close * this.bufferPct;
+
+        if (cur.close > hh + buffer) {
+            return { signal: 'LONG', confidence: 5 + 5 * (cur.close - hh) / atr, reason: `Close ${cur.close} broke above ${this.period}-bar high ${hh}.` };
+        }
+        if (cur.close < ll - buffer) {
+            return { signal: 'SHORT', confidence: 5 + 5 * (ll - cur.close) / atr, reason: `Close ${cur.close} broke below ${this.period}-bar low ${ll}.` };
+        }
+        return { signal: 'HOLD', reason: `Close ${cur.close} inside ${this.period}-bar channel ${ll}–${hh}.` };
+    }
+}
+
+/**
+ * @class EmaCrossoverStrategy
+ * @description Trades a fast/slow EMA cross on the latest candle, optionally confirmed by the MACD histogram.
+ */
+export class EmaCrossoverStrategy extends RuleBasedStrategy {
+    constructor({ fastPeriod = 50, slowPeriod = 200, confirmMacd = true, ...rest } = {}) {
+        super('ema_cross', rest);
+        this.fastPeriod = fastPeriod;
+        this.slowPeriod = slowPeriod;
+        this.confirmMacd = confirmMacd;
+    }
+
+    get minCandles() {
+        return Math.max(this.slowPeriod + 1, 35, super.minCandles);
+    }
+
+    _evaluate(ohlc, atr) {
+        const fast = emaSeries(ohlc, this.fastPeriod);
+        const slow = emaSeries(ohlc, this.slowPeriod);
+        const [prevFast, curFast] = fast.slice(-2);
+        const [prevSlow, curSlow] = slow.slice(-2);
+        const hist = this.confirmMacd ? macdHistogramSeries(ohlc).at(-1) : null;
+        const spread = Math.abs(curFast - curSlow);
+
+        if (prevFast <= prevSlow && curFast > curSlow) {
+            if (this.confirmMacd && !(hist > 0)) return { signal: 'HOLD', reason: 'Bullish EMA cross not confirmed by MACD.' };
+            return { signal: 'LONG', confidence: 6 + 4 * spread / atr, reason: `EMA${this.fastPeriod} crossed above EMA${this.slowPeriod}.` };
+        }
+        if (prevFast >= prevSlow && curFast < curSlow) {
+            if (this.confirmMacd && !(hist < 0)) return { signal: 'HOLD', reason: 'Bearish EMA cross not confirmed by MACD.' };
+            return { signal: 'SHORT', confidence: 6 + 4 * spread / atr, reason: `EMA${this.fastPeriod} crossed below EMA${this.slowPeriod}.` };
+        }
+        return { signal: 'HOLD', reason: `No EMA${this.fastPeriod}/EMA${this.slowPeriod} cross.` };
+    }
+}
+
+/**
+ * @class RsiMeanReversionStrategy
+ * @description Fades RSI extremes: long when oversold, short when overbought.
+ */
+export class RsiMeanReversionStrategy extends RuleBasedStrategy {
+    constructor({ rsiPeriod = 14, oversold = 30, overbought = 70, ...rest } = {}) {
+        super('rsi_reversion', rest);
+        this.rsiPeriod = rsiPeriod;
+        this.oversold = oversold;
+        this.overbought = overbought;
+    }
+
+    get minCandles() {
+        return Math.max(this.rsiPeriod + 1, super.minCandles);
+    }
+
+    _evaluate(ohlc) {
+        const rsi = rsiSeries(ohlc, this.rsiPeriod).at(-1);
+
+        if (rsi < this.oversold) {
+            return { signal: 'LONG', confidence: 5 + 10 * (this.oversold - rsi) / this.oversold, reason: `RSI${this.rsiPeriod} ${rsi} below ${this.oversold}.` };
+        }
+        if (rsi > this.overbought) {
+            return { signal: 'SHORT', confidence: 5 + 10 * (rsi - this.overbought) / (100 - this.overbought), reason: `RSI${this.rsiPeriod} ${rsi} above ${this.overbought}.` };
+        }
+        return { signal: 'HOLD', reason: `RSI${this.rsiPeriod} ${rsi} is neutral.` };
+    }
+}
+
+const STRATEGIES = {
+    ai: opts => new StrategyEngine(opts),
+    donchian: opts => new DonchianBreakoutStrategy(opts),
+    ema_cross: opts => new EmaCrossoverStrategy(opts),
+    rsi_reversion: opts => new RsiMeanReversionStrategy(opts)
+};
+
+export const STRATEGY_NAMES = Object.keys(STRATEGIES);
+
+/**
+ * Builds a strategy by name.
+ * @param {string} [name='ai'] - One of STRATEGY_NAMES.
+ * @param {object} [options] - Passed to the strategy constructor (LLM config for 'ai').
+ * @returns {Strategy}
+ */
+export function createStrategy(name = 'ai', options = {}) {
+    const factory = STRATEGIES[name];
+    if (!factory) {
+        log.error(`Unknown strategy "${name}". Expected one of: ${STRATEGY_NAMES.join(', ')}.`);
+        throw new Error(`Unknown strategy: ${name}`);
+    }
+    return factory(options);
+}
@@ -0,0 +1,34 @@
+// strategy.js – common interface for signal generators
+
+/**
+ * @class Strategy
+ * @description Base class every signal generator implements. The live bot and the
+ * backtester only talk to this surface:
+ *  - `selectTimeframeAndStrategy(allOhlcData, commit, symbol)` → `{ timeframe, strategy, reason }`
+ *  - `generateSignal(marketData, timeframe, strategy)` →
+ *    `{ signal, confidence, stop_loss_distance_in_usd, take_profit_distance_in_usd, reason }`
+ * `marketData.symbol`, when set, names the instrument being traded.
+ * `usesLlm` tells callers whether a call costs an API request.
+ */
+export class Strategy {
+    constructor({ name = 'strategy', timeframe = '1 hour', usesLlm = false } = {}) {
+        this.name = name;
+        this.timeframe = timeframe;
+        this.usesLlm = usesLlm;
+    }
+
+    /**
+     * Rule-based strategies trade a fixed timeframe; override to choose dynamically.
+     */
+    async selectTimeframeAndStrategy(allOhlcData, commit, symbol) {
+        return { timeframe: this.timeframe, strategy: this.name, reason: `Fixed timeframe for ${this.name}.` };
+    }
+
+    async generateSignal(marketData, timeframe, strategy) {
+        throw new Error(`${this.constructor.name} must implement generateSignal()`);
+    }
+
+    _fail(reason) {
+        return { signal: 'HOLD', confidence: 0, stop_loss_distance_in_usd: 0, take_profit_distance_in_usd: 0, reason };
+    }
+}
@@ -1,96 +1,123 @@
 import fs from 'fs';
-import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from '@google/generative-ai';
 import { log } from './logger.js';
+import { Strategy } from './strategy.js';
+import { createLlmProvider } from './llmProviders.js';
+import { LlmCacheMissError } from './llmCache.js';
+import { SIGNAL_SCHEMA, TIMEFRAME_SCHEMA, parseJsonResponse, validateAgainstSchema, describeSchema } from './signalSchema.js';
 
-const BOT_START_TIME = new Date().toISOString();
+const DEFAULT_SYMBOL = 'PF_XBTUSD';
 
-const readLast10ClosedTradesFromFile = () => {
+// The live bot's closed-trade history is trades.json (reconstructed from exchange fills).
+const readTradeLog = () => {
     try {
-        return JSON.parse(fs.readFileSync('./trades.json', 'utf8'))
-            .filter(t => t.exitTime)
-            .slice(-10);
+        return JSON.parse(fs.readFileSync('./trades.json', 'utf8'));
     } catch {
         return [];
     }
 };
 
-function buildLast10ClosedFromRawFills(rawFills, n = 10) {
-    if (!Array.isArray(rawFills) || rawFills.length === 0) return [];
-
-    const eligible = rawFills.filter(
-        f => new Date(f.fillTime) >= new Date(BOT_START_TIME)
-    );
-    if (eligible.length === 0) return [];
-
-    const fills = [...eligible].reverse();
-    const queue = [];
-    const closed = [];
-
-    for (const f of fills) {
-        const side = f.side === 'buy' ? 'LONG' : 'SHORT';
-        if (!queue.length || queue.at(-1).side === side) {
-            queue.push({ side, entryTime: f.fillTime, entryPrice: f.price, size: f.size });
-            continue;
-        }
-
-        let remaining = f.size;
-        while (remaining > 0 && queue.length && queue[0].side !== side) {
-            const open = queue.shift();
-            const match = Math.min(remaining, open.size);
-            const pnl = (f.price - open.entryPrice) * match * (open.side === 'LONG' ? 1 : -1);
-            closed.push({
-                side: open.side,
-                entryTime: open.entryTime,
-                entryPrice: open.entryPrice,
-                exitTime: f.fillTime,
-                exitPrice: f.price,
-                size: match,
-                pnl
-            });
-            remaining -= match;
-            open.size -= match;
-            if (open.size > 0) queue.unshift(open);
-        }
-
-        if (remaining > 0) {
-            queue.push({ side, entryTime: f.fillTime, entryPrice: f.price, size: remaining });
-        }
-    }
-
-    const last10 = closed.slice(-n).reverse();
-    return last10;
-}
+const last10ClosedTrades = (trades, symbol) => trades
+    .filter(t => t.exitTime && (!symbol || !t.symbol || t.symbol === symbol))
+    .slice(-10)
+    .map(({ side, signal, entryPrice, lastPrice, entryTime, exitPrice, exitTime, exitReason, size, pnl }) => ({
+        side: side ?? signal, entryPrice: entryPrice ?? lastPrice, entryTime, exitPrice, exitTime, exitReason, size, pnl
+    }));
+
+// How the strategy prompt describes per-trade risk; left out when the caller does not say.
+const riskTolerance = (riskPerTrade, sizingMode = 'fixed') => {
+    if (!(riskPerTrade > 0)) return '';
+    const scaled = sizingMode === 'fixed' ? '' : `, scaled by ${sizingMode} position sizing`;
+    return ` with a risk tolerance of ${+(riskPerTrade * 100).toFixed(2)}% of capital per trade${scaled}`;
+};
 
-export class StrategyEngine {
-    constructor() {
-        if (!process.env.GEMINI_API_KEY) {
-            log.error('GEMINI_API_KEY environment variable is not set.');
-            throw new Error('API key missing');
-        }
-        const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        const safety = [{ category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE }];
-        this.model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash-lite', safetySettings: safety });
+/**
+ * @class StrategyEngine
+ * @description The LLM-driven strategy: the model picks the timeframe and strategy, then the signal.
+ */
+export class StrategyEngine extends Strategy {
+    /**
+     * @param {object} [config] - LLM configuration, see `createLlmProvider`.
+     * @param {object} [config.llm] - A ready-made provider instance; skips the factory.
+     * @param {number} [config.retryDelayMs] - Wait between failed calls.
+     * @param {number} [config.riskPerTrade] - Fraction of capital risked per trade, quoted in the strategy prompt.
+     * @param {string} [config.sizingMode='fixed'] - RiskManager sizing mode, quoted alongside it.
+     */
+    constructor(config = {}) {
+        super({ name: 'ai', usesLlm: true });
+        this.llm = config.llm || createLlmProvider(config);
+        this.retryDelayMs = config.retryDelayMs ?? 61_000;
+        this.riskTolerance = riskTolerance(config.riskPerTrade, config.sizingMode);
+        log.info(`StrategyEngine using ${this.llm.name} provider with model "${this.llm.model}".`);
     }
 
     async _callWithRetry(prompt, max = 4) {
         for (let i = 1; i <= max; i++) {
             try {
-                const res = await this.model.generateContent(prompt);
-                const text = res.response.text?.();
+                const text = await this.llm.generate(prompt);
                 if (!text?.length) throw new Error('Empty response');
                 return { ok: true, text };
             } catch (err) {
+                // A replay-only cache miss will not resolve itself; stop the run instead of retrying.
+                if (err instanceof LlmCacheMissError) throw err;
                 log.error(`API Call failed on retry ${i} of ${max}`, err);
                 if (i === max) {
                     return { ok: false, error: err };
                 }
-                await new Promise(r => setTimeout(r, 61_000));
+                await new Promise(r => setTimeout(r, this.retryDelayMs));
             }
         }
     }
 
-    async selectTimeframeAndStrategy(allOhlcData, commit) {
-        const timeframePrompt = `Based on the OHLC data provided and recent strategy commitment, select a timeframe for a trading bot to trade on.
+    /**
+     * Parses a raw model response and validates it against a schema.
+     * Every failure is logged with its reason code.
+     * @returns {{ok: boolean, value?: object, errors?: Array<object>}}
+     */
+    _parseAndValidate(text, schema, attempt) {
+        const parsed = parseJsonResponse(text);
+        const result = parsed.ok ? validateAgainstSchema(schema, parsed.value) : parsed;
+        if (!result.ok) {
+            for (const err of result.errors) {
+                log.warn(`[VALIDATION] ${schema.name} response rejected (${err.code}) on ${attempt} attempt: ${err.message}`);
+                log.metric('ai_validation_failure', 1, 'count', { schema: schema.name, code: err.code, field: err.field, attempt });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Validates a response and, if it is off-format, sends a single repair prompt
+     * listing the validation errors.
+     * @returns {Promise<{ok: boolean, value?: object, errors?: Array<object>}>}
+     */
+    async _validateWithRepair(prompt, text, schema) {
+        const first = this._parseAndValidate(text, schema, 'initial');
+        if (first.ok) return first;
+
+        const repairPrompt = `${prompt}
+
+Your previous response could not be used:
+${text}
+
+Validation errors:
+${first.errors.map(e => `- [${e.code}] ${e.message}`).join('\n')}
+
+Respond again with ONLY a JSON object with these fields:
+${describeSchema(schema)}
+`;
+        log.info(`Sending repair prompt for ${schema.name} response...`);
+        const repair = await this._callWithRetry(repairPrompt);
+        if (!repair.ok) {
+            log.error(`Repair prompt for ${schema.name} response failed.`, repair.error);
+            return first;
+        }
+        const second = this._parseAndValidate(repair.text, schema, 'repair');
+        if (second.ok) log.info(`Repair prompt for ${schema.name} response succeeded.`);
+        return second;
+    }
+
+    async selectTimeframeAndStrategy(allOhlcData, commit, symbol = DEFAULT_SYMBOL) {
+        const timeframePrompt = `Based on the OHLC data provided and recent strategy commitment, select a timeframe for a ${symbol} trading bot to trade on.
 Respond with a JSON object containing "reason" and "timeframe".
 The timeframe must be one of the following: '1 hour', '4 hour', '1 day', '1 week'.
 Do not include any other text.
@@ -104,7 +131,7 @@ Strategy: "${commit.prevS}"
 Upheld for ${commit.tfC} cycles
 `;
 
-        log.info('Calling Gemini to select timeframe...');
+        log.info(`Calling ${this.llm.name} to select timeframe...`);
         const { ok, text, error } = await this._callWithRetry(timeframePrompt);
 
         if (!ok) {
@@ -112,32 +139,23 @@ Upheld for ${commit.tfC} cycles
             return { timeframe: '1 day', strategy: 'Default Strategy', reason: 'AI failed to respond.' };
         }
 
-        try {
-            const jsonMatch = text.match(/\{.*\}/s)?.[0];
-            if (!jsonMatch) {
-                log.error('Could not find a valid JSON object in the AI response for timeframe. Returning default.');
-                return { timeframe: '1 day', strategy: 'Default Strategy', reason: 'AI response malformed.' };
-            }
-            const decision = JSON.parse(jsonMatch);
-            if (!decision.timeframe || !decision.reason) {
-                log.error('AI response for timeframe was not in expected format. Defaulting to 1 day.');
-                return { timeframe: '1 day', strategy: 'Default Strategy', reason: 'AI response malformed.' };
-            }
-
-            const strategyPrompt = `Based on this timeframe and the reason for choosing it, select a strategy for a PF_XBTUSD trading bot with a risk tolerance of 2% of capital per trade and a dynamic approach to strategy to adhere to. Timeframe: ${decision.timeframe}\n\nReason: ${decision.reason}`;
-            log.info('Calling Gemini to select strategy...');
-            const strategyRes = await this._callWithRetry(strategyPrompt);
-            const strategy = strategyRes.ok ? strategyRes.text.trim() : 'Failed to select strategy.';
-            
-            return { timeframe: decision.timeframe, strategy: strategy, reason: decision.reason };
-
-        } catch (e) {
-            log.error(`Failed to parse AI response as JSON for timeframe selection. Raw text: "${text}". Error: ${e.message}`);
+        const decisionRes = await this._validateWithRepair(timeframePrompt, text, TIMEFRAME_SCHEMA);
+        if (!decisionRes.ok) {
+            log.error('AI response for timeframe was not in expected format. Defaulting to 1 day.');
             return { timeframe: '1 day', strategy: 'Default Strategy', reason: 'AI response malformed.' };
         }
+        const decision = decisionRes.value;
+
+        const strategyPrompt = `Based on this timeframe and the reason for choosing it, select a strategy for a ${symbol} trading bot${this.riskTolerance} and a dynamic approach to strategy to adhere to. Timeframe: ${decision.timeframe}\n\nReason: ${decision.reason}`;
+        log.info(`Calling ${this.llm.name} to select strategy...`);
+        const strategyRes = await this._callWithRetry(strategyPrompt);
+        const strategy = strategyRes.ok ? strategyRes.text.trim() : 'Failed to select strategy.';
+
+        return { timeframe: decision.timeframe, strategy: strategy, reason: decision.reason };
     }
 
     _prompt(market, timeframe, strategy) {
+        const symbol = market.symbol || DEFAULT_SYMBOL;
         // Limit OHLC data to the last 52 candles for the prompt
         const ohlc = market.ohlc.slice(-52);
         const closes = ohlc.map(c => c.close);
@@ -157,13 +175,25 @@ Upheld for ${commit.tfC} cycles
         const momPct = ((latest - sma20) / sma20 * 100).toFixed(2);
         const volPct = (atr14 / latest * 100).toFixed(2);
 
-        const last10 = market.fills?.fills
-            ? buildLast10ClosedFromRawFills(market.fills.fills, 10)
-            : readLast10ClosedTradesFromFile();
-        
+        // Backtests hand over their own simulated trades so they never read or write the live log.
+        const last10 = last10ClosedTrades(market.tradeHistory ?? readTradeLog(), symbol);
+        const funding = market.funding;
+        const pct = (rate, digits = 4) => (typeof rate === 'number' ? `${(rate * 100).toFixed(digits)}%` : 'n/a');
+        const perpetualContext = funding ? `
+Perpetual context (OHLC above is spot; ${symbol} settles funding hourly, positive rates mean longs pay shorts):
+- markPrice=${funding.markPrice}
+- indexPrice=${funding.indexPrice}
+- basis=${funding.basis.toFixed(2)} (${pct(funding.basisPercent / 100, 3)} mark vs index)
+- fundingRate=${pct(funding.fundingRate)}/h
+- predictedFundingRate=${pct(funding.predictedFundingRate)}/h
+- avgFundingRate24h=${pct(funding.avgFundingRate24h)}/h
+- fundingHistory24h=${JSON.stringify(funding.fundingHistory.slice(-24).map(r => +(r.rate * 100).toFixed(5)))} (%/h, oldest first)
+` : '';
+
         log.info('Logging last10 closed trades for debugging:', JSON.stringify(last10));
 
         return `Execute the strategy. Generate a json object containing "signal" which is LONG SHORT or HOLD, "confidence" a value measuring calculated confluence between 0 and 10,"stop_loss_distance_in_usd" the distance from the current market price a stop loss order is to be initiated,"take_profit_distance_in_usd" the distance a take profit order is to be initiated, and "reason": your reasoning
+Instrument: ${symbol}
 Timeframe: ${timeframe}
 Strategy: ${strategy}
 
@@ -174,7 +204,7 @@ Indicators:
 - momentum=${momPct}%
 - 14ATR=${volPct}%
 - last10Trades=${JSON.stringify(last10)}
-`;
+${perpetualContext}`;
     }
 
     async generateSignal(marketData, timeframe, strategy) {
@@ -182,9 +212,14 @@ Indicators:
             log.error('Received an empty or invalid marketData object.');
             return this._fail('No OHLC');
         }
+        // _prompt needs 15 candles for ATR(14); resampled backtest data can start shorter.
+        if (marketData.ohlc.length < 16) {
+            log.warn(`Insufficient data for ${timeframe}. Need 16 candles, have ${marketData.ohlc.length}.`);
+            return this._fail('Insufficient data');
+        }
 
         const prompt = this._prompt(marketData, timeframe, strategy);
-        log.info(`Calling Gemini to generate signal for ${timeframe}...`);
+        log.info(`Calling ${this.llm.name} to generate signal for ${timeframe}...`);
         const { ok, text, error } = await this._callWithRetry(prompt);
 
         if (!ok) {
@@ -192,21 +227,11 @@ Indicators:
             return this._fail('API Error');
         }
 
-        try {
-            const jsonMatch = text.match(/\{.*\}/s)?.[0];
-            if (!jsonMatch) {
-                log.error('Could not find a valid JSON object in the API response. Returning default signal.');
-                return this._fail('Parse error');
-            }
-            const signal = JSON.parse(jsonMatch);
-            return signal;
-        } catch (e) {
-            log.error(`Failed to parse API response as JSON. Raw text: "${text}". Error: ${e.message}`);
-            return this._fail('Parse error');
+        const signalRes = await this._validateWithRepair(prompt, text, SIGNAL_SCHEMA);
+        if (!signalRes.ok) {
+            log.error('AI signal response failed validation. Returning default signal.');
+            return this._fail(`Validation error: ${signalRes.errors.map(e => e.code).join(', ')}`);
         }
-    }
-
-    _fail(reason) {
-        return { signal: 'HOLD', confidence: 0, stop_loss_distance_in_usd: 0, take_profit_distance_in_usd: 0, reason };
+        return signalRes.value;
     }
 }
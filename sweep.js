@@ -0,0 +1,283 @@
+// sweep.js – parameter sweeps and walk-forward evaluation over BacktestRunner
+// Usage: node sweep.js <sweep.json> [--workers N]
+//
+// sweep.json:
+// {
+//   "base": { "STRATEGY": "donchian", "START_DATE": "2025-07-02", "END_DATE": "2025-10-01" },
+//   "grid": { "LEVERAGE": [5, 10], "RISK_PER_TRADE": [0.01, 0.02], "STRATEGY_OPTIONS.period": [14, 21] },
+//   "rankBy": "sharpe",
+//   "walkForward": { "inSampleDays": 30, "outOfSampleDays": 10, "stepDays": 10 },
+//   "outputDir": "./reports"
+// }
+// `base` overrides backtestConfig.js; grid keys may use dots for nested options. Without
+// `walkForward` every combination runs over START_DATE..END_DATE and is ranked. With it, the
+// period is cut into rolling in-sample/out-of-sample splits: the grid runs on each in-sample
+// window and its winner is then run on the following out-of-sample window.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+import { Parser as Json2CsvParser } from 'json2csv';
+import { DEFAULT_BACKTEST_CONFIG, validateBacktestConfig } from './backtestConfig.js';
+import { ensureDataFileExists } from './dataFetcher.js';
+import { runBacktest } from './sweepWorker.js';
+import { log } from './logger.js';
+
+const WORKER_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'sweepWorker.js');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOWER_IS_BETTER = new Set(['maxDrawdown', 'maxDrawdownPercent', 'maxDrawdownDurationMs']);
+const TABLE_METRICS = ['sharpe', 'sortino', 'calmar', 'returnPercent', 'maxDrawdownPercent', 'profitFactor', 'expectancyR', 'winRate', 'trades'];
+
+/**
+ * Sets `value` at a dotted key path, copying the nested objects it passes through.
+ */
+function setPath(obj, key, value) {
+    const [head, ...rest] = key.split('.');
+    return { ...obj, [head]: rest.length ? setPath(obj[head] ?? {}, rest.join('.'), value) : value };
+}
+
+/**
+ * Every combination of the grid's values.
+ * @param {object} grid - `{ key: [values...] }`.
+ * @returns {Array<object>} `{ key: value }` per combination.
+ */
+export function expandGrid(grid) {
+    return Object.entries(grid).reduce(
+        (combos, [key, values]) => combos.flatMap(combo => values.map(value => ({ ...combo, [key]: value }))),
+        [{}]
+    );
+}
+
+/**
+ * Rolling in-sample / out-of-sample windows over `[start, end)`.
+ * @returns {Array<{inSample: {start: string, end: string}, outOfSample: {start: string, end: string}}>}
+ */
+export function walkForwardSplits({ start, end, inSampleDays, outOfSampleDays, stepDays = outOfSampleDays }) {
+    const endMs = Date.parse(end);
+    const iso = ms => new Date(ms).toISOString();
+    const splits = [];
+    for (let t = Date.parse(start); t + (inSampleDays + outOfSampleDays) * DAY_MS <= endMs; t += stepDays * DAY_MS) {
+        const split = t + inSampleDays * DAY_MS;
+        splits.push({
+            inSample: { start: iso(t), end: iso(split) },
+            outOfSample: { start: iso(split), end: iso(split + outOfSampleDays * DAY_MS) }
+        });
+    }
+    return splits;
+}
+
+/**
+ * Sorts results best first by `rankBy`; failed runs and missing metrics go last.
+ */
+function rank(results, rankBy) {
+    const dir = LOWER_IS_BETTER.has(rankBy) ? 1 : -1;
+    const value = r => (typeof r.summary?.[rankBy] === 'number' ? r.summary[rankBy] : null);
+    return [...results].sort((a, b) => {
+        if (value(a) === null || value(b) === null) return (value(a) === null) - (value(b) === null);
+        return dir * (value(a) - value(b));
+    });
+}
+
+/**
+ * @class WorkerPool
+ * @description Runs backtests in forked sweepWorker.js processes, one run per worker at a time.
+ */
+class WorkerPool {
+    constructor(size) {
+        this.queue = [];
+        this.nextId = 0;
+        this.workers = Array.from({ length: size }, () => {
+            const worker = fork(WORKER_FILE, { env: { ...process.env, LOG_LEVEL: process.env.LOG_LEVEL || 'warn' } });
+            worker.task = null;
+            worker.on('message', ({ id, summary, error }) => {
+                const task = worker.task;
+                worker.task = null;
+                if (task?.id === id) error ? task.reject(new Error(error)) : task.resolve(summary);
+                this._drain();
+            });
+            worker.on('exit', code => {
+                this.workers = this.workers.filter(w => w !== worker);
+                worker.task?.reject(new Error(`Sweep worker exited with code ${code}.`));
+                worker.task = null;
+                if (!this.workers.length) this.queue.splice(0).forEach(t => t.reject(new Error('No sweep workers left.')));
+            });
+            return worker;
+        });
+    }
+
+    run(config) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextId++, config, resolve, reject });
+            this._drain();
+        });
+    }
+
+    _drain() {
+        for (const worker of this.workers) {
+            if (worker.task || !this.queue.length) continue;
+            worker.task = this.queue.shift();
+            worker.send({ id: worker.task.id, config: worker.task.config });
+        }
+    }
+
+    close() {
+        for (const worker of this.workers) worker.disconnect();
+    }
+}
+
+/**
+ * Runs every config, in parallel when a pool is given, sequentially in-process otherwise.
+ * A failed run is kept with its error instead of aborting the sweep.
+ */
+async function runAll(configs, pool) {
+    const runOne = async ({ params, config }) => {
+        try {
+            const summary = pool ? await pool.run(config) : await runBacktest(config);
+            return { params, period: { start: config.START_DATE, end: config.END_DATE }, summary };
+        } catch (error) {
+            log.error(`[SWEEP] Run ${JSON.stringify(params)} (${config.START_DATE} → ${config.END_DATE}) failed.`, error);
+            return { params, period: { start: config.START_DATE, end: config.END_DATE }, error: error.message };
+        }
+    };
+    if (pool) return Promise.all(configs.map(runOne));
+    const results = [];
+    for (const c of configs) results.push(await runOne(c));
+    return results;
+}
+
+const formatParams = params => Object.entries(params).map(([k, v]) => `${k}=${JSON.stringify(v)}`).join(' ');
+const columnWidth = m => Math.max(12, m.length);
+const formatMetric = v => (typeof v === 'number' ? (Number.isInteger(v) ? String(v) : v.toFixed(3)) : 'n/a');
+const row = r => ({ params: formatParams(r.params), start: r.period.start, end: r.period.end, error: r.error ?? '', ...Object.fromEntries(TABLE_METRICS.map(m => [m, r.summary?.[m] ?? null])) });
+
+function writeCsv(file, rows) {
+    if (!rows.length) return;
+    fs.writeFileSync(file, new Json2CsvParser({ fields: Object.keys(rows[0]) }).parse(rows));
+}
+
+function logTable(title, results) {
+    log.info(`--- ${title} ---`);
+    log.info(['#'.padStart(3), ...TABLE_METRICS.map(m => m.padStart(columnWidth(m))), '  params'].join(' '));
+    results.forEach((r, i) => {
+        const cells = TABLE_METRICS.map(m => formatMetric(r.summary?.[m]).padStart(columnWidth(m)));
+        log.info([String(i + 1).padStart(3), ...cells, ' ', r.error ? `FAILED (${r.error}) ` : '', formatParams(r.params)].join(' '));
+    });
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const workersArg = args.indexOf('--workers');
+    const specFile = args.find((a, i) => !a.startsWith('--') && (workersArg === -1 || i !== workersArg + 1));
+    if (!specFile) {
+        log.error('Usage: node sweep.js <sweep.json> [--workers N]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const spec = JSON.parse(fs.readFileSync(specFile, 'utf8'));
+    const base = { ...DEFAULT_BACKTEST_CONFIG, REPORT_DIR: null, ...spec.base };
+    const rankBy = spec.rankBy || 'sharpe';
+    const outputDir = spec.outputDir || './reports';
+    const combos = expandGrid(spec.grid || {});
+    const configFor = (params, period) => validateBacktestConfig(structuredClone(Object.entries(params).reduce(
+        (cfg, [key, value]) => setPath(cfg, key, value),
+        { ...base, START_DATE: period.start, END_DATE: period.end }
+    )));
+
+    // The LLM strategy shares the API quota and the cache, so it never runs in parallel.
+    const parallel = (base.STRATEGY || 'ai') !== 'ai';
+    const size = workersArg !== -1 ? Number(args[workersArg + 1]) : Math.max(1, os.cpus().length - 1);
+    if (!Number.isInteger(size) || size < 1) {
+        log.error(`--workers must be a positive whole number (got ${JSON.stringify(args[workersArg + 1])}).`);
+        process.exitCode = 1;
+        return;
+    }
+
+    await ensureDataFileExists(base.DATA_FILE_PATH);
+    if (base.FINE_DATA_FILE_PATH) {
+        await ensureDataFileExists(base.FINE_DATA_FILE_PATH, { interval: '1m', start: base.START_DATE, end: base.END_DATE });
+    }
+    fs.mkdirSync(outputDir, { recursive: true });
+    const pool = parallel ? new WorkerPool(size) : null;
+    log.info(`[SWEEP] ${combos.length} combinations, ranked by ${rankBy}, ${pool ? `${size} worker process(es)` : 'in-process'}.`);
+
+    try {
+        if (!spec.walkForward) {
+            const period = { start: base.START_DATE, end: base.END_DATE };
+            const results = rank(await runAll(combos.map(params => ({ params, config: configFor(params, period) })), pool), rankBy);
+            logTable(`Sweep results ${period.start} → ${period.end} (by ${rankBy})`, results);
+            writeCsv(path.join(outputDir, 'sweep-results.csv'), results.map(row));
+            fs.writeFileSync(path.join(outputDir, 'sweep-results.json'), JSON.stringify({ rankBy, results }, null, 2));
+            log.info(`[SWEEP] Results written to ${outputDir}/sweep-results.csv and sweep-results.json.`);
+            return;
+        }
+
+        const splits = walkForwardSplits({ start: base.START_DATE, end: base.END_DATE, ...spec.walkForward });
+        if (!splits.length) throw new Error('The date range is too short for a single walk-forward split.');
+        log.info(`[SWEEP] Walk-forward over ${splits.length} split(s).`);
+
+        const inSampleRuns = splits.flatMap((split, s) => combos.map(params => ({ split: s, params, config: configFor(params, split.inSample) })));
+        const inSampleResults = await runAll(inSampleRuns, pool);
+        const bySplit = splits.map((split, s) => rank(inSampleResults.filter((_, i) => inSampleRuns[i].split === s), rankBy));
+        const winners = bySplit.map(results => results.find(r => !r.error) ?? null);
+
+        const oosRuns = splits.map((split, s) => winners[s] && { params: winners[s].params, config: configFor(winners[s].params, split.outOfSample) });
+        const oosResults = await runAll(oosRuns.filter(Boolean), pool);
+
+        const rows = splits.map((split, s) => {
+            const oos = winners[s] ? oosResults[oosRuns.slice(0, s).filter(Boolean).length] : null;
+            return {
+                split: s + 1,
+                inSample: split.inSample,
+                outOfSample: split.outOfSample,
+                winner: winners[s]?.params ?? null,
+                inSampleSummary: winners[s]?.summary ?? null,
+                outOfSampleSummary: oos?.summary ?? null,
+                error: winners[s] ? oos?.error ?? null : 'Every in-sample run failed.',
+                inSampleRanking: bySplit[s].map(r => ({ params: r.params, [rankBy]: r.summary?.[rankBy] ?? null, error: r.error }))
+            };
+        });
+
+        log.info(`--- Walk-forward (by ${rankBy}) ---`);
+        for (const r of rows) {
+            log.info(`Split ${r.split}: IS ${r.inSample.start.slice(0, 10)} → ${r.inSample.end.slice(0, 10)} ${rankBy}=${formatMetric(r.inSampleSummary?.[rankBy])} | OOS ${r.outOfSample.start.slice(0, 10)} → ${r.outOfSample.end.slice(0, 10)} ${rankBy}=${formatMetric(r.outOfSampleSummary?.[rankBy])} return=${formatMetric(r.outOfSampleSummary?.returnPercent)} trades=${formatMetric(r.outOfSampleSummary?.trades)} | ${r.error ?? formatParams(r.winner)}`);
+        }
+        const oosSummaries = rows.map(r => r.outOfSampleSummary).filter(Boolean);
+        const compounded = oosSummaries.reduce((acc, s) => acc * (1 + (s.returnPercent ?? 0)), 1) - 1;
+        const aggregate = {
+            splits: rows.length,
+            completed: oosSummaries.length,
+            compoundedReturn: compounded,
+            totalPnl: oosSummaries.reduce((a, s) => a + (s.totalPnl ?? 0), 0),
+            trades: oosSummaries.reduce((a, s) => a + (s.trades ?? 0), 0),
+            [`mean_${rankBy}`]: oosSummaries.length ? oosSummaries.reduce((a, s) => a + (s[rankBy] ?? 0), 0) / oosSummaries.length : null
+        };
+        log.info(`Out-of-sample: ${aggregate.completed}/${aggregate.splits} splits, compounded return ${formatMetric(aggregate.compoundedReturn)}, ${aggregate.trades} trades, mean ${rankBy} ${formatMetric(aggregate[`mean_${rankBy}`])}.`);
+
+        writeCsv(path.join(outputDir, 'walkforward-results.csv'), rows.map(r => ({
+            split: r.split,
+            inSampleStart: r.inSample.start,
+            inSampleEnd: r.inSample.end,
+            outOfSampleStart: r.outOfSample.start,
+            outOfSampleEnd: r.outOfSample.end,
+            winner: r.winner ? formatParams(r.winner) : '',
+            [`inSample_${rankBy}`]: r.inSampleSummary?.[rankBy] ?? null,
+            ...Object.fromEntries(TABLE_METRICS.map(m => [`outOfSample_${m}`, r.outOfSampleSummary?.[m] ?? null])),
+            error: r.error ?? ''
+        })));
+        fs.writeFileSync(path.join(outputDir, 'walkforward-results.json'), JSON.stringify({ rankBy, aggregate, splits: rows }, null, 2));
+        log.info(`[SWEEP] Results written to ${outputDir}/walkforward-results.csv and walkforward-results.json.`);
+    } finally {
+        pool?.close();
+    }
+}
+
+// Only run as a script, so the grid and split helpers can be imported.
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main().catch(error => {
+        log.error('[SWEEP] Sweep failed:', error);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,35 @@
+// sweepWorker.js – runs single backtests for sweep.js, in a forked child process or in-process
+import { BacktestRunner } from './backtestRunner.js';
+import { BacktestDataHandler } from './backtestDataHandler.js';
+
+// File path → loaded candles, so every run after the first skips parsing and resampling.
+const datasets = new Map();
+
+function dataset(filePath) {
+    if (!datasets.has(filePath)) datasets.set(filePath, new BacktestDataHandler(filePath));
+    return datasets.get(filePath);
+}
+
+/**
+ * Runs one backtest and returns its analytics summary.
+ * @param {object} config - Full backtest configuration.
+ * @returns {Promise<object>}
+ */
+export async function runBacktest(config) {
+    const report = await new BacktestRunner(config, {
+        data: dataset(config.DATA_FILE_PATH),
+        fineData: config.FINE_DATA_FILE_PATH ? dataset(config.FINE_DATA_FILE_PATH) : null
+    }).run();
+    return report.summary;
+}
+
+// Forked by sweep.js: take one `{ id, config }` at a time and answer with `{ id, summary }` or `{ id, error }`.
+if (process.send) {
+    process.on('message', async ({ id, config }) => {
+        try {
+            process.send({ id, summary: await runBacktest(config) });
+        } catch (error) {
+            process.send({ id, error: error.message });
+        }
+    });
+}
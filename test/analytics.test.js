@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { normalizeTrade, buildEquityCurve, computeAnalytics, writeReport } from '../analytics.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const D0 = Date.parse('2025-01-01T00:00:00Z');
+const iso = ms => new Date(ms).toISOString();
+
+// Live-style trades (ISO times, `side`): +100, -50, +60 on a 1000 balance.
+const trades = [
+    { id: 'a', side: 'LONG', entryTime: iso(D0), exitTime: iso(D0 + DAY), entryPrice: 100, stopLoss: 95, size: 2, pnl: 100, confidence: 8, fees: 1 },
+    { id: 'b', side: 'SHORT', entryTime: iso(D0 + 1.5 * DAY), exitTime: iso(D0 + 2 * DAY), entryPrice: 100, stopLoss: 105, size: 10, pnl: -50, confidence: 5, fees: 2 },
+    { id: 'c', side: 'LONG', entryTime: iso(D0 + 2.5 * DAY), exitTime: iso(D0 + 4 * DAY), entryPrice: 100, size: 1, pnl: 60 },
+    { id: 'open', side: 'LONG', entryTime: iso(D0 + 4.5 * DAY), exitTime: null, entryPrice: 100, size: 1, pnl: null }
+];
+const report = () => computeAnalytics(trades, { initialBalance: 1000, startTime: iso(D0), endTime: iso(D0 + 5 * DAY) });
+
+test('normalizes backtest and live trades to one shape', () => {
+    const backtest = normalizeTrade({ signal: 'SHORT', entryTime: D0 / 1000, exitTime: D0 / 1000 + 60, entryPrice: 200, stopLoss: 210, size: -3, pnl: -30, exitReason: 'Stop-Loss' });
+    assert.equal(backtest.side, 'SHORT');
+    assert.equal(backtest.entryTime, D0);
+    assert.equal(backtest.exitTime, D0 + 60000);
+    assert.equal(backtest.size, 3);
+    assert.equal(backtest.r, -1);
+    assert.equal(backtest.confidence, null);
+
+    const live = normalizeTrade(trades[0]);
+    assert.equal(live.side, 'LONG');
+    assert.equal(live.exitTime, D0 + DAY);
+    assert.equal(live.r, 10);
+    assert.equal(normalizeTrade(trades[3]), null);
+});
+
+test('the equity curve tracks the running peak and drawdown', () => {
+    const curve = buildEquityCurve(trades.slice(0, 3).map(normalizeTrade), 1000, D0);
+    assert.deepEqual(curve.map(p => p.equity), [1000, 1100, 1050, 1110]);
+    assert.deepEqual(curve.map(p => p.peak), [1000, 1100, 1100, 1110]);
+    assert.equal(curve[2].drawdown, 50);
+    assert.equal(curve[2].drawdownPercent, 50 / 1100);
+});
+
+test('summarizes returns, drawdown, exposure and trade statistics', () => {
+    const { summary } = report();
+    assert.equal(summary.finalBalance, 1110);
+    assert.equal(summary.returnPercent, 0.11);
+    assert.equal(summary.maxDrawdown, 50);
+    assert.equal(summary.maxDrawdownPercent, 0.0455);
+    assert.equal(summary.maxDrawdownDurationMs, 3 * DAY);
+    assert.equal(summary.exposure, 0.6);
+    assert.equal(summary.trades, 3);
+    assert.equal(summary.winRate, 0.6667);
+    assert.equal(summary.profitFactor, 3.2);
+    assert.equal(summary.totalPnl, 110);
+    assert.equal(summary.totalFees, 3);
+    assert.equal(summary.expectancyR, 4.5);
+    assert.equal(summary.tradesWithR, 2);
+    assert.ok(summary.sharpe > 0 && summary.sortino > summary.sharpe);
+    assert.ok(summary.calmar > 0);
+});
+
+test('an unrecovered drawdown lasts until the end of the period', () => {
+    const { summary } = computeAnalytics(trades.slice(0, 2), { initialBalance: 1000, startTime: iso(D0), endTime: iso(D0 + 5 * DAY) });
+    assert.equal(summary.maxDrawdownDurationMs, 4 * DAY);
+});
+
+test('breaks trades down by side and confidence', () => {
+    const { bySide, byConfidence } = report();
+    assert.equal(bySide.LONG.trades, 2);
+    assert.equal(bySide.LONG.totalPnl, 160);
+    assert.equal(bySide.SHORT.losses, 1);
+    assert.equal(byConfidence['8-10'].trades, 1);
+    assert.equal(byConfidence['4-6'].totalPnl, -50);
+    assert.equal(byConfidence['0-4'].trades, 0);
+    assert.equal(byConfidence.unknown.trades, 1);
+});
+
+test('no closed trades gives a flat report', () => {
+    const { summary, equityCurve } = computeAnalytics([], { initialBalance: 500, startTime: iso(D0), endTime: iso(D0 + DAY) });
+    assert.equal(summary.finalBalance, 500);
+    assert.equal(summary.trades, 0);
+    assert.equal(summary.sharpe, null);
+    assert.equal(summary.profitFactor, null);
+    assert.equal(equityCurve.length, 1);
+});
+
+test('writes the JSON report and the equity and trade CSVs', () => {
+    const files = writeReport(report(), 'out', 'test');
+    assert.deepEqual(JSON.parse(fs.readFileSync(files.json, 'utf8')).summary, report().summary);
+    assert.equal(fs.readFileSync(files.equity, 'utf8').trim().split('\n').length, 5);
+    const tradeCsv = fs.readFileSync(files.trades, 'utf8').trim().split('\n');
+    assert.equal(tradeCsv.length, 4);
+    assert.match(tradeCsv[1], /"a","LONG","2025-01-01T00:00:00.000Z"/);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { DEFAULT_BACKTEST_CONFIG, validateBacktestConfig } from '../backtestConfig.js';
+import { BacktestRunner } from '../backtestRunner.js';
+import { buildConfig } from '../backtest.js';
+
+const withDefaults = overrides => ({ ...structuredClone(DEFAULT_BACKTEST_CONFIG), ...overrides });
+
+test('the defaults are valid', () => {
+    assert.doesNotThrow(() => validateBacktestConfig(withDefaults({})));
+});
+
+test('unknown settings are rejected by name', () => {
+    assert.throws(() => validateBacktestConfig(withDefaults({ LEVERGE: 5, STOP_LOS: 1 })), /Unknown setting\(s\): LEVERGE, STOP_LOS\./);
+});
+
+test('START_DATE must come before END_DATE', () => {
+    assert.throws(
+        () => validateBacktestConfig(withDefaults({ START_DATE: '2025-08-01', END_DATE: '2025-07-01' })),
+        /START_DATE \(2025-08-01\) must be before END_DATE \(2025-07-01\)\./
+    );
+    assert.throws(() => validateBacktestConfig(withDefaults({ END_DATE: 'soon' })), /END_DATE must be a date/);
+});
+
+test('every problem is listed at once', () => {
+    assert.throws(
+        () => validateBacktestConfig(withDefaults({ LEVERAGE: 0, SIZING: { mode: 'yolo' } })),
+        err => /LEVERAGE must be a positive number/.test(err.message) && /SIZING\.mode must be one of/.test(err.message)
+    );
+});
+
+test('flags win over the config file wherever they appear', () => {
+    fs.writeFileSync('backtest.json', JSON.stringify({ LEVERAGE: 3, START_DATE: '2025-07-05', STRATEGY: 'donchian' }));
+    const config = buildConfig(['--leverage', '7', '--config', 'backtest.json', '--set', 'FEES={"maker":0,"taker":0.001}']);
+    assert.equal(config.LEVERAGE, 7);
+    assert.equal(config.START_DATE, '2025-07-05');
+    assert.equal(config.STRATEGY, 'donchian');
+    assert.deepEqual(config.FEES, { maker: 0, taker: 0.001 });
+    assert.equal(config.END_DATE, DEFAULT_BACKTEST_CONFIG.END_DATE);
+});
+
+test('bad flags, help and invalid files are reported', () => {
+    assert.equal(buildConfig(['--help']), null);
+    assert.throws(() => buildConfig(['--levrage', '5']), /Unknown flag --levrage/);
+    assert.throws(() => buildConfig(['--leverage']), /Missing value for --leverage/);
+    fs.writeFileSync('typo.json', JSON.stringify({ LEVERGE: 5 }));
+    assert.throws(() => buildConfig(['--config', 'typo.json']), /Unknown setting\(s\): LEVERGE/);
+});
+
+test('the runner refuses a date range the data file does not cover', async () => {
+    const T0 = Date.parse('2025-07-01T00:00:00Z') / 1000;
+    const rows = Array.from({ length: 20 }, (_, i) => `${T0 + i * 180},100,101,99,100,1`);
+    fs.writeFileSync('one-hour.csv', ['timestamp,open,high,low,close,volume', ...rows].join('\n'));
+    const runner = new BacktestRunner(withDefaults({ DATA_FILE_PATH: 'one-hour.csv', STRATEGY: 'donchian', START_DATE: '2025-07-01', END_DATE: '2025-07-02' }));
+    await assert.rejects(
+        runner.run(),
+        /Data file one-hour\.csv covers 2025-07-01T00:00:00\.000Z to 2025-07-01T01:00:00\.000Z, which does not include the requested range 2025-07-01 to 2025-07-02\./
+    );
+});
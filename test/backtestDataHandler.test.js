@@ -0,0 +1,55 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { BacktestDataHandler } from '../backtestDataHandler.js';
+
+const T0 = Date.parse('2025-07-01T00:00:00Z') / 1000;
+let data;
+
+before(() => {
+    // Two hours of 3-minute candles whose open counts up from 0; high = open + 1, low = open - 1.
+    const rows = Array.from({ length: 40 }, (_, i) => `${T0 + i * 180},${i},${i + 1},${i - 1},${i + 0.5},2`);
+    fs.writeFileSync('candles.csv', ['timestamp,open,high,low,close,volume', ...rows].join('\n'));
+    data = new BacktestDataHandler('candles.csv');
+});
+
+test('detects the base interval', () => {
+    assert.equal(data.baseIntervalSec, 180);
+});
+
+test('returns base candles by open time in [start, end)', () => {
+    const candles = data.getCandlesBetween(T0 + 180, T0 + 900);
+    assert.deepEqual(candles.map(c => c.open), [1, 2, 3, 4]);
+    assert.deepEqual(data.getCandlesBetween(T0 + 100 * 180, T0 + 200 * 180), []);
+});
+
+test('resamples into epoch-aligned candles', () => {
+    const hourly = data.resample(60);
+    assert.equal(hourly.length, 2);
+    assert.deepEqual(hourly[0], {
+        timestamp: T0,
+        date: '2025-07-01T00:00:00.000Z',
+        open: 0, high: 20, low: -1, close: 19.5, volume: 40,
+        closeTimestamp: T0 + 3600
+    });
+    assert.equal(hourly[1].open, 20);
+    assert.equal(hourly[1].close, 39.5);
+    assert.equal(data.resample(60), hourly);
+});
+
+test('a bucket starts at the interval boundary even if the data does not', () => {
+    const fifteen = data.resample(15);
+    assert.ok(fifteen.every(c => c.timestamp % 900 === 0));
+    assert.deepEqual(fifteen.slice(0, 2).map(c => [c.open, c.close]), [[0, 4.5], [5, 9.5]]);
+});
+
+test('only candles that have fully closed are visible', () => {
+    assert.deepEqual(data.getClosedCandles(60, T0 + 3599), []);
+    assert.deepEqual(data.getClosedCandles(60, T0 + 3600).map(c => c.timestamp), [T0]);
+    assert.deepEqual(data.getClosedCandles(15, T0 + 3600 + 1).map(c => c.timestamp), [T0, T0 + 900, T0 + 1800, T0 + 2700]);
+    assert.deepEqual(data.getClosedCandles(15, T0 + 3600, 2).map(c => c.timestamp), [T0 + 1800, T0 + 2700]);
+});
+
+test('a missing file fails clearly', () => {
+    assert.throws(() => new BacktestDataHandler('missing.csv'), /Could not initialize backtest data/);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BacktestExecutionHandler } from '../backtestExecutionHandler.js';
+
+const T0 = Date.parse('2025-07-01T00:00:00Z') / 1000;
+const HOUR = 3600;
+const FEES = { maker: 0.001, taker: 0.002 };
+const candle = (low, high) => ({ timestamp: T0, open: low, high, low, close: high });
+
+const open = (exec, signal = 'LONG', { entryPrice = 100, entryTime = T0, size = 2, candle: c } = {}) => exec.placeOrder({
+    signal,
+    params: { size, stopLoss: signal === 'LONG' ? 95 : 105, takeProfit: signal === 'LONG' ? 110 : 90 },
+    entryPrice, entryTime, reason: 'test', confidence: 5, candle: c
+});
+
+test('entries and stops pay taker, take-profits pay maker', () => {
+    const exec = new BacktestExecutionHandler(1000, { fees: FEES });
+    const target = open(exec);
+    assert.equal(target.fees, 100 * 2 * 0.002);
+    exec.closeTrade(target, 110, T0 + 60, { reason: 'Take-Profit' });
+    assert.ok(Math.abs(target.fees - (0.4 + 110 * 2 * 0.001)) < 1e-9);
+    assert.equal(target.grossPnl, 20);
+    assert.ok(Math.abs(target.pnl - (20 - 0.62)) < 1e-9);
+
+    const stopped = open(exec);
+    exec.closeTrade(stopped, 95, T0 + 60, { reason: 'Stop-Loss' });
+    assert.ok(Math.abs(stopped.fees - (0.4 + 95 * 2 * 0.002)) < 1e-9);
+    assert.ok(Math.abs(exec.balance - (1000 + 19.38 + (-10 - 0.78))) < 1e-9);
+});
+
+test('fixed_bps slips taker fills against the trade and leaves take-profits alone', () => {
+    const exec = new BacktestExecutionHandler(1000, { slippage: { model: 'fixed_bps', bps: 5 } });
+    const long = open(exec, 'LONG');
+    assert.ok(Math.abs(long.entryPrice - 100.05) < 1e-9);
+    exec.closeTrade(long, 95, T0 + 60, { reason: 'Stop-Loss' });
+    assert.ok(Math.abs(long.exitPrice - 95 * (1 - 0.0005)) < 1e-9);
+    assert.ok(Math.abs(long.slippage - (0.05 + 95 * 0.0005) * 2) < 1e-9);
+
+    const short = open(exec, 'SHORT');
+    assert.ok(Math.abs(short.entryPrice - 99.95) < 1e-9);
+    exec.closeTrade(short, 90, T0 + 60, { reason: 'Take-Profit' });
+    assert.equal(short.exitPrice, 90);
+});
+
+test('range_fraction slips by a fraction of the candle range', () => {
+    const exec = new BacktestExecutionHandler(1000, { slippage: { model: 'range_fraction', fraction: 0.1 } });
+    const long = open(exec, 'LONG', { candle: candle(99.8, 100.2) });
+    assert.ok(Math.abs(long.entryPrice - 100.04) < 1e-9);
+    exec.closeTrade(long, 95, T0 + 60, { reason: 'Stop-Loss', candle: candle(94, 97) });
+    assert.ok(Math.abs(long.exitPrice - 94.7) < 1e-9);
+});
+
+test('slippage is capped at the entry limit and the stop-limit offsets', () => {
+    const bps = new BacktestExecutionHandler(1000, { slippage: { model: 'fixed_bps', bps: 500 } });
+    const long = open(bps, 'LONG');
+    assert.ok(Math.abs(long.entryPrice - 100.1) < 1e-9, 'entry limit sits 0.1% through the price');
+    bps.closeTrade(long, 95, T0 + 60, { reason: 'Stop-Loss' });
+    assert.ok(Math.abs(long.exitPrice - 95 * 0.99) < 1e-9, 'stop-limit sits 1% beyond the stop');
+
+    const range = new BacktestExecutionHandler(1000, { slippage: { model: 'range_fraction', fraction: 1 } });
+    const short = open(range, 'SHORT', { candle: candle(80, 120) });
+    assert.ok(Math.abs(short.entryPrice - 99.9) < 1e-9);
+    range.closeTrade(short, 105, T0 + 60, { reason: 'Stop-Loss', candle: candle(80, 120) });
+    assert.ok(Math.abs(short.exitPrice - 105 * 1.01) < 1e-9);
+});
+
+test('funding is charged once per interval boundary crossed: longs pay, shorts receive', () => {
+    const exec = new BacktestExecutionHandler(1000, { funding: { ratePerHour: 0.0001, intervalHours: 1 } });
+    const long = open(exec, 'LONG', { entryTime: T0 + 1800 });
+    exec.accrueFunding(long, T0 + 3599, 100);
+    assert.equal(long.funding, 0);
+    exec.accrueFunding(long, T0 + 3 * HOUR + 10, 100);
+    assert.ok(Math.abs(long.funding - 3 * 0.0001 * 100 * 2) < 1e-12);
+    exec.accrueFunding(long, T0 + 3 * HOUR + 20, 100);
+    assert.ok(Math.abs(long.funding - 0.06) < 1e-12, 'no boundary crossed, no charge');
+
+    const short = open(exec, 'SHORT', { entryTime: T0 + 1800 });
+    exec.closeTrade(short, 90, T0 + 2 * HOUR, { reason: 'Take-Profit' });
+    assert.ok(Math.abs(short.funding + 2 * 0.0001 * 90 * 2) < 1e-12);
+    assert.ok(Math.abs(short.pnl - (20 + 0.036)) < 1e-9);
+});
+
+test('funding intervals longer than an hour align to the epoch and charge the whole interval', () => {
+    const exec = new BacktestExecutionHandler(1000, { funding: { ratePerHour: 0.0001, intervalHours: 8 } });
+    const long = open(exec, 'LONG', { entryTime: T0 + HOUR });
+    exec.accrueFunding(long, T0 + 7 * HOUR, 100);
+    assert.equal(long.funding, 0);
+    exec.accrueFunding(long, T0 + 8 * HOUR, 100);
+    assert.ok(Math.abs(long.funding - 8 * 0.0001 * 100 * 2) < 1e-12);
+    assert.ok(Math.abs(exec.balance - (1000 - 0.16)) < 1e-12);
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { BacktestRunner } from '../backtestRunner.js';
+import { DEFAULT_BACKTEST_CONFIG } from '../backtestConfig.js';
+
+const T0 = Date.parse('2025-07-01T00:00:00Z') / 1000;
+const iso = ts => new Date(ts * 1000).toISOString();
+
+const writeCsv = (file, rows) => fs.writeFileSync(file, ['timestamp,open,high,low,close,volume', ...rows.map(r => [...r, 1].join(','))].join('\n'));
+
+// Twenty flat 3-minute candles at 100; the exit tests hand _checkExit their own candle.
+writeCsv('base.csv', Array.from({ length: 20 }, (_, i) => [T0 + i * 180, 100, 100.5, 99.5, 100]));
+
+const runnerFor = (overrides = {}) => new BacktestRunner({
+    ...DEFAULT_BACKTEST_CONFIG,
+    DATA_FILE_PATH: 'base.csv',
+    STRATEGY: 'donchian',
+    START_DATE: iso(T0),
+    END_DATE: iso(T0 + 20 * 180),
+    FEES: { maker: 0, taker: 0 },
+    SLIPPAGE: { model: 'none' },
+    FUNDING: { ratePerHour: 0, intervalHours: 1 },
+    ...overrides
+});
+
+// Opens a trade at 100 with its stop 5 and target 10 away, feeds `candle` to the exit check and says which level filled.
+function exitOn(runner, signal, candle) {
+    const long = signal === 'LONG';
+    runner.exec.placeOrder({
+        signal,
+        params: { size: 1, stopLoss: long ? 95 : 105, takeProfit: long ? 110 : 90 },
+        entryPrice: 100, entryTime: T0, reason: 'test', confidence: 5
+    });
+    runner._checkExit(candle, iso(candle.timestamp));
+    const trade = runner.exec.getTrades().at(-1);
+    return { ...trade, exit: trade.exitPrice === trade.stopLoss ? 'stop' : trade.exitPrice === trade.takeProfit ? 'target' : null };
+}
+
+// Both candles reach 89 and 111, so they touch stop and target either way round.
+const GREEN = { timestamp: T0 + 180, open: 100, high: 111, low: 89, close: 105 };
+const RED = { timestamp: T0 + 180, open: 100, high: 111, low: 89, close: 96 };
+
+test('the worst policy takes the stop and the best policy the target', () => {
+    for (const signal of ['LONG', 'SHORT']) {
+        assert.equal(exitOn(runnerFor({ AMBIGUOUS_EXIT_POLICY: 'worst' }), signal, GREEN).exit, 'stop');
+        assert.equal(exitOn(runnerFor({ AMBIGUOUS_EXIT_POLICY: 'best' }), signal, GREEN).exit, 'target');
+    }
+    const trade = exitOn(runnerFor(), 'LONG', RED);
+    assert.equal(trade.exitResolution, 'policy:worst');
+    assert.equal(trade.exit, 'stop');
+});
+
+test('the ohlc policy lets the wick against the body print first', () => {
+    const ohlc = () => runnerFor({ AMBIGUOUS_EXIT_POLICY: 'ohlc' });
+    // Green: open → low → high → close, so a long is stopped and a short hits its target.
+    assert.equal(exitOn(ohlc(), 'LONG', GREEN).exit, 'stop');
+    assert.equal(exitOn(ohlc(), 'SHORT', GREEN).exit, 'target');
+    // Red: open → high → low → close, the other way round.
+    assert.equal(exitOn(ohlc(), 'LONG', RED).exit, 'target');
+    assert.equal(exitOn(ohlc(), 'SHORT', RED).exit, 'stop');
+});
+
+test('an unknown policy is rejected', () => {
+    assert.throws(() => runnerFor({ AMBIGUOUS_EXIT_POLICY: 'coin_flip' }), /Unknown ambiguous exit policy "coin_flip"/);
+});
+
+test('finer candles decide the exit, and one that touches both falls back to the policy', () => {
+    // The 1-minute candles around GREEN: one before it, then quiet, through the target, through the stop.
+    writeCsv('fine.csv', [
+        [T0 + 120, 100, 101, 99, 100],
+        [T0 + 180, 100, 102, 98, 101],
+        [T0 + 240, 101, 111, 100, 108],
+        [T0 + 300, 108, 108, 89, 94],
+        [T0 + 360, 94, 95, 93, 94]
+    ]);
+    const runner = runnerFor({ FINE_DATA_FILE_PATH: 'fine.csv' });
+    const trade = exitOn(runner, 'LONG', GREEN);
+    assert.equal(trade.exit, 'target');
+    assert.equal(trade.exitResolution, 'fine_data');
+    assert.deepEqual(runner.ambiguousExits, { total: 1, fineData: 1, policy: 0 });
+
+    writeCsv('fine-wide.csv', [
+        [T0 + 180, 100, 111, 89, 105],
+        [T0 + 240, 105, 106, 104, 105]
+    ]);
+    const wide = runnerFor({ FINE_DATA_FILE_PATH: 'fine-wide.csv', AMBIGUOUS_EXIT_POLICY: 'best' });
+    const fallback = exitOn(wide, 'LONG', GREEN);
+    assert.equal(fallback.exit, 'target');
+    assert.equal(fallback.exitResolution, 'policy:best');
+    assert.deepEqual(wide.ambiguousExits, { total: 1, fineData: 0, policy: 1 });
+});
+
+test('fails before trading when the finer data does not cover the backtest range', async () => {
+    // Half an hour of 1-minute candles, while the backtest runs for an hour from T0.
+    writeCsv('fine-short.csv', Array.from({ length: 30 }, (_, i) => [T0 + i * 60, 100, 100.5, 99.5, 100]));
+    await assert.rejects(
+        runnerFor({ FINE_DATA_FILE_PATH: 'fine-short.csv' }).run(),
+        /Data file fine-short\.csv covers 2025-07-01T00:00:00\.000Z to 2025-07-01T00:30:00\.000Z, which does not include the requested range/
+    );
+});
+
+test('a signal enters at the close price and close time of its candle', async () => {
+    const runner = runnerFor();
+    runner.strat = {
+        usesLlm: false,
+        generateSignal: async () => ({ signal: 'LONG', confidence: 8, stop_loss_distance_in_usd: 5, take_profit_distance_in_usd: 10, reason: 'test' })
+    };
+    const candle = { timestamp: T0 + 19 * 180, open: 100, high: 101, low: 99, close: 100.5 };
+    const ohlc = runner.data.getCandlesBetween(T0, T0 + 20 * 180);
+    await runner._handleSignal({ ohlc, symbol: 'PF_XBTUSD', tradeHistory: [] }, candle, 1, '3 minute');
+
+    const trade = runner.exec.getOpenTrade();
+    assert.equal(trade.entryPrice, 100.5);
+    assert.equal(trade.entryTime, T0 + 20 * 180);
+});
@@ -0,0 +1,150 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { startMockKrakenServer } from '../mockKrakenServer.js';
+import { Strategy } from '../strategy.js';
+
+const SYMBOL = 'PF_XBTUSD';
+const ETH = 'PF_ETHUSD';
+const HOUR_MS = 60 * 60 * 1000;
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const HOLD = { signal: 'HOLD', confidence: 0, stop_loss_distance_in_usd: 0, take_profit_distance_in_usd: 0, reason: 'Nothing to do.' };
+
+/**
+ * Hands out queued signals, then holds.
+ */
+class QueuedSignals extends Strategy {
+    constructor(signals) {
+        super({ name: 'queued' });
+        this.signals = signals;
+    }
+
+    async generateSignal() {
+        return this.signals.shift() ?? HOLD;
+    }
+}
+
+// Closed hourly candles around 60000 with a 400 range.
+const hourlyCandles = (count, close = 60000) => Array.from({ length: count }, (_, i) => {
+    const start = Math.floor(Date.now() / HOUR_MS) * HOUR_MS - (count - i) * HOUR_MS;
+    return { date: new Date(start).toISOString(), open: close, high: close + 200, low: close - 200, close, volume: 10 };
+});
+
+let mock;
+let bot;
+
+before(async () => {
+    mock = await startMockKrakenServer({ prices: { [SYMBOL]: 60000, [ETH]: 3000 } });
+    mock.setOhlc('XBTUSD', hourlyCandles(60));
+    mock.setOhlc('ETHUSD', hourlyCandles(60, 3000));
+    // bot.js reads its settings when it is first imported.
+    Object.assign(process.env, {
+        KRAKEN_API_KEY: mock.apiKey,
+        KRAKEN_SECRET_KEY: mock.apiSecret,
+        KRAKEN_FUTURES_URL: mock.baseUrl,
+        KRAKEN_SPOT_OHLC_URL: mock.spotOhlcUrl,
+        STRATEGY: 'donchian', // replaced below; keeps createContext from needing an LLM key
+        ENTRY_POLL_INTERVAL_MS: '20',
+        ENTRY_FILL_TIMEOUT_MS: '2000'
+    });
+    bot = await import('../bot.js');
+});
+
+after(() => mock.close());
+
+const protectionFor = async symbol => {
+    const { openOrders } = await mock.exchange.getOpenOrders();
+    return Object.fromEntries(openOrders.filter(o => o.reduceOnly && o.symbol === symbol).map(o => [o.orderType, o]));
+};
+
+test('parseInstruments builds fresh state for each FUTURES_SYMBOL:SPOT_OHLC_PAIR entry', () => {
+    const instruments = bot.parseInstruments(' PF_XBTUSD:XBTUSD , PF_ETHUSD : ETHUSD,');
+    assert.deepEqual(instruments.map(i => [i.symbol, i.ohlcPair]), [['PF_XBTUSD', 'XBTUSD'], ['PF_ETHUSD', 'ETHUSD']]);
+    assert.deepEqual(instruments[0], { ...instruments[1], symbol: 'PF_XBTUSD', ohlcPair: 'XBTUSD' });
+    assert.equal(instruments[0].lastTradeDetails, null);
+    assert.notEqual(instruments[0].commit, instruments[1].commit, 'no state is shared between instruments');
+});
+
+test('parseInstruments rejects malformed and duplicate entries', () => {
+    for (const spec of ['PF_XBTUSD', 'PF_XBTUSD:', ':XBTUSD', 'PF_XBTUSD:XBTUSD,PF_ETHUSD']) {
+        assert.throws(() => bot.parseInstruments(spec), /Invalid instrument ".*"\. Expected FUTURES_SYMBOL:SPOT_OHLC_PAIR/, spec);
+    }
+    assert.throws(() => bot.parseInstruments('PF_XBTUSD:XBTUSD,pf_xbtusd:XBTUSD'), /Duplicate instrument "pf_xbtusd"/);
+});
+
+test('a bot cycle against the mock server enters, protects, and logs the trade once it is stopped out', async () => {
+    const [inst] = bot.parseInstruments(`${SYMBOL}:XBTUSD`);
+    const dataHandler = await bot.createDataHandler([inst]);
+    const strat = new QueuedSignals([
+        { signal: 'LONG', confidence: 8, stop_loss_distance_in_usd: 600, take_profit_distance_in_usd: 1200, reason: 'Test entry.' }
+    ]);
+    const ctx = bot.createContext([inst], dataHandler, { strat });
+
+    await bot.cycle(inst, ctx);
+
+    const { openPositions } = await mock.exchange.getOpenPositions();
+    assert.equal(openPositions.length, 1);
+    assert.equal(openPositions[0].side, 'long');
+    const trade = inst.lastTradeDetails;
+    assert.ok(trade.stopLossOrderId && trade.takeProfitOrderId);
+    const { openOrders } = await mock.exchange.getOpenOrders();
+    const protection = Object.fromEntries(openOrders.filter(o => o.reduceOnly).map(o => [o.orderType, o]));
+    assert.equal(protection.stop.stopPrice, trade.stopLoss);
+    assert.equal(protection.lmt.limitPrice, trade.takeProfit);
+    assert.equal(protection.stop.unfilledSize, trade.size);
+
+    // A closed candle through the stop takes the position out.
+    await sleep(50);
+    await mock.exchange.ingestCandles(SYMBOL, [{ date: new Date(Date.now() - 30).toISOString(), open: 60000, high: 60000, low: trade.stopLoss - 300, close: trade.stopLoss - 100 }], 10);
+    assert.equal((await mock.exchange.getOpenPositions()).openPositions.length, 0);
+
+    await bot.cycle(inst, ctx);
+
+    assert.equal(inst.lastTradeDetails, null);
+    assert.equal(inst.wasPositionOpen, false);
+    const logged = JSON.parse(fs.readFileSync('trades.json', 'utf8'));
+    assert.equal(logged.length, 1);
+    assert.equal(logged[0].id, trade.id);
+    assert.equal(logged[0].exitReason, 'Stop-Loss');
+    assert.ok(logged[0].pnl < 0);
+    assert.equal((await mock.exchange.getOpenOrders()).openOrders.length, 0);
+});
+
+test('two instruments trade side by side without touching each other\'s state or trades', async () => {
+    const instruments = bot.parseInstruments(`${SYMBOL}:XBTUSD,${ETH}:ETHUSD`);
+    const [xbt, eth] = instruments;
+    const dataHandler = await bot.createDataHandler(instruments);
+    // Cycles run one instrument after the other, so the queue hands XBT the long and ETH the short.
+    const strat = new QueuedSignals([
+        { signal: 'LONG', confidence: 8, stop_loss_distance_in_usd: 600, take_profit_distance_in_usd: 1200, reason: 'XBT entry.' },
+        { signal: 'SHORT', confidence: 8, stop_loss_distance_in_usd: 30, take_profit_distance_in_usd: 60, reason: 'ETH entry.' }
+    ]);
+    const ctx = bot.createContext(instruments, dataHandler, { strat });
+
+    await bot.cycle(xbt, ctx);
+    await bot.cycle(eth, ctx);
+
+    const positions = Object.fromEntries((await mock.exchange.getOpenPositions()).openPositions.map(p => [p.symbol, p.side]));
+    assert.deepEqual(positions, { [SYMBOL]: 'long', [ETH]: 'short' });
+    const [xbtTrade, ethTrade] = [xbt.lastTradeDetails, eth.lastTradeDetails];
+    assert.deepEqual([xbtTrade.symbol, xbtTrade.side, ethTrade.symbol, ethTrade.side], [SYMBOL, 'LONG', ETH, 'SHORT']);
+    for (const [symbol, trade] of [[SYMBOL, xbtTrade], [ETH, ethTrade]]) {
+        const { stop, lmt } = await protectionFor(symbol);
+        assert.deepEqual([stop.order_id, stop.stopPrice, lmt.order_id, lmt.limitPrice], [trade.stopLossOrderId, trade.stopLoss, trade.takeProfitOrderId, trade.takeProfit]);
+    }
+
+    // Only XBT is stopped out.
+    await sleep(50);
+    await mock.exchange.ingestCandles(SYMBOL, [{ date: new Date(Date.now() - 30).toISOString(), open: 60000, high: 60000, low: xbtTrade.stopLoss - 300, close: xbtTrade.stopLoss - 100 }], 10);
+    await bot.cycle(xbt, ctx);
+    await bot.cycle(eth, ctx);
+
+    assert.equal(xbt.lastTradeDetails, null);
+    assert.equal(xbt.wasPositionOpen, false);
+    assert.equal(eth.lastTradeDetails.id, ethTrade.id);
+    assert.equal(eth.wasPositionOpen, true);
+    assert.deepEqual(Object.keys(await protectionFor(ETH)).sort(), ['lmt', 'stop']);
+    assert.deepEqual(await protectionFor(SYMBOL), {});
+    const logged = JSON.parse(fs.readFileSync('trades.json', 'utf8')).filter(t => [xbtTrade.id, ethTrade.id].includes(t.id));
+    assert.deepEqual(logged.map(t => [t.id, t.symbol, t.exitReason]), [[xbtTrade.id, SYMBOL, 'Stop-Loss'], [ethTrade.id, ETH, undefined]], 'the ETH trade is still logged as open');
+});
@@ -0,0 +1,57 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockKrakenServer } from '../mockKrakenServer.js';
+import { KrakenFuturesApi } from '../krakenApi.js';
+import { DataHandler } from '../dataHandler.js';
+
+let mock;
+let dataHandler;
+
+before(async () => {
+    mock = await startMockKrakenServer({ prices: { PF_XBTUSD: 60000 } });
+    dataHandler = new DataHandler(null, null, { api: new KrakenFuturesApi(mock.apiKey, mock.apiSecret, mock.baseUrl) });
+});
+
+after(() => mock.close());
+
+test('reads available margin and portfolio value from the flex account', async () => {
+    const account = await dataHandler.fetchAccount();
+    assert.equal(account.portfolioValue, 10000);
+    assert.equal(await dataHandler.fetchAccountBalance(), account.availableMargin);
+});
+
+test('opening a position lowers available margin but not portfolio value', async () => {
+    await dataHandler.api.sendOrder({ orderType: 'lmt', symbol: 'PF_XBTUSD', side: 'buy', size: 1, limitPrice: 60100 });
+    const account = await dataHandler.fetchAccount();
+    assert.ok(account.availableMargin < 10000 - 5000);
+    assert.ok(Math.abs(account.portfolioValue - 10000) < 100);
+
+    const { openPositions } = await dataHandler.fetchOpenPositions();
+    assert.deepEqual(openPositions.map(p => [p.symbol, p.side, p.size]), [['PF_XBTUSD', 'long', 1]]);
+});
+
+test('returns null instead of throwing when the account request fails', async () => {
+    mock.injectFailure({ type: 'serverError', endpoint: 'accounts', times: 2 });
+    assert.equal(await dataHandler.fetchAccount(), null);
+    assert.equal(await dataHandler.fetchAccountBalance(), 0);
+});
+
+test('builds the funding context from the ticker', async () => {
+    const funding = await dataHandler.fetchFundingContext('PF_XBTUSD');
+    assert.equal(funding.symbol, 'PF_XBTUSD');
+    assert.equal(funding.lastPrice, 60000);
+    assert.ok(Number.isFinite(funding.markPrice));
+    assert.deepEqual(funding.fundingHistory, []);
+});
+
+test('funding context is null when tickers are unavailable', async () => {
+    mock.injectFailure({ type: 'rateLimit', endpoint: 'tickers' });
+    assert.equal(await dataHandler.fetchFundingContext('PF_XBTUSD'), null);
+});
+
+test('maps every ticker to its mark price, or nothing when tickers are unavailable', async () => {
+    mock.setPrice('PF_ETHUSD', 3000);
+    assert.deepEqual(await dataHandler.fetchMarkPrices(), { PF_XBTUSD: 60000, PF_ETHUSD: 3000 });
+    mock.injectFailure({ type: 'serverError', endpoint: 'tickers' });
+    assert.deepEqual(await dataHandler.fetchMarkPrices(), {});
+});
@@ -0,0 +1,98 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockKrakenServer } from '../mockKrakenServer.js';
+import { KrakenFuturesApi } from '../krakenApi.js';
+import { ExecutionHandler, ORDER_STATES } from '../executionHandler.js';
+
+const SYMBOL = 'PF_XBTUSD';
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const longEntry = size => ({ signal: 'LONG', pair: SYMBOL, params: { size, stopLoss: 59000, takeProfit: 62000 }, lastPrice: 60000 });
+
+let mock;
+let api;
+
+beforeEach(async () => {
+    mock = await startMockKrakenServer({ prices: { [SYMBOL]: 60000 } });
+    api = new KrakenFuturesApi(mock.apiKey, mock.apiSecret, mock.baseUrl);
+});
+
+afterEach(() => mock.close());
+
+const protectionOrders = async () => {
+    const { openOrders } = await api.getOpenOrders();
+    return Object.fromEntries(openOrders.filter(o => o.reduceOnly).map(o => [o.orderType, o.unfilledSize]));
+};
+
+test('a full fill is protected with stop-loss and take-profit for the whole size', async () => {
+    const exec = new ExecutionHandler(api, { fillTimeoutMs: 2000, pollIntervalMs: 20 });
+    const result = await exec.placeOrder(longEntry(0.02));
+
+    assert.equal(result.state, ORDER_STATES.FILLED);
+    assert.equal(result.filledSize, 0.02);
+    assert.equal(result.protectedSize, 0.02);
+    assert.ok(result.protectionOrderIds.stopLoss && result.protectionOrderIds.takeProfit);
+    assert.deepEqual(await protectionOrders(), { stop: 0.02, lmt: 0.02 });
+});
+
+test('a partial fill that times out keeps protection for the filled part only', async () => {
+    mock.injectFailure({ type: 'partial', endpoint: 'sendorder' });
+    const exec = new ExecutionHandler(api, { fillTimeoutMs: 200, pollIntervalMs: 20 });
+    const result = await exec.placeOrder(longEntry(0.02));
+
+    assert.equal(result.state, ORDER_STATES.TIMED_OUT);
+    assert.equal(result.filledSize, 0.01);
+    assert.equal(result.protectedSize, 0.01);
+    assert.deepEqual(await protectionOrders(), { stop: 0.01, lmt: 0.01 });
+    assert.ok(mock.requests.some(r => r.endpoint.endsWith('/cancelorder')));
+});
+
+test('protection grows with later fills', async () => {
+    mock.injectFailure({ type: 'partial', endpoint: 'sendorder' });
+    const exec = new ExecutionHandler(api, { fillTimeoutMs: 2000, pollIntervalMs: 20 });
+    const placing = exec.placeOrder(longEntry(0.02));
+
+    await sleep(100);
+    // A closed candle trading through the resting entry limit fills the remainder.
+    await mock.exchange.ingestCandles(SYMBOL, [{ date: new Date(Date.now() - 30).toISOString(), open: 60000, high: 60000, low: 60000, close: 60000 }], 10);
+    const result = await placing;
+
+    assert.equal(result.state, ORDER_STATES.FILLED);
+    assert.equal(result.protectedSize, 0.02);
+    assert.deepEqual(await protectionOrders(), { stop: 0.02, lmt: 0.02 });
+    assert.ok(mock.requests.some(r => r.endpoint.endsWith('/editorder')));
+});
+
+test('a protection order missing from a partial batch response is placed again', async () => {
+    mock.injectFailure({ type: 'partial', endpoint: 'batchorder' });
+    const exec = new ExecutionHandler(api, { fillTimeoutMs: 2000, pollIntervalMs: 20 });
+    const result = await exec.placeOrder(longEntry(0.02));
+
+    assert.equal(result.state, ORDER_STATES.FILLED);
+    assert.equal(result.protectedSize, 0.02);
+    assert.deepEqual(await protectionOrders(), { stop: 0.02, lmt: 0.02 });
+    assert.equal(mock.requests.filter(r => r.endpoint.endsWith('/batchorder')).length, 2);
+});
+
+test('a failed resize is not reported as protected', async () => {
+    mock.injectFailure({ type: 'partial', endpoint: 'sendorder' });
+    mock.injectFailure({ type: 'serverError', endpoint: 'editorder', times: 1000 });
+    const exec = new ExecutionHandler(api, { fillTimeoutMs: 300, pollIntervalMs: 20 });
+    const placing = exec.placeOrder(longEntry(0.02));
+
+    await sleep(100);
+    await mock.exchange.ingestCandles(SYMBOL, [{ date: new Date(Date.now() - 30).toISOString(), open: 60000, high: 60000, low: 60000, close: 60000 }], 10);
+    const result = await placing;
+
+    assert.equal(result.filledSize, 0.02);
+    assert.equal(result.protectedSize, 0.01);
+    assert.deepEqual(await protectionOrders(), { stop: 0.01, lmt: 0.01 });
+});
+
+test('a rejected entry places nothing', async () => {
+    const exec = new ExecutionHandler(api, { fillTimeoutMs: 200, pollIntervalMs: 20 });
+    const result = await exec.placeOrder(longEntry(1000));
+
+    assert.equal(result.state, ORDER_STATES.REJECTED);
+    assert.equal(result.filledSize, 0);
+    assert.deepEqual(await protectionOrders(), {});
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Heartbeat } from '../heartbeat.js';
+import { PaperExchange } from '../paperExchange.js';
+
+const SYMBOL = 'PF_XBTUSD';
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A paper account holding one resting reduce-only stop, standing in for an open position's protection.
+async function exchangeWithStop() {
+    const exchange = await new PaperExchange({ stateFile: null }).init();
+    await exchange.ingestCandles(SYMBOL, [{ date: new Date(Date.now() - 10).toISOString(), open: 60000, high: 60000, low: 60000, close: 60000 }], 5);
+    await exchange.sendOrder({ orderType: 'lmt', symbol: SYMBOL, side: 'buy', size: 1, limitPrice: 60000 });
+    await exchange.sendOrder({ orderType: 'stp', symbol: SYMBOL, side: 'sell', size: 1, stopPrice: 59000, reduceOnly: true });
+    return exchange;
+}
+
+const openOrders = async exchange => (await exchange.getOpenOrders()).openOrders.length;
+
+test('keep_protection arms only while an entry is pending', async () => {
+    const exchange = await exchangeWithStop();
+    const heartbeat = new Heartbeat(exchange, { mode: 'keep_protection', timeoutSec: 60 });
+
+    await heartbeat.tick();
+    assert.equal(exchange.state.cancelAfter, null);
+    assert.equal(heartbeat.getStatus().armed, false);
+
+    await heartbeat.entryStarted();
+    assert.ok(exchange.state.cancelAfter > Date.now());
+    assert.equal(heartbeat.getStatus().armed, true);
+
+    await heartbeat.entryFinished();
+    assert.equal(exchange.state.cancelAfter, null);
+    assert.equal(heartbeat.getStatus().armed, false);
+    assert.equal(await openOrders(exchange), 1);
+});
+
+test('keep_protection leaves protection in place when the bot dies between entries', async () => {
+    const exchange = await exchangeWithStop();
+    const heartbeat = new Heartbeat(exchange, { mode: 'keep_protection', timeoutSec: 0.05 });
+    await heartbeat.entryStarted();
+    await heartbeat.entryFinished();
+    await sleep(80);
+    assert.equal(await openOrders(exchange), 1);
+});
+
+test('cancel_all keeps the timer armed, and the exchange cancels everything once it stops', async () => {
+    const exchange = await exchangeWithStop();
+    let healthy = true;
+    const heartbeat = new Heartbeat(exchange, { mode: 'cancel_all', timeoutSec: 0.3, isHealthy: () => healthy });
+
+    await heartbeat.tick();
+    assert.equal(heartbeat.getStatus().armed, true);
+    await sleep(200);
+    await heartbeat.tick();
+    await sleep(200);
+    assert.equal(await openOrders(exchange), 1, 're-arming pushes the deadline back');
+
+    healthy = false;
+    await heartbeat.tick();
+    assert.ok(heartbeat.getStatus().unhealthySince);
+    await sleep(350);
+    assert.equal(await openOrders(exchange), 0);
+});
+
+test('failed re-arms are counted and cleared on recovery', async () => {
+    const exchange = await exchangeWithStop();
+    let fail = true;
+    const api = { cancelAllOrdersAfter: p => (fail ? Promise.resolve({ result: 'error', error: 'apiLimitExceeded' }) : exchange.cancelAllOrdersAfter(p)) };
+    const heartbeat = new Heartbeat(api, { mode: 'cancel_all' });
+
+    await heartbeat.tick();
+    await heartbeat.tick();
+    assert.equal(heartbeat.getStatus().consecutiveFailures, 2);
+    assert.match(heartbeat.getStatus().lastError, /apiLimitExceeded/);
+
+    fail = false;
+    await heartbeat.tick();
+    assert.equal(heartbeat.getStatus().consecutiveFailures, 0);
+    assert.equal(heartbeat.getStatus().armed, true);
+});
+
+test('an unknown mode is rejected', () => {
+    assert.throws(() => new Heartbeat({}, { mode: 'sometimes' }), /Unknown heartbeat mode "sometimes"/);
+});
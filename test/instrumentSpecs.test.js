@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FALLBACK_SPEC, InstrumentSpecs, roundPrice, roundSize, specFromInstrument } from '../instrumentSpecs.js';
+
+const XBT = {
+    symbol: 'PF_XBTUSD', tickSize: 0.5, contractSize: 1, contractValueTradePrecision: 4, minimumOrderSize: 0.0001,
+    marginLevels: [{ contracts: 0, initialMargin: 0.02, maintenanceMargin: 0.01 }]
+};
+const ETH = { symbol: 'PF_ETHUSD', tickSize: 0.1, contractValueTradePrecision: 3, marginLevels: [{ initialMargin: 0.1, maintenanceMargin: 0.05 }] };
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Serves the given instruments and counts the requests.
+const instrumentsApi = (instruments = [XBT, ETH]) => ({
+    calls: 0,
+    fail: false,
+    async getInstruments() {
+        this.calls++;
+        if (this.fail) throw new Error('connect ECONNREFUSED');
+        return { result: 'success', instruments };
+    }
+});
+
+test('roundPrice rounds to the tick size, nearest by default or up and down on request', () => {
+    const spec = specFromInstrument(XBT);
+    assert.equal(roundPrice(60000.26, spec), 60000.5);
+    assert.equal(roundPrice(60000.24, spec), 60000);
+    assert.equal(roundPrice(60000.1, spec, 'up'), 60000.5);
+    assert.equal(roundPrice(60000.4, spec, 'down'), 60000);
+    assert.equal(roundPrice(60000.5, spec, 'up'), 60000.5, 'a price on a tick stays put');
+    assert.equal(roundPrice(60000.5, spec, 'down'), 60000.5);
+    // 0.1 ticks would print as 3000.3000000000002 without the decimal clean-up.
+    assert.equal(roundPrice(3000.28, specFromInstrument(ETH)), 3000.3);
+});
+
+test('roundSize always rounds down to the size step', () => {
+    const spec = specFromInstrument(ETH);
+    assert.equal(roundSize(1.2349, spec), 1.234);
+    assert.equal(roundSize(0.0009, spec), 0);
+    assert.equal(roundSize(0.3, spec), 0.3, 'a size on a step stays put');
+});
+
+test('the fallback spec rounds to whole dollars and 4-decimal sizes', () => {
+    assert.equal(roundPrice(60000.4), 60000);
+    assert.equal(roundPrice(60000.01, FALLBACK_SPEC, 'up'), 60001);
+    assert.equal(roundSize(0.123456), 0.1234);
+    assert.ok(Object.isFrozen(FALLBACK_SPEC));
+});
+
+test('specFromInstrument reads tick, size step, leverage and maintenance margin', () => {
+    assert.deepEqual(specFromInstrument(XBT), {
+        symbol: 'PF_XBTUSD', tickSize: 0.5, contractSize: 1, sizeStep: 0.0001, minSize: 0.0001, maxLeverage: 50, maintenanceMargin: 0.01
+    });
+    // Missing fields fall back: the size step stands in for the minimum size.
+    assert.deepEqual(specFromInstrument({ symbol: 'PF_NEWUSD', retailMarginLevels: [{ initialMargin: 0.5 }] }), {
+        symbol: 'PF_NEWUSD', tickSize: 1, contractSize: 1, sizeStep: 0.0001, minSize: 0.0001, maxLeverage: 2, maintenanceMargin: null
+    });
+});
+
+test('specs are fetched once, shared by concurrent lookups and matched case-insensitively', async () => {
+    const api = instrumentsApi();
+    const specs = new InstrumentSpecs(api);
+    const [xbt, eth] = await Promise.all([specs.get('PF_XBTUSD'), specs.get('pf_ethusd')]);
+    assert.equal(xbt.tickSize, 0.5);
+    assert.equal(eth.tickSize, 0.1);
+    await specs.get('PF_XBTUSD');
+    assert.equal(api.calls, 1);
+});
+
+test('an unlisted symbol gets the fallback spec under its own name', async () => {
+    const spec = await new InstrumentSpecs(instrumentsApi()).get('PF_DOGEUSD');
+    assert.deepEqual(spec, { ...FALLBACK_SPEC, symbol: 'PF_DOGEUSD' });
+});
+
+test('specs are refetched once the TTL runs out', async () => {
+    const api = instrumentsApi();
+    const specs = new InstrumentSpecs(api, { ttlMs: 50 });
+    await specs.get('PF_XBTUSD');
+    await specs.get('PF_XBTUSD');
+    assert.equal(api.calls, 1);
+    await sleep(80);
+    await specs.get('PF_XBTUSD');
+    assert.equal(api.calls, 2);
+});
+
+test('a failed refresh keeps the cached specs and waits before retrying', async () => {
+    const api = instrumentsApi();
+    const specs = new InstrumentSpecs(api, { ttlMs: 50 });
+    await specs.get('PF_XBTUSD');
+    await sleep(80);
+
+    api.fail = true;
+    assert.equal((await specs.get('PF_XBTUSD')).tickSize, 0.5);
+    assert.equal(api.calls, 2);
+    // The retry is a minute out, far beyond this TTL, so the next lookup does not hit the exchange.
+    await specs.get('PF_XBTUSD');
+    assert.equal(api.calls, 2);
+});
+
+test('without any fetched specs every symbol falls back', async () => {
+    const api = instrumentsApi([]);
+    assert.equal((await new InstrumentSpecs(api).get('PF_XBTUSD')).tickSize, FALLBACK_SPEC.tickSize);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { CachingProvider, LlmCacheMissError } from '../llmCache.js';
+import { ScriptedProvider } from '../llmProviders.js';
+import { StrategyEngine } from '../strategyEngine.js';
+
+// A fresh cache directory and a scripted provider that counts how often it was built.
+function setup(mode, responses = ['first', 'second']) {
+    const dir = fs.mkdtempSync('llm-cache-');
+    const built = [];
+    const cache = new CachingProvider(() => {
+        const inner = new ScriptedProvider({ responses });
+        built.push(inner);
+        return inner;
+    }, { provider: 'scripted', model: 'test-model', mode, dir });
+    return { dir, built, cache };
+}
+
+const cachedFiles = dir => fs.readdirSync(dir, { recursive: true }).filter(f => f.endsWith('.json'));
+
+test('record calls the provider once per prompt and serves repeats from disk', async () => {
+    const { dir, built, cache } = setup('record');
+    assert.equal(await cache.generate('prompt A'), 'first');
+    assert.equal(await cache.generate('prompt B'), 'second');
+    assert.equal(await cache.generate('prompt A'), 'first');
+    assert.equal(built.length, 1);
+    assert.deepEqual(built[0].calls, ['prompt A', 'prompt B']);
+    assert.deepEqual(cache.stats, { hits: 1, misses: 2 });
+
+    const files = cachedFiles(dir);
+    assert.equal(files.length, 2);
+    const entry = JSON.parse(fs.readFileSync(path.join(dir, files[0]), 'utf8'));
+    assert.equal(entry.model, 'test-model');
+    assert.ok(['first', 'second'].includes(entry.response));
+});
+
+test('replay serves a recording without building the provider', async () => {
+    const { dir, cache: recorder } = setup('record');
+    await recorder.generate('prompt A');
+
+    const replay = new CachingProvider(() => assert.fail('replay must not build the provider'), { provider: 'scripted', model: 'test-model', mode: 'replay', dir });
+    assert.equal(await replay.generate('prompt A'), 'first');
+    await assert.rejects(replay.generate('prompt C'), LlmCacheMissError);
+    assert.deepEqual(replay.stats, { hits: 1, misses: 1 });
+});
+
+test('the model is part of the key', async () => {
+    const { dir, cache } = setup('record');
+    await cache.generate('prompt A');
+    const other = new CachingProvider(() => null, { provider: 'scripted', model: 'other-model', mode: 'replay', dir });
+    await assert.rejects(other.generate('prompt A'), LlmCacheMissError);
+});
+
+test('a replay miss stops the strategy instead of being retried', async () => {
+    const { cache } = setup('replay');
+    const engine = new StrategyEngine({ llm: cache, retryDelayMs: 0 });
+    await assert.rejects(
+        engine.selectTimeframeAndStrategy({}, {}, 'PF_XBTUSD'),
+        err => err instanceof LlmCacheMissError && /replay mode/.test(err.message)
+    );
+    assert.deepEqual(cache.stats, { hits: 0, misses: 1 });
+});
+
+test('passthrough always calls the provider and writes nothing', async () => {
+    const { dir, built, cache } = setup('passthrough');
+    assert.equal(built.length, 1, 'the provider is built up front');
+    assert.equal(await cache.generate('prompt A'), 'first');
+    assert.equal(await cache.generate('prompt A'), 'second');
+    assert.equal(built[0].calls.length, 2);
+    assert.deepEqual(cache.stats, { hits: 0, misses: 0 });
+    assert.deepEqual(cachedFiles(dir), []);
+});
+
+test('an unknown mode is rejected', () => {
+    assert.throws(() => new CachingProvider(() => null, { provider: 'scripted', model: 'm', mode: 'sometimes' }), /Unknown LLM cache mode "sometimes"/);
+});
@@ -0,0 +1,93 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import express from 'express';
+import { createLlmProvider, GeminiProvider, OpenAICompatibleProvider, ScriptedProvider } from '../llmProviders.js';
+import { CachingProvider } from '../llmCache.js';
+
+const LLM_ENV = ['LLM_PROVIDER', 'LLM_MODEL', 'LLM_BASE_URL', 'LLM_API_KEY', 'LLM_SCRIPT_FILE', 'LLM_CACHE_MODE', 'LLM_CACHE_DIR', 'GEMINI_API_KEY'];
+
+let server;
+let baseUrl;
+const requests = [];
+
+// A local stand-in for an OpenAI-compatible `/chat/completions` endpoint that echoes the prompt back.
+before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.post('/v1/chat/completions', (req, res) => {
+        requests.push({ headers: req.headers, body: req.body });
+        res.json({ choices: [{ message: { role: 'assistant', content: `echo: ${req.body.messages.at(-1).content}` } }] });
+    });
+    server = await new Promise(resolve => {
+        const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    for (const name of LLM_ENV) delete process.env[name];
+    requests.length = 0;
+});
+
+test('selects the provider by name, case-insensitively, with its default model', () => {
+    const gemini = createLlmProvider({ apiKey: 'gemini-key' });
+    assert.ok(gemini instanceof GeminiProvider);
+    assert.equal(gemini.model, 'gemini-2.5-flash-lite');
+
+    const openai = createLlmProvider({ provider: 'OpenAI' });
+    assert.ok(openai instanceof OpenAICompatibleProvider);
+    assert.equal(openai.model, 'gpt-4o-mini');
+    assert.equal(openai.baseUrl, 'https://api.openai.com/v1');
+
+    const scripted = createLlmProvider({ provider: 'scripted', responses: ['a'] });
+    assert.ok(scripted instanceof ScriptedProvider);
+    assert.equal(scripted.loop, true);
+});
+
+test('unset fields fall back to the LLM_* env vars', async () => {
+    fs.writeFileSync('script.json', JSON.stringify(['from file']));
+    Object.assign(process.env, { LLM_PROVIDER: 'scripted', LLM_MODEL: 'ignored', LLM_SCRIPT_FILE: 'script.json' });
+    assert.equal(await createLlmProvider().generate('p'), 'from file');
+
+    Object.assign(process.env, { LLM_PROVIDER: 'openai', LLM_MODEL: 'local-model', LLM_BASE_URL: `${baseUrl}/`, LLM_API_KEY: 'env-key' });
+    const provider = createLlmProvider();
+    assert.deepEqual([provider.model, provider.baseUrl, provider.apiKey], ['local-model', baseUrl, 'env-key']);
+    assert.equal(createLlmProvider({ model: 'explicit' }).model, 'explicit', 'config wins over the env');
+});
+
+test('the OpenAI-compatible provider posts one user message and reads the first choice', async () => {
+    const provider = createLlmProvider({ provider: 'openai', model: 'local-model', baseUrl, apiKey: 'sk-test', temperature: 0.2 });
+    assert.equal(await provider.generate('Should I go long?'), 'echo: Should I go long?');
+
+    assert.equal(requests.length, 1);
+    const [{ headers, body }] = requests;
+    assert.equal(headers.authorization, 'Bearer sk-test');
+    assert.match(headers['content-type'], /application\/json/);
+    assert.deepEqual(body, { model: 'local-model', messages: [{ role: 'user', content: 'Should I go long?' }], temperature: 0.2 });
+});
+
+test('a keyless OpenAI-compatible server gets no Authorization header or temperature', async () => {
+    await createLlmProvider({ provider: 'openai', model: 'local-model', baseUrl }).generate('hi');
+    const [{ headers, body }] = requests;
+    assert.equal(headers.authorization, undefined);
+    assert.equal('temperature' in body, false);
+});
+
+test('a cache mode wraps the selected provider', () => {
+    const cached = createLlmProvider({ provider: 'scripted', responses: ['a'], cache: { mode: 'record', dir: 'llm-cache' } });
+    assert.ok(cached instanceof CachingProvider);
+});
+
+test('an unknown provider is rejected, with or without a cache', () => {
+    assert.throws(() => createLlmProvider({ provider: 'cohere' }), /Unknown LLM provider: cohere/);
+    assert.throws(() => createLlmProvider({ provider: 'cohere', cache: { mode: 'record' } }), /Unknown LLM provider: cohere/);
+    process.env.LLM_PROVIDER = 'nope';
+    assert.throws(() => createLlmProvider(), /Unknown LLM provider: nope/);
+});
+
+test('gemini without an API key fails fast', () => {
+    assert.throws(() => createLlmProvider({ provider: 'gemini' }), /API key missing/);
+});
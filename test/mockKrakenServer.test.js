@@ -0,0 +1,82 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startMockKrakenServer } from '../mockKrakenServer.js';
+import { KrakenFuturesApi } from '../krakenApi.js';
+
+let mock;
+let api;
+
+beforeEach(async () => {
+    mock = await startMockKrakenServer({ prices: { PF_XBTUSD: 60000 } });
+    api = new KrakenFuturesApi(mock.apiKey, mock.apiSecret, mock.baseUrl);
+});
+
+afterEach(() => mock.close());
+
+test('accepts requests signed with the right secret', async () => {
+    const res = await api.getAccounts();
+    assert.equal(res.result, 'success');
+    assert.equal(res.accounts.flex.portfolioValue, 10000);
+});
+
+test('rejects a bad signature or an unknown key', async () => {
+    const wrongSecret = new KrakenFuturesApi(mock.apiKey, crypto.randomBytes(64).toString('base64'), mock.baseUrl);
+    await assert.rejects(wrongSecret.getOpenPositions(), /authenticationError/);
+    const wrongKey = new KrakenFuturesApi('other-key', mock.apiSecret, mock.baseUrl);
+    await assert.rejects(wrongKey.getOpenPositions(), /authenticationError/);
+});
+
+test('signs POST bodies: a tampered body is rejected', async () => {
+    const original = api._sign.bind(api);
+    api._sign = (endpoint, nonce) => original(endpoint, nonce, 'size=999');
+    await assert.rejects(api.sendOrder({ orderType: 'lmt', symbol: 'PF_XBTUSD', side: 'buy', size: 1, limitPrice: 59000 }), /authenticationError/);
+    assert.equal(mock.exchange.state.orders.length, 0);
+});
+
+test('rejects a reused nonce', async () => {
+    api._nonce = () => '1700000000000000001';
+    await api.getOpenOrders();
+    await assert.rejects(api.getOpenOrders(), /nonceBelowThreshold/);
+});
+
+test('surfaces injected rate limits, server errors and stale nonces, then recovers', async () => {
+    mock.injectFailure({ type: 'rateLimit', endpoint: 'accounts' });
+    mock.injectFailure({ type: 'serverError', endpoint: 'accounts' });
+    mock.injectFailure({ type: 'staleNonce', endpoint: 'accounts' });
+
+    await assert.rejects(api.getAccounts(), /apiLimitExceeded/);
+    await assert.rejects(api.getAccounts(), /503 Service Unavailable/);
+    await assert.rejects(api.getAccounts(), /nonceBelowThreshold/);
+    assert.equal((await api.getAccounts()).result, 'success');
+});
+
+test('injected failures only hit the named endpoint and honour `times`', async () => {
+    mock.injectFailure({ type: 'rateLimit', endpoint: 'openorders', times: 2 });
+    assert.equal((await api.getOpenPositions()).result, 'success');
+    await assert.rejects(api.getOpenOrders(), /apiLimitExceeded/);
+    await assert.rejects(api.getOpenOrders(), /apiLimitExceeded/);
+    assert.equal((await api.getOpenOrders()).result, 'success');
+});
+
+test('a partial sendorder fills half and rests the remainder', async () => {
+    mock.injectFailure({ type: 'partial', endpoint: 'sendorder' });
+    const res = await api.sendOrder({ orderType: 'lmt', symbol: 'PF_XBTUSD', side: 'buy', size: 1, limitPrice: 60100 });
+    assert.equal(res.sendStatus.status, 'placed');
+
+    const { fills } = await api.getFills();
+    assert.deepEqual(fills.map(f => f.size), [0.5]);
+    const { openOrders } = await api.getOpenOrders();
+    assert.equal(openOrders.length, 1);
+    assert.equal(openOrders[0].unfilledSize, 0.5);
+});
+
+test('records every request', async () => {
+    await api.getTickers();
+    await api.sendOrder({ orderType: 'lmt', symbol: 'PF_XBTUSD', side: 'buy', size: 1, limitPrice: 59000 });
+    assert.deepEqual(mock.requests.map(r => `${r.method} ${r.endpoint}`), [
+        'GET /derivatives/api/v3/tickers',
+        'POST /derivatives/api/v3/sendorder'
+    ]);
+    assert.match(mock.requests[1].body, /limitPrice=59000/);
+});
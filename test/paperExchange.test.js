@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PaperExchange } from '../paperExchange.js';
+
+const SYMBOL = 'PF_XBTUSD';
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+// A candle that has already closed and started after every order sent before the sleep.
+const closedCandle = async (open, high, low, close) => {
+    await sleep(20);
+    return { date: new Date(Date.now() - 10).toISOString(), open, high, low, close };
+};
+
+// An exchange with a 1 BTC long at 60000 protected by a stop at 59000 and a target at 61000.
+async function protectedLong({ stopLimit } = {}) {
+    const exchange = await new PaperExchange({ stateFile: null, makerFee: 0, takerFee: 0 }).init();
+    await exchange.ingestCandles(SYMBOL, [await closedCandle(60000, 60000, 60000, 60000)], 5);
+    const entry = await exchange.sendOrder({ orderType: 'lmt', symbol: SYMBOL, side: 'buy', size: 1, limitPrice: 60100 });
+    assert.equal(entry.sendStatus.status, 'filled');
+    await exchange.sendOrder({ orderType: 'stp', symbol: SYMBOL, side: 'sell', size: 1, stopPrice: 59000, limitPrice: stopLimit, reduceOnly: true });
+    await exchange.sendOrder({ orderType: 'lmt', symbol: SYMBOL, side: 'sell', size: 1, limitPrice: 61000, reduceOnly: true });
+    return exchange;
+}
+
+test('a marketable entry fills at the last price', async () => {
+    const exchange = await protectedLong();
+    const [position] = (await exchange.getOpenPositions()).openPositions;
+    assert.deepEqual([position.side, position.size, position.price], ['long', 1, 60000]);
+    assert.equal((await exchange.getOpenOrders()).openOrders.length, 2);
+});
+
+test('a candle through both stop and target fills the stop and cancels the target', async () => {
+    const exchange = await protectedLong();
+    await exchange.ingestCandles(SYMBOL, [await closedCandle(60000, 61500, 58500, 61200)], 5);
+
+    assert.deepEqual((await exchange.getOpenPositions()).openPositions, []);
+    assert.deepEqual((await exchange.getOpenOrders()).openOrders, []);
+    const [exit] = (await exchange.getFills()).fills;
+    assert.deepEqual([exit.side, exit.price, exit.fillType], ['sell', 59000, 'taker']);
+    assert.equal(exchange.state.balance, 10000 - 1000);
+});
+
+test('a stop gapped through fills at the open, or rests once past its limit', async () => {
+    const gapped = await protectedLong();
+    await gapped.ingestCandles(SYMBOL, [await closedCandle(58000, 58200, 57800, 58100)], 5);
+    assert.equal((await gapped.getFills()).fills[0].price, 58000);
+
+    const limited = await protectedLong({ stopLimit: 58500 });
+    await limited.ingestCandles(SYMBOL, [await closedCandle(58000, 58200, 57800, 58100)], 5);
+    assert.equal((await limited.getOpenPositions()).openPositions.length, 1);
+    const stop = (await limited.getOpenOrders()).openOrders.find(o => o.limitPrice === 58500);
+    assert.equal(stop.orderType, 'lmt');
+});
+
+test('resting orders match on the finest interval, each interval replaying its own candles', async () => {
+    const exchange = await protectedLong();
+    await sleep(20);
+    const throughStop = { date: new Date(Date.now() - 10).toISOString(), open: 60000, high: 60000, low: 58500, close: 58800 };
+    // A coarser candle through the stop, ending after the fine one starts.
+    await exchange.ingestCandles(SYMBOL, [{ date: new Date(Date.now() - 9).toISOString(), open: 60000, high: 60000, low: 58500, close: 58800 }], 8);
+    assert.equal((await exchange.getOpenPositions()).openPositions.length, 1, 'the coarse candle fills nothing');
+
+    await exchange.ingestCandles(SYMBOL, [throughStop], 5);
+    assert.deepEqual((await exchange.getOpenPositions()).openPositions, []);
+    assert.equal((await exchange.getFills()).fills[0].price, 59000);
+});
+
+test('the last price is the newest close, whichever interval arrives last', async () => {
+    const exchange = await new PaperExchange({ stateFile: null }).init();
+    const markPrice = async () => (await exchange.getTickers()).tickers[0].markPrice;
+    await exchange.ingestCandles(SYMBOL, [await closedCandle(60000, 60600, 59900, 60500)], 5);
+    assert.equal(await markPrice(), 60500);
+
+    // A daily fetch landing afterwards ends with yesterday's close.
+    const DAY = 24 * 60 * 60 * 1000;
+    await exchange.ingestCandles(SYMBOL, [{ date: new Date(Date.now() - 2 * DAY).toISOString(), open: 50000, high: 50000, low: 50000, close: 50000 }], DAY);
+    assert.equal(await markPrice(), 60500);
+
+    // An hourly candle still open is priced now.
+    await exchange.ingestCandles(SYMBOL, [{ date: new Date().toISOString(), open: 60500, high: 60800, low: 60400, close: 60700 }], 60 * 60 * 1000);
+    assert.equal(await markPrice(), 60700);
+});
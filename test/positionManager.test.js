@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PositionManager } from '../positionManager.js';
+
+// Records every stop edit instead of sending it.
+const recordingApi = () => ({
+    edits: [],
+    async editOrder(params) {
+        this.edits.push(params);
+        return { result: 'success' };
+    }
+});
+
+// Every true range is 2, so ATR(14) is 2.
+const flat = (count, close = 100) => Array.from({ length: count }, () => ({ open: close, high: close + 1, low: close - 1, close }));
+const long = () => ({ id: 't1', symbol: 'PF_XBTUSD', side: 'LONG', entryPrice: 100, stopLoss: 90, stopLossOrderId: 'stop-1' });
+const short = () => ({ id: 't2', symbol: 'PF_XBTUSD', side: 'SHORT', entryPrice: 100, stopLoss: 110, stopLossOrderId: 'stop-2' });
+const only = (api, rule) => new PositionManager(api, {
+    breakEvenAtR: rule === 'break_even' ? 1 : null,
+    trailAtrMultiple: rule === 'atr_trail' ? 3 : null,
+    tightenOnTimeframeSwitch: rule === 'timeframe_switch' ? 0.5 : null
+});
+
+test('break_even moves the stop to entry once price is 1R in profit, and only once', async () => {
+    const api = recordingApi();
+    const pm = only(api, 'break_even');
+    const trade = long();
+
+    assert.equal(await pm.manage({ trade, ohlc: flat(20), markPrice: 109 }), null);
+    assert.deepEqual(api.edits, []);
+
+    const moved = await pm.manage({ trade, ohlc: flat(20), markPrice: 110 });
+    assert.deepEqual([moved.rule, moved.from, moved.to, moved.price], ['break_even', 90, 100, 110]);
+    assert.deepEqual(api.edits, [{ orderId: 'stop-1', stopPrice: 100, limitPrice: 99 }]);
+    assert.equal(trade.stopLoss, 100);
+    assert.equal(trade.initialStopLoss, 90);
+    assert.deepEqual(trade.history, [moved]);
+
+    assert.equal(await pm.manage({ trade, ohlc: flat(20), markPrice: 120 }), null, 'the stop is already at entry');
+    assert.equal(api.edits.length, 1);
+});
+
+test('atr_trail follows price by 3 ATR and never loosens', async () => {
+    const api = recordingApi();
+    const pm = only(api, 'atr_trail');
+    const trade = long();
+
+    assert.equal((await pm.manage({ trade, ohlc: flat(20), markPrice: 100 })).to, 94);
+    assert.equal(await pm.manage({ trade, ohlc: flat(20), markPrice: 98 }), null);
+    assert.equal(await pm.manage({ trade, ohlc: flat(14), markPrice: 110 }), null, 'too few candles for the ATR');
+    assert.deepEqual(api.edits, [{ orderId: 'stop-1', stopPrice: 94, limitPrice: 93 }]);
+
+    const shortTrade = short();
+    assert.equal((await pm.manage({ trade: shortTrade, ohlc: flat(20), markPrice: 100 })).to, 106);
+    assert.deepEqual(api.edits.at(-1), { orderId: 'stop-2', stopPrice: 106, limitPrice: 108 });
+});
+
+test('timeframe_switch closes half the gap to price, only on a switch', async () => {
+    const api = recordingApi();
+    const pm = only(api, 'timeframe_switch');
+    const trade = long();
+
+    assert.equal(await pm.manage({ trade, ohlc: flat(20), markPrice: 110 }), null);
+    assert.equal((await pm.manage({ trade, ohlc: flat(20), markPrice: 110, timeframeChanged: true })).to, 100);
+    assert.equal(await pm.manage({ trade, ohlc: flat(20), markPrice: 100, timeframeChanged: true }), null, 'price is at the stop');
+    assert.deepEqual(api.edits, [{ orderId: 'stop-1', stopPrice: 100, limitPrice: 99 }]);
+});
+
+test('moves are priced at the futures mark, falling back to the last close', async () => {
+    const api = recordingApi();
+    const pm = only(api, 'break_even');
+
+    assert.equal(await pm.manage({ trade: long(), ohlc: flat(20, 110), markPrice: 105 }), null, 'the mark is short of 1R');
+    assert.equal((await pm.manage({ trade: long(), ohlc: flat(20, 105), markPrice: 110 })).price, 110);
+    assert.equal((await pm.manage({ trade: long(), ohlc: flat(20, 110) })).price, 110);
+    assert.equal(api.edits.length, 2);
+});
+
+test('a rejected edit leaves the trade untouched', async () => {
+    const api = { editOrder: async () => ({ result: 'error', error: 'orderNotFound' }) };
+    const trade = long();
+    assert.equal(await only(api, 'break_even').manage({ trade, ohlc: flat(20), markPrice: 110 }), null);
+    assert.equal(trade.stopLoss, 90);
+    assert.equal(trade.history, undefined);
+});
@@ -0,0 +1,90 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { startMockKrakenServer } from '../mockKrakenServer.js';
+import { KrakenFuturesApi } from '../krakenApi.js';
+import { Reconciler } from '../reconciler.js';
+
+const SYMBOL = 'PF_XBTUSD';
+const AUDIT_FILE = 'reconciliation-audit.ndjson';
+
+let mock;
+let api;
+let reconciler;
+
+beforeEach(async () => {
+    mock = await startMockKrakenServer({ prices: { [SYMBOL]: 60000 } });
+    api = new KrakenFuturesApi(mock.apiKey, mock.apiSecret, mock.baseUrl);
+    reconciler = new Reconciler(api, { auditFile: AUDIT_FILE });
+    fs.rmSync(AUDIT_FILE, { force: true });
+});
+
+afterEach(() => mock.close());
+
+const send = p => api.sendOrder({ symbol: SYMBOL, ...p });
+const openLong = size => send({ orderType: 'lmt', side: 'buy', size, limitPrice: 60000 });
+const protectionOrders = async () => (await api.getOpenOrders()).openOrders.filter(o => o.reduceOnly);
+const byType = orders => Object.fromEntries(orders.map(o => [o.orderType, o]));
+
+test('attaches a missing stop-loss and take-profit at the stored trade levels', async () => {
+    await openLong(0.5);
+    const trade = { side: 'LONG', size: 0.5, stopLoss: 59000, takeProfit: 62000 };
+
+    const changes = await reconciler.reconcile({ symbol: SYMBOL, trade });
+
+    assert.deepEqual(changes.map(c => c.action), ['attached_stop_loss', 'attached_take_profit']);
+    const { stop, lmt } = byType(await protectionOrders());
+    assert.deepEqual([stop.side, stop.stopPrice, stop.limitPrice, stop.unfilledSize], ['sell', 59000, 58410, 0.5]);
+    assert.deepEqual([lmt.side, lmt.limitPrice, lmt.unfilledSize], ['sell', 62000, 0.5]);
+    assert.equal(trade.stopLossOrderId, stop.order_id);
+    assert.equal(trade.takeProfitOrderId, lmt.order_id);
+
+    const audit = fs.readFileSync(AUDIT_FILE, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(audit.map(e => [e.action, e.source]), [['attached_stop_loss', 'trade'], ['attached_take_profit', 'trade']]);
+});
+
+test('resizes protection that covers only part of the position', async () => {
+    await openLong(1);
+    const { sendStatus } = await send({ orderType: 'stp', side: 'sell', size: 0.4, stopPrice: 59000, limitPrice: 58410, reduceOnly: true });
+    await send({ orderType: 'lmt', side: 'sell', size: 1, limitPrice: 62000, reduceOnly: true });
+
+    const changes = await reconciler.reconcile({ symbol: SYMBOL });
+
+    assert.deepEqual(changes.map(c => [c.action, c.from, c.to]), [['resized_stop_loss', 0.4, 1]]);
+    const { stop } = byType(await protectionOrders());
+    assert.equal(stop.order_id, sendStatus.order_id);
+    assert.equal(stop.unfilledSize, 1);
+});
+
+test('cancels protection left behind by a closed position and leaves other orders alone', async () => {
+    const entry = await send({ orderType: 'lmt', side: 'buy', size: 0.1, limitPrice: 55000 });
+    // The paper exchange cancels orphans itself, so these are planted straight into its book.
+    for (const [orderType, price] of [['stp', 59000], ['lmt', 62000]]) {
+        mock.exchange.state.orders.push({
+            order_id: `orphan-${orderType}`, symbol: SYMBOL, side: 'sell', orderType, stopPrice: orderType === 'stp' ? price : undefined,
+            limitPrice: price, reduceOnly: true, filledSize: 0, unfilledSize: 0.5, receivedTime: new Date().toISOString(), status: 'untouched'
+        });
+    }
+
+    const changes = await reconciler.reconcile({ symbol: SYMBOL });
+
+    assert.deepEqual(changes.map(c => [c.action, c.orderId]), [['cancelled_orphan_order', 'orphan-stp'], ['cancelled_orphan_order', 'orphan-lmt']]);
+    const { openOrders } = await api.getOpenOrders();
+    assert.deepEqual(openOrders.map(o => o.order_id), [entry.sendStatus.order_id]);
+});
+
+test('a fully protected position is left as it is', async () => {
+    await openLong(0.5);
+    await send({ orderType: 'stp', side: 'sell', size: 0.5, stopPrice: 59000, limitPrice: 58410, reduceOnly: true });
+    await send({ orderType: 'lmt', side: 'sell', size: 0.5, limitPrice: 62000, reduceOnly: true });
+
+    assert.deepEqual(await reconciler.reconcile({ symbol: SYMBOL }), []);
+    assert.equal((await protectionOrders()).length, 2);
+    assert.equal(fs.existsSync(AUDIT_FILE), false);
+});
+
+test('strict mode throws when nothing says where the stop belongs', async () => {
+    await openLong(0.5);
+    await assert.rejects(reconciler.reconcile({ symbol: SYMBOL, strict: true }), /LONG position of 0.5 has no stop_loss and no trade or ATR/);
+    assert.deepEqual(await protectionOrders(), []);
+});
@@ -0,0 +1,256 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RiskManager, estimateLiquidationPrice } from '../riskManager.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = Date.parse('2025-01-01T00:00:00Z');
+const withLimits = limits => new RiskManager({ limits });
+
+test('drawdown from the equity peak engages the kill switch until reset', () => {
+    const risk = withLimits({ maxDrawdownPercent: 0.15 });
+    risk.updateBalance(10000, T0);
+    risk.updateBalance(12000, T0 + 1);
+    risk.updateBalance(10300, T0 + 2);
+    assert.equal(risk.checkAccountLimits(T0 + 3).allowed, true);
+
+    risk.updateBalance(10200, T0 + 4);
+    const check = risk.checkAccountLimits(T0 + 5);
+    assert.equal(check.allowed, false);
+    assert.match(check.reason, /Drawdown 15\.00%/);
+    assert.equal(risk.checkAccountLimits(T0 + 10 * DAY).allowed, false);
+
+    risk.resetKillSwitch('test');
+    assert.equal(risk.checkAccountLimits(T0 + 10 * DAY).allowed, true);
+    assert.equal(risk.getAccountState().peakBalance, 10200);
+});
+
+test('daily realized loss halts until the next UTC midnight', () => {
+    const risk = withLimits({ maxDailyLossPercent: 0.05 });
+    risk.updateBalance(10000, T0 + 1000);
+    risk.recordClosedTrade({ id: 'a', pnl: -300 }, T0 + 2000);
+    assert.equal(risk.checkAccountLimits(T0 + 3000).allowed, true);
+
+    risk.recordClosedTrade({ id: 'b', pnl: -200 }, T0 + 4000);
+    assert.equal(risk.checkAccountLimits(T0 + 5000).allowed, false);
+    assert.equal(risk.checkAccountLimits(T0 + DAY - 1).allowed, false);
+    assert.equal(risk.checkAccountLimits(T0 + DAY).allowed, true);
+});
+
+test('the daily loss baseline is the first equity seen that day', () => {
+    const risk = withLimits({ maxDailyLossPercent: 0.05 });
+    risk.updateBalance(10000, T0 + 1000);
+    risk.recordClosedTrade({ id: 'a', pnl: -400 }, T0 + 2000);
+    risk.updateBalance(20000, T0 + DAY + 1000);
+    risk.recordClosedTrade({ id: 'b', pnl: -900 }, T0 + DAY + 2000);
+    assert.equal(risk.checkAccountLimits(T0 + DAY + 3000).allowed, true);
+    assert.equal(risk.getAccountState().dailyPnl, -900);
+});
+
+test('consecutive losses halt until reset; a win restarts the count', () => {
+    const risk = withLimits({ maxConsecutiveLosses: 3 });
+    for (const pnl of [-1, -1, 5, -1, -1]) risk.recordClosedTrade({ pnl }, T0);
+    assert.equal(risk.checkAccountLimits(T0).allowed, true);
+
+    risk.recordClosedTrade({ pnl: -1 }, T0);
+    assert.equal(risk.checkAccountLimits(T0 + 30 * DAY).allowed, false);
+    risk.resetKillSwitch();
+    assert.equal(risk.getAccountState().consecutiveLosses, 0);
+    assert.equal(risk.checkAccountLimits(T0).allowed, true);
+});
+
+test('a stop-out starts the cooldown; other exits do not', () => {
+    const risk = withLimits({ stopOutCooldownMs: 60 * 60 * 1000 });
+    risk.recordClosedTrade({ id: 'a', pnl: -10, exitReason: 'Take-Profit' }, T0);
+    assert.equal(risk.checkAccountLimits(T0 + 1).allowed, true);
+
+    risk.recordClosedTrade({ id: 'b', pnl: -10, exitReason: 'Stop-Loss' }, T0);
+    assert.equal(risk.checkAccountLimits(T0 + 59 * 60 * 1000).allowed, false);
+    assert.equal(risk.checkAccountLimits(T0 + 60 * 60 * 1000).allowed, true);
+});
+
+test('a timed halt never replaces one that waits for a manual reset', () => {
+    const risk = withLimits({ maxConsecutiveLosses: 1, stopOutCooldownMs: 1000 });
+    risk.recordClosedTrade({ id: 'a', pnl: -10, exitReason: 'Stop-Loss' }, T0);
+    assert.equal(risk.getAccountState().halt.code, 'consecutive_losses');
+    assert.equal(risk.checkAccountLimits(T0 + 2000).allowed, false);
+});
+
+test('no limits configured never halts', () => {
+    const risk = withLimits(undefined);
+    risk.updateBalance(10000, T0);
+    risk.updateBalance(100, T0 + 1);
+    for (let i = 0; i < 20; i++) risk.recordClosedTrade({ pnl: -100, exitReason: 'Stop-Loss' }, T0 + 2);
+    assert.equal(risk.checkAccountLimits(T0 + 3).allowed, true);
+});
+
+test('account state survives a save and restore, keeping the configured limits', () => {
+    const risk = withLimits({ maxConsecutiveLosses: 1 });
+    risk.updateBalance(10000, T0);
+    risk.recordClosedTrade({ pnl: -10 }, T0);
+    const saved = JSON.parse(JSON.stringify(risk.getAccountState()));
+
+    const restored = withLimits({ maxConsecutiveLosses: 5 });
+    restored.restoreAccountState(saved);
+    assert.equal(restored.checkAccountLimits(T0).allowed, false);
+    assert.equal(restored.limits.maxConsecutiveLosses, 5);
+    assert.deepEqual(restored.getAccountState().recentPnls, [-10]);
+});
+
+// 30 flat candles: every true range is 2, so ATR(14) = 2.
+const ohlc = Array.from({ length: 30 }, () => ({ open: 100, high: 101, low: 99, close: 100 }));
+const market = { balance: 10000, ohlc };
+const signal = (confidence = 7) => ({ signal: 'LONG', confidence, stop_loss_distance_in_usd: 5, take_profit_distance_in_usd: 10 });
+const sized = (sizing, tradingSignal = signal(), trades = []) => {
+    const risk = new RiskManager({ leverage: 10, riskPerTrade: 0.02, sizing });
+    for (const pnl of trades) risk.recordClosedTrade({ pnl }, T0);
+    return risk.calculateTradeParameters(market, tradingSignal);
+};
+
+test('fixed sizing risks riskPerTrade of the balance to the stop', () => {
+    const params = sized(undefined);
+    assert.equal(params.size, 40);
+    assert.equal(params.stopLoss, 95);
+    assert.equal(params.takeProfit, 110);
+    assert.deepEqual(params.sizing, { mode: 'fixed', riskFraction: 0.02 });
+});
+
+test('size is capped by the margin available at the configured leverage', () => {
+    const risk = new RiskManager({ leverage: 10, riskPerTrade: 0.02 });
+    const params = risk.calculateTradeParameters({ balance: 1000, ohlc }, { ...signal(), stop_loss_distance_in_usd: 0.1 });
+    assert.ok(params.size > 99 && params.size <= 1000 * 10 / 1.01 / 100);
+});
+
+test('confidence sizing scales risk with confidence, up to maxRisk', () => {
+    assert.equal(sized({ mode: 'confidence' }, signal(8)).size, 50);
+    assert.equal(sized({ mode: 'confidence' }, signal(10)).size, 60);
+    assert.equal(sized({ mode: 'confidence', confidence: { minConfidence: 6 } }, signal(5)), null);
+});
+
+test('volatility sizing makes one ATR move cost targetAtrPercent of the balance', () => {
+    const params = sized({ mode: 'volatility' });
+    assert.equal(params.size, 50);
+    assert.equal(params.sizing.riskFraction, 0.025);
+});
+
+test('kelly sizing falls back to fixed risk without enough history', () => {
+    assert.equal(sized({ mode: 'kelly' }, signal(), [10, -5]).sizing.riskFraction, 0.02);
+});
+
+test('kelly sizing uses a fraction of the Kelly estimate, capped at maxRisk', () => {
+    const edge = Array.from({ length: 20 }, (_, i) => (i % 2 ? -10 : 30));
+    assert.equal(sized({ mode: 'kelly' }, signal(), edge).sizing.riskFraction, 0.03);
+    const params = sized({ mode: 'kelly', kelly: { maxRisk: 0.5, fraction: 0.1 } }, signal(), edge);
+    assert.equal(params.sizing.riskFraction, 0.03333);
+});
+
+test('kelly sizing skips the trade when the estimate shows no edge', () => {
+    const noEdge = Array.from({ length: 20 }, (_, i) => (i % 4 ? -10 : 10));
+    assert.equal(sized({ mode: 'kelly' }, signal(), noEdge), null);
+    const allLosses = Array.from({ length: 20 }, () => -10);
+    assert.equal(sized({ mode: 'kelly' }, signal(), allLosses), null);
+});
+
+test('invalid stop or target distances are rejected', () => {
+    assert.equal(sized(undefined, { ...signal(), stop_loss_distance_in_usd: 0 }), null);
+    assert.equal(sized(undefined, { ...signal(), take_profit_distance_in_usd: -1 }), null);
+    assert.throws(() => new RiskManager({ sizing: { mode: 'martingale' } }), /Unknown sizing mode/);
+});
+
+const bounded = (stopBounds, tradingSignal = signal(), marketData = market) =>
+    new RiskManager({ leverage: 10, riskPerTrade: 0.02, stopBounds }).calculateTradeParameters(marketData, tradingSignal);
+
+test('stop distances outside the ATR bounds are clamped onto them', () => {
+    const tight = bounded({ minAtrMultiple: 1 }, { ...signal(), stop_loss_distance_in_usd: 0.5 });
+    assert.equal(tight.stopLoss, 98);
+    assert.equal(tight.size, 100);
+
+    const wide = bounded({ maxAtrMultiple: 2 });
+    assert.equal(wide.stopLoss, 96);
+    assert.equal(wide.size, 50);
+    assert.equal(wide.takeProfit, 110);
+});
+
+test('a target below the minimum reward:risk is pushed out to it', () => {
+    const params = bounded({ minRewardRisk: 3 });
+    assert.equal(params.stopLoss, 95);
+    assert.equal(params.takeProfit, 115);
+    assert.equal(bounded({ minRewardRisk: 2 }).takeProfit, 110, 'exactly at the minimum is fine');
+});
+
+test('onViolation reject skips the trade instead of clamping', () => {
+    assert.equal(bounded({ minAtrMultiple: 3, onViolation: 'reject' }), null);
+    assert.equal(bounded({ maxAtrMultiple: 2, onViolation: 'reject' }), null);
+    assert.equal(bounded({ minRewardRisk: 3, onViolation: 'reject' }), null);
+    assert.equal(bounded({ minAtrMultiple: 1, maxAtrMultiple: 5, minRewardRisk: 2, onViolation: 'reject' }).size, 40);
+});
+
+test('the ATR bounds are skipped without enough candles for the ATR', () => {
+    const params = bounded({ maxAtrMultiple: 2, onViolation: 'reject' }, signal(), { balance: 10000, ohlc: ohlc.slice(0, 10) });
+    assert.equal(params.stopLoss, 95);
+});
+
+test('estimates the liquidation price of a long and a short under cross margin', () => {
+    const base = { units: 1, entryPrice: 100, equity: 20, maintenanceMarginRate: 0.01 };
+    // Long: equity after the loss, p - 80, meets maintenance 0.01p at p = 80 / 0.99.
+    assert.ok(Math.abs(estimateLiquidationPrice({ ...base, side: 'LONG' }) - 80 / 0.99) < 1e-9);
+    // Short: 120 - p meets 0.01p at p = 120 / 1.01.
+    assert.ok(Math.abs(estimateLiquidationPrice({ ...base, side: 'SHORT' }) - 120 / 1.01) < 1e-9);
+});
+
+test('margin held by other positions moves the liquidation price towards the entry', () => {
+    const base = { units: 1, entryPrice: 100, equity: 20, maintenanceMarginRate: 0.01, otherMaintenanceMargin: 5 };
+    assert.ok(Math.abs(estimateLiquidationPrice({ ...base, side: 'LONG' }) - 85 / 0.99) < 1e-9);
+    assert.ok(Math.abs(estimateLiquidationPrice({ ...base, side: 'SHORT' }) - 115 / 1.01) < 1e-9);
+});
+
+test('a fully funded long or an empty position cannot be liquidated', () => {
+    const base = { entryPrice: 100, equity: 200, maintenanceMarginRate: 0.01 };
+    assert.equal(estimateLiquidationPrice({ ...base, side: 'LONG', units: 1 }), null);
+    assert.equal(estimateLiquidationPrice({ ...base, side: 'SHORT', units: 0 }), null);
+});
+
+// Other positions hold all but 200 USD of the equity, so 40 units at 100 would be liquidated
+// about 4 away, inside the stop distance of 5.
+const thinMargin = { ...market, otherMaintenanceMargin: 9800 };
+
+test('a stop beyond maxStopFraction of the liquidation distance resizes the position', () => {
+    for (const side of ['LONG', 'SHORT']) {
+        const risk = new RiskManager({ leverage: 10, riskPerTrade: 0.02 });
+        const params = risk.calculateTradeParameters(thinMargin, { ...signal(), signal: side });
+        const sideFactor = side === 'LONG' ? 0.99 : 1.01;
+        const maxUnits = 200 * 0.8 / (5 * sideFactor + 100 * 0.01 * 0.8);
+        assert.ok(params.size < 40 && params.size <= maxUnits && params.size > maxUnits - 0.001, `${side} size ${params.size}`);
+        const liquidation = estimateLiquidationPrice({ side, units: params.size, entryPrice: 100, equity: 10000, maintenanceMarginRate: 0.01, otherMaintenanceMargin: 9800 });
+        assert.ok(5 <= Math.abs(100 - liquidation) * 0.8, `${side} stop stays inside the liquidation distance`);
+        assert.ok(side === 'LONG' ? params.liquidationPrice < params.stopLoss : params.liquidationPrice > params.stopLoss);
+    }
+});
+
+test('the liquidation rule rejects instead of resizing when configured to', () => {
+    const risk = new RiskManager({ leverage: 10, riskPerTrade: 0.02, liquidation: { onViolation: 'reject' } });
+    assert.equal(risk.calculateTradeParameters(thinMargin, signal()), null);
+    assert.equal(risk.calculateTradeParameters(market, signal()).size, 40, 'a safe stop is left alone');
+});
+
+// At 0.01%/h over 24h a unit at 100 pays 0.24 of funding: 4.8% of the 5 risked to the stop.
+const funded = (funding, side = 'LONG', maxCostToRisk = 0.04) => new RiskManager({ leverage: 10, riskPerTrade: 0.02, funding: { maxCostToRisk } })
+    .calculateTradeParameters({ ...market, funding, expectedHoldHours: 24 }, { ...signal(), signal: side });
+const FUNDING = { fundingRate: 0.0001, predictedFundingRate: 0.0001 };
+
+test('a long is blocked when projected funding over the hold exceeds the limit', () => {
+    assert.equal(funded(FUNDING), null);
+    assert.equal(funded(FUNDING, 'LONG', 0.05).size, 40);
+    assert.equal(funded({ fundingRate: 0, predictedFundingRate: 0.0001 }), null, 'the predicted rate wins');
+});
+
+test('an entry that receives funding is never blocked', () => {
+    assert.equal(funded(FUNDING, 'SHORT').size, 40);
+    assert.equal(funded({ fundingRate: -0.001, predictedFundingRate: null }, 'LONG').size, 40);
+});
+
+test('missing funding context lets the trade through', () => {
+    assert.equal(funded(null).size, 40);
+    assert.equal(funded({ fundingRate: null, predictedFundingRate: null }).size, 40);
+    const risk = new RiskManager({ leverage: 10, riskPerTrade: 0.02, funding: { maxCostToRisk: 0.04 } });
+    assert.equal(risk.calculateTradeParameters({ ...market, funding: FUNDING }, signal()).size, 40, 'no expected hold');
+});
@@ -0,0 +1,11 @@
+// test/setup.js – loaded before every test file (see `npm test`).
+// Modules write logs/, trades.json and state files relative to the working directory, so each
+// test process runs in its own temporary directory with only warnings and errors logged.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.LOG_LEVEL ??= 'error';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trading-bot-test-'));
+process.chdir(dir);
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
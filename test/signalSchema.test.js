@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SIGNAL_SCHEMA, TIMEFRAME_SCHEMA, parseJsonResponse, validateAgainstSchema } from '../signalSchema.js';
+import { ScriptedProvider } from '../llmProviders.js';
+import { StrategyEngine } from '../strategyEngine.js';
+
+const LONG = { signal: 'LONG', confidence: 7, stop_loss_distance_in_usd: 500, take_profit_distance_in_usd: 1000, reason: 'Breakout.' };
+const codes = result => result.errors.map(e => [e.field, e.code]);
+
+test('finds the JSON object inside surrounding prose and code fences', () => {
+    const parsed = parseJsonResponse('Here you go:\n```json\n{"signal": "HOLD"}\n```\nGood luck.');
+    assert.deepEqual(parsed, { ok: true, value: { signal: 'HOLD' } });
+});
+
+test('a response without JSON is NO_JSON, a broken one INVALID_JSON', () => {
+    assert.deepEqual(codes(parseJsonResponse('I would go long here.')), [[null, 'NO_JSON']]);
+    assert.deepEqual(codes(parseJsonResponse(undefined)), [[null, 'NO_JSON']]);
+    assert.deepEqual(codes(parseJsonResponse('{"signal": "LONG",}')), [[null, 'INVALID_JSON']]);
+});
+
+test('coerces dollar amounts, thousands separators and timeframe shorthand', () => {
+    const signal = validateAgainstSchema(SIGNAL_SCHEMA, { ...LONG, signal: ' long ', confidence: '7', stop_loss_distance_in_usd: '$1,234', take_profit_distance_in_usd: '2,468.5' });
+    assert.equal(signal.ok, true);
+    assert.deepEqual(signal.value, { ...LONG, stop_loss_distance_in_usd: 1234, take_profit_distance_in_usd: 2468.5 });
+
+    for (const raw of ['4h', '4 Hours', '240']) {
+        assert.equal(validateAgainstSchema(TIMEFRAME_SCHEMA, { timeframe: raw, reason: 'r' }).value.timeframe, '4 hour', raw);
+    }
+    assert.equal(validateAgainstSchema(TIMEFRAME_SCHEMA, { timeframe: 'weekly', reason: 'r' }).value.timeframe, '1 week');
+});
+
+test('HOLD may leave out or zero its distances', () => {
+    const missing = validateAgainstSchema(SIGNAL_SCHEMA, { signal: 'HOLD', confidence: 0 });
+    assert.equal(missing.ok, true);
+    assert.deepEqual(missing.value, { signal: 'HOLD', confidence: 0, stop_loss_distance_in_usd: 0, take_profit_distance_in_usd: 0, reason: '' });
+    assert.equal(validateAgainstSchema(SIGNAL_SCHEMA, { signal: 'hold', confidence: 0, stop_loss_distance_in_usd: 0, take_profit_distance_in_usd: '0' }).ok, true);
+});
+
+test('reports each problem with its field and reason code', () => {
+    assert.deepEqual(codes(validateAgainstSchema(SIGNAL_SCHEMA, { signal: 'LONG', confidence: 5, take_profit_distance_in_usd: 10 })),
+        [['stop_loss_distance_in_usd', 'MISSING_FIELD']]);
+    assert.deepEqual(codes(validateAgainstSchema(SIGNAL_SCHEMA, { ...LONG, signal: 'BUY' })), [['signal', 'INVALID_ENUM']]);
+    assert.deepEqual(codes(validateAgainstSchema(SIGNAL_SCHEMA, { ...LONG, stop_loss_distance_in_usd: 0 })), [['stop_loss_distance_in_usd', 'NOT_POSITIVE']]);
+    assert.deepEqual(codes(validateAgainstSchema(SIGNAL_SCHEMA, { ...LONG, confidence: 11 })), [['confidence', 'OUT_OF_RANGE']]);
+    assert.deepEqual(codes(validateAgainstSchema(SIGNAL_SCHEMA, { ...LONG, confidence: 'high' })), [['confidence', 'NOT_A_NUMBER']]);
+    assert.deepEqual(codes(validateAgainstSchema(TIMEFRAME_SCHEMA, { timeframe: '2 hour', reason: 'r' })), [['timeframe', 'INVALID_ENUM']]);
+});
+
+// 20 hourly candles: enough for the prompt's ATR(14).
+const market = {
+    symbol: 'PF_XBTUSD',
+    tradeHistory: [],
+    ohlc: Array.from({ length: 20 }, (_, i) => ({ date: new Date(Date.UTC(2025, 6, 1, i)).toISOString(), open: 60000, high: 60200, low: 59800, close: 60000, volume: 1 }))
+};
+
+test('an off-format signal gets one repair prompt listing the errors', async () => {
+    const llm = new ScriptedProvider({ responses: [JSON.stringify({ ...LONG, signal: 'BUY', confidence: 12 }), JSON.stringify(LONG)] });
+    const signal = await new StrategyEngine({ llm, retryDelayMs: 0 }).generateSignal(market, '1 hour', 'Breakouts');
+
+    assert.deepEqual(signal, LONG);
+    assert.equal(llm.calls.length, 2);
+    const repair = llm.calls[1];
+    assert.ok(repair.startsWith(llm.calls[0]), 'the repair prompt repeats the original');
+    assert.match(repair, /\[INVALID_ENUM\] "signal" must be one of LONG, SHORT, HOLD; got "BUY"/);
+    assert.match(repair, /\[OUT_OF_RANGE\] "confidence" must be between 0 and 10; got 12/);
+    assert.match(repair, /"stop_loss_distance_in_usd": number greater than 0 \(0 allowed when signal is HOLD\)/);
+});
+
+test('a repair that is still off-format holds instead of trading', async () => {
+    const llm = new ScriptedProvider({ responses: ['Go long!', '{"signal": "LONG",}'] });
+    const signal = await new StrategyEngine({ llm, retryDelayMs: 0 }).generateSignal(market, '1 hour', 'Breakouts');
+    assert.equal(llm.calls.length, 2);
+    assert.equal(signal.signal, 'HOLD');
+    assert.equal(signal.reason, 'Validation error: INVALID_JSON');
+});
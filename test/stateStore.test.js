@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { StateStore } from '../stateStore.js';
+
+test('round-trips state with a savedAt stamp and leaves no temp file', async () => {
+    const store = new StateStore('round-trip.json');
+    assert.equal(await store.load(), null);
+    await store.save({ wasPositionOpen: true, lastTradeDetails: { id: 't1', size: 0.5 } });
+
+    const loaded = await store.load();
+    assert.deepEqual(loaded.lastTradeDetails, { id: 't1', size: 0.5 });
+    assert.ok(!Number.isNaN(Date.parse(loaded.savedAt)));
+    assert.equal(fs.existsSync('round-trip.json.tmp'), false);
+});
+
+test('a save replaces the file by rename instead of rewriting it in place', async () => {
+    const store = new StateStore('renamed.json');
+    await store.save({ n: 1 });
+    const before = fs.statSync('renamed.json').ino;
+    await store.save({ n: 2 });
+    assert.notEqual(fs.statSync('renamed.json').ino, before);
+    assert.equal((await store.load()).n, 2);
+});
+
+test('a failed write leaves the previous state intact', async () => {
+    const store = new StateStore('intact.json');
+    await store.save({ n: 1 });
+    // A directory where the temp file should go makes the write fail before the rename.
+    fs.mkdirSync('intact.json.tmp');
+    await store.save({ n: 2 });
+    assert.equal((await store.load()).n, 1);
+});
+
+test('overlapping saves are written in order, so the last one wins', async () => {
+    const store = new StateStore('queued.json');
+    await Promise.all(Array.from({ length: 10 }, (_, n) => store.save({ n })));
+    assert.equal((await store.load()).n, 9);
+});
+
+test('an unreadable file loads as no state', async () => {
+    fs.writeFileSync('corrupt.json', '{"n": 1');
+    assert.equal(await new StateStore('corrupt.json').load(), null);
+});
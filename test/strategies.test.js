@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStrategy, STRATEGY_NAMES, DonchianBreakoutStrategy, EmaCrossoverStrategy, RsiMeanReversionStrategy } from '../strategies.js';
+import { StrategyEngine } from '../strategyEngine.js';
+import { atrSeries } from '../indicators.js';
+
+const flat = (count, close = 100) => Array.from({ length: count }, () => ({ open: close, high: close + 1, low: close - 1, close }));
+// Candles through the given closes, each opening at the previous close with a 1-point wick either side.
+const path = closes => closes.map((close, i) => {
+    const open = closes[i - 1] ?? close;
+    return { open, high: Math.max(open, close) + 1, low: Math.min(open, close) - 1, close };
+});
+const range = (from, to) => Array.from({ length: Math.abs(to - from) + 1 }, (_, i) => from + Math.sign(to - from) * i);
+const signalOn = (strategy, ohlc) => strategy.generateSignal({ ohlc });
+// Stops sit 2 ATR(14) away and targets 3 ATR, rounded to cents.
+const atrDistances = ohlc => {
+    const atr = atrSeries(ohlc, 14).at(-1);
+    return { stop_loss_distance_in_usd: +(atr * 2).toFixed(2), take_profit_distance_in_usd: +(atr * 3).toFixed(2) };
+};
+
+test('donchian goes with a close beyond the channel, stops 2 ATR and targets 3 ATR away', async () => {
+    // Every true range is 2 until the breakout candle's 6, so Wilder's ATR(14) is (13 × 2 + 6) / 14.
+    const long = await signalOn(new DonchianBreakoutStrategy(), [...flat(30), { open: 100, high: 106, low: 100, close: 105 }]);
+    assert.deepEqual(long, {
+        signal: 'LONG',
+        confidence: 10,
+        stop_loss_distance_in_usd: 4.57,
+        take_profit_distance_in_usd: 6.86,
+        reason: 'Close 105 broke above 21-bar high 101.'
+    });
+
+    const short = await signalOn(new DonchianBreakoutStrategy(), [...flat(30), { open: 100, high: 100, low: 94, close: 95 }]);
+    assert.equal(short.signal, 'SHORT');
+    assert.equal(short.stop_loss_distance_in_usd, 4.57);
+});
+
+test('donchian holds inside the channel buffer and below minCandles', async () => {
+    const strategy = new DonchianBreakoutStrategy();
+    // 101.1 clears the 101 high but not the 0.15% buffer on top of it.
+    const inside = await signalOn(strategy, [...flat(30), { open: 100, high: 101.2, low: 100, close: 101.1 }]);
+    assert.equal(inside.signal, 'HOLD');
+    assert.equal(inside.stop_loss_distance_in_usd, 0);
+
+    assert.equal(strategy.minCandles, 22);
+    const short = await signalOn(strategy, [...flat(20), { open: 100, high: 106, low: 100, close: 105 }]);
+    assert.deepEqual(short, { signal: 'HOLD', confidence: 0, stop_loss_distance_in_usd: 0, take_profit_distance_in_usd: 0, reason: 'Insufficient data' });
+});
+
+test('ema_cross trades a cross on the latest candle and holds without one', async () => {
+    const strategy = new EmaCrossoverStrategy({ fastPeriod: 3, slowPeriod: 10 });
+    const up = path([...range(140, 102), 130]);
+    const long = await signalOn(strategy, up);
+    assert.equal(long.signal, 'LONG');
+    assert.equal(long.reason, 'EMA3 crossed above EMA10.');
+    assert.deepEqual(
+        { stop_loss_distance_in_usd: long.stop_loss_distance_in_usd, take_profit_distance_in_usd: long.take_profit_distance_in_usd },
+        atrDistances(up)
+    );
+
+    const down = path([...range(60, 98), 70]);
+    assert.equal((await signalOn(strategy, down)).signal, 'SHORT');
+
+    assert.equal((await signalOn(strategy, path(range(140, 100)))).signal, 'HOLD', 'a steady decline never crosses');
+    assert.equal(strategy.minCandles, 35);
+    assert.equal((await signalOn(strategy, path([...range(120, 102), 130]))).reason, 'Insufficient data');
+});
+
+test('rsi_reversion fades extremes and holds when neutral', async () => {
+    const strategy = new RsiMeanReversionStrategy();
+    const falling = path(range(140, 110));
+    const long = await signalOn(strategy, falling);
+    assert.equal(long.signal, 'LONG');
+    assert.equal(long.confidence, 10);
+    assert.deepEqual(
+        { stop_loss_distance_in_usd: long.stop_loss_distance_in_usd, take_profit_distance_in_usd: long.take_profit_distance_in_usd },
+        atrDistances(falling)
+    );
+
+    assert.equal((await signalOn(strategy, path(range(110, 140)))).signal, 'SHORT');
+    const choppy = path(Array.from({ length: 31 }, (_, i) => (i % 2 ? 101 : 100)));
+    assert.equal((await signalOn(strategy, choppy)).signal, 'HOLD');
+    assert.equal(strategy.minCandles, 15);
+    assert.equal((await signalOn(strategy, falling.slice(0, 14))).reason, 'Insufficient data');
+});
+
+test('createStrategy builds each strategy by name and passes its options', () => {
+    assert.deepEqual(STRATEGY_NAMES, ['ai', 'donchian', 'ema_cross', 'rsi_reversion']);
+    const donchian = createStrategy('donchian', { period: 10, timeframe: '4 hour' });
+    assert.ok(donchian instanceof DonchianBreakoutStrategy);
+    assert.equal(donchian.period, 10);
+    assert.equal(donchian.usesLlm, false);
+    assert.ok(createStrategy('ema_cross') instanceof EmaCrossoverStrategy);
+    assert.ok(createStrategy('rsi_reversion', { oversold: 20 }) instanceof RsiMeanReversionStrategy);
+    assert.ok(createStrategy('ai', { provider: 'scripted', responses: ['{}'] }) instanceof StrategyEngine);
+    assert.throws(() => createStrategy('martingale'), /Unknown strategy: martingale/);
+});
+
+test('rule-based strategies trade their configured timeframe', async () => {
+    const decision = await createStrategy('donchian', { timeframe: '4 hour' }).selectTimeframeAndStrategy({}, {}, 'PF_XBTUSD');
+    assert.equal(decision.timeframe, '4 hour');
+    assert.equal(decision.strategy, 'donchian');
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScriptedProvider } from '../llmProviders.js';
+import { StrategyEngine } from '../strategyEngine.js';
+
+const TIMEFRAME = JSON.stringify({ reason: 'Trend is clearest on the 4h chart.', timeframe: '4 hour' });
+
+// Runs the timeframe and strategy selection and returns the strategy prompt the model saw.
+async function strategyPrompt(config) {
+    const llm = new ScriptedProvider({ responses: [TIMEFRAME, 'Trend following.'] });
+    const decision = await new StrategyEngine({ llm, retryDelayMs: 0, ...config }).selectTimeframeAndStrategy({}, {}, 'PF_XBTUSD');
+    assert.equal(decision.strategy, 'Trend following.');
+    return llm.calls[1];
+}
+
+test('the strategy prompt quotes the configured risk per trade and sizing mode', async () => {
+    assert.match(await strategyPrompt({ riskPerTrade: 0.005 }), /risk tolerance of 0\.5% of capital per trade and/);
+    assert.match(await strategyPrompt({ riskPerTrade: 0.01, sizingMode: 'kelly' }), /risk tolerance of 1% of capital per trade, scaled by kelly position sizing/);
+});
+
+test('the strategy prompt states no risk figure when none is configured', async () => {
+    const prompt = await strategyPrompt({});
+    assert.doesNotMatch(prompt, /risk tolerance|%/);
+    assert.match(prompt, /PF_XBTUSD trading bot and a dynamic approach/);
+});
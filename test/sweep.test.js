@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandGrid, walkForwardSplits } from '../sweep.js';
+
+test('expands a grid into every combination', () => {
+    const combos = expandGrid({ LEVERAGE: [5, 10], 'STRATEGY_OPTIONS.period': [14, 21, 28] });
+    assert.equal(combos.length, 6);
+    assert.deepEqual(combos[0], { LEVERAGE: 5, 'STRATEGY_OPTIONS.period': 14 });
+    assert.deepEqual(combos.at(-1), { LEVERAGE: 10, 'STRATEGY_OPTIONS.period': 28 });
+    assert.equal(new Set(combos.map(c => JSON.stringify(c))).size, 6);
+});
+
+test('an empty grid is one run with the base settings; an empty list is none', () => {
+    assert.deepEqual(expandGrid({}), [{}]);
+    assert.deepEqual(expandGrid({ LEVERAGE: [] }), []);
+});
+
+test('walk-forward splits roll by stepDays and stay inside the range', () => {
+    const splits = walkForwardSplits({ start: '2025-07-01', end: '2025-08-10', inSampleDays: 20, outOfSampleDays: 10, stepDays: 5 });
+    assert.equal(splits.length, 3);
+    assert.deepEqual(splits[0], {
+        inSample: { start: '2025-07-01T00:00:00.000Z', end: '2025-07-21T00:00:00.000Z' },
+        outOfSample: { start: '2025-07-21T00:00:00.000Z', end: '2025-07-31T00:00:00.000Z' }
+    });
+    assert.equal(splits[1].inSample.start, '2025-07-06T00:00:00.000Z');
+    assert.equal(splits.at(-1).outOfSample.end, '2025-08-10T00:00:00.000Z');
+});
+
+test('stepDays defaults to the out-of-sample length, so out-of-sample windows tile', () => {
+    const splits = walkForwardSplits({ start: '2025-07-01', end: '2025-08-01', inSampleDays: 10, outOfSampleDays: 7 });
+    assert.equal(splits.length, 3);
+    for (let i = 1; i < splits.length; i++) assert.equal(splits[i].outOfSample.start, splits[i - 1].outOfSample.end);
+});
+
+test('a range shorter than one split gives none', () => {
+    assert.deepEqual(walkForwardSplits({ start: '2025-07-01', end: '2025-07-10', inSampleDays: 7, outOfSampleDays: 3 }), []);
+});
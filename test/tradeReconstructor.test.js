@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TradeReconstructor } from '../tradeReconstructor.js';
+
+const fill = (order_id, side, size, price, fillTime, extra = {}) => ({
+    fill_id: `${order_id}-${fillTime}`, order_id, symbol: 'PF_XBTUSD', side, size, price, fillTime, fillType: 'taker', ...extra
+});
+const trade = { id: 'entry', symbol: 'PF_XBTUSD', side: 'LONG', stopLossOrderId: 'sl', takeProfitOrderId: 'tp' };
+const noFees = new TradeReconstructor({ makerFee: 0, takerFee: 0 });
+
+test('a take-profit exit yields PnL from the VWAP of the entry fills', () => {
+    const fills = [
+        fill('entry', 'buy', 1, 100, '2025-01-01T00:00:00Z'),
+        fill('entry', 'buy', 1, 102, '2025-01-01T00:00:01Z'),
+        fill('tp', 'sell', 2, 110, '2025-01-01T02:00:00Z', { fillType: 'maker' })
+    ];
+    const result = noFees.reconstruct(trade, fills);
+    assert.equal(result.entryPrice, 101);
+    assert.equal(result.exitPrice, 110);
+    assert.equal(result.filledSize, 2);
+    assert.equal(result.exitReason, 'Take-Profit');
+    assert.equal(result.pnl, 18);
+    assert.equal(result.exitTime, '2025-01-01T02:00:00Z');
+    assert.equal(result.pnlSource, 'fills');
+});
+
+test('fees come from the fill when given, otherwise from the maker/taker rate', () => {
+    const reconstructor = new TradeReconstructor({ makerFee: 0.001, takerFee: 0.002 });
+    const fills = [
+        fill('entry', 'buy', 1, 1000, '2025-01-01T00:00:00Z', { fee: 3 }),
+        fill('tp', 'sell', 1, 1100, '2025-01-01T01:00:00Z', { fillType: 'maker' })
+    ];
+    const result = reconstructor.reconstruct(trade, fills);
+    assert.equal(result.grossPnl, 100);
+    assert.equal(result.fees, 4.1);
+    assert.equal(result.pnl, 95.9);
+});
+
+test('a short stopped out in two pieces', () => {
+    const short = { ...trade, side: 'SHORT' };
+    const fills = [
+        fill('entry', 'sell', 2, 100, '2025-01-01T00:00:00Z'),
+        fill('sl', 'buy', 1, 104, '2025-01-01T01:00:00Z'),
+        fill('sl', 'buy', 1, 106, '2025-01-01T01:00:05Z')
+    ];
+    const result = noFees.reconstruct(short, fills);
+    assert.equal(result.exitPrice, 105);
+    assert.equal(result.pnl, -10);
+    assert.equal(result.exitReason, 'Stop-Loss');
+    assert.equal(result.exitTime, '2025-01-01T01:00:05Z');
+});
+
+test('closes by other orders fill the gap, and liquidations are labelled', () => {
+    const fills = [
+        fill('entry', 'buy', 2, 100, '2025-01-01T00:00:00Z'),
+        fill('sl', 'sell', 1, 95, '2025-01-01T01:00:00Z'),
+        fill('liq', 'sell', 1, 90, '2025-01-01T02:00:00Z', { fillType: 'liquidation' }),
+        fill('earlier', 'sell', 5, 80, '2024-12-31T00:00:00Z'),
+        fill('other-symbol', 'sell', 5, 80, '2025-01-01T01:30:00Z', { symbol: 'PF_ETHUSD' })
+    ];
+    const result = noFees.reconstruct(trade, fills);
+    assert.equal(result.exitReason, 'Stop-Loss+Liquidation');
+    assert.deepEqual(result.exitOrderIds, ['sl', 'liq']);
+    assert.equal(result.pnl, -15);
+});
+
+test('only as much exit size as was entered is matched', () => {
+    const fills = [
+        fill('entry', 'buy', 1, 100, '2025-01-01T00:00:00Z'),
+        fill('tp', 'sell', 1, 110, '2025-01-01T01:00:00Z'),
+        fill('manual', 'sell', 3, 120, '2025-01-01T02:00:00Z')
+    ];
+    const result = noFees.reconstruct(trade, fills);
+    assert.equal(result.exitPrice, 110);
+    assert.equal(result.exitReason, 'Take-Profit');
+});
+
+test('returns null without an entry fill or a complete exit', () => {
+    assert.equal(noFees.reconstruct(trade, [fill('tp', 'sell', 1, 110, '2025-01-01T01:00:00Z')]), null);
+    assert.equal(noFees.reconstruct(trade, [
+        fill('entry', 'buy', 2, 100, '2025-01-01T00:00:00Z'),
+        fill('tp', 'sell', 1, 110, '2025-01-01T01:00:00Z')
+    ]), null);
+    assert.equal(noFees.reconstruct({ side: 'LONG' }, []), null);
+    assert.equal(noFees.reconstruct(trade, null), null);
+});
+
+test('accepts sizes and prices as strings', () => {
+    const fills = [
+        fill('entry', 'buy', '1', '100', '2025-01-01T00:00:00Z'),
+        fill('tp', 'sell', '1', '105.5', '2025-01-01T01:00:00Z')
+    ];
+    assert.equal(noFees.reconstruct(trade, fills).pnl, 5.5);
+});
@@ -0,0 +1,112 @@
+// tradeReconstructor.js – rebuilds closed trades from exchange fills
+import { log } from './logger.js';
+
+const DEFAULT_FEES = { maker: 0.0002, taker: 0.0005 };
+
+const vwap = fills => {
+    const size = fills.reduce((a, f) => a + f.size, 0);
+    return size > 0 ? fills.reduce((a, f) => a + f.price * f.size, 0) / size : null;
+};
+
+/**
+ * @class TradeReconstructor
+ * @description Matches a logged trade's entry, stop-loss and take-profit orders to their
+ * fills by order ID and computes realized PnL net of fees.
+ */
+export class TradeReconstructor {
+    /**
+     * @param {object} [config]
+     * @param {number} [config.makerFee=0.0002] - Fee rate applied to maker fills without an explicit fee.
+     * @param {number} [config.takerFee=0.0005] - Fee rate applied to all other fills without an explicit fee.
+     */
+    constructor(config = {}) {
+        this.makerFee = config.makerFee ?? DEFAULT_FEES.maker;
+        this.takerFee = config.takerFee ?? DEFAULT_FEES.taker;
+    }
+
+    _fee(fill) {
+        if (typeof fill.fee === 'number') return Math.abs(fill.fee);
+        const rate = fill.fillType === 'maker' ? this.makerFee : this.takerFee;
+        return fill.price * fill.size * rate;
+    }
+
+    /**
+     * Reconstructs a closed trade.
+     * @param {object} trade - Trade log entry with `id`, `side`, and optionally `symbol`,
+     * `stopLossOrderId` and `takeProfitOrderId`.
+     * @param {Array<object>} fills - Raw fills from `KrakenFuturesApi.getFills`.
+     * @returns {object|null} The trade with entry/exit prices, fees and PnL filled in, or null
+     * if the entry fill or a complete exit cannot be found.
+     */
+    reconstruct(trade, fills) {
+        if (!trade?.id || !Array.isArray(fills)) return null;
+
+        const normalized = fills.map(f => ({ ...f, size: +f.size, price: +f.price }));
+        const entryFills = normalized.filter(f => f.order_id === trade.id);
+        if (!entryFills.length) {
+            log.warn(`[RECON] No fills found for entry order ${trade.id}.`);
+            return null;
+        }
+
+        const entrySize = entryFills.reduce((a, f) => a + f.size, 0);
+        const entryTime = entryFills.map(f => f.fillTime).sort()[0];
+        const closeSide = trade.side === 'LONG' ? 'sell' : 'buy';
+
+        const tagged = [
+            { id: trade.stopLossOrderId, reason: 'Stop-Loss' },
+            { id: trade.takeProfitOrderId, reason: 'Take-Profit' }
+        ].filter(o => o.id);
+
+        let exitFills = normalized
+            .filter(f => tagged.some(o => o.id === f.order_id))
+            .map(f => ({ ...f, reason: tagged.find(o => o.id === f.order_id).reason }));
+
+        // Closed by something other than our protection orders (manual close, liquidation, ...).
+        if (exitFills.reduce((a, f) => a + f.size, 0) < entrySize) {
+            const others = normalized
+                .filter(f => f.side === closeSide && f.fillTime >= entryTime && f.order_id !== trade.id)
+                .filter(f => !trade.symbol || f.symbol?.toUpperCase() === trade.symbol.toUpperCase())
+                .filter(f => !exitFills.some(e => e.fill_id === f.fill_id))
+                .sort((a, b) => a.fillTime.localeCompare(b.fillTime))
+                .map(f => ({ ...f, reason: f.fillType === 'liquidation' ? 'Liquidation' : 'Other' }));
+            exitFills = [...exitFills, ...others];
+        }
+
+        exitFills.sort((a, b) => a.fillTime.localeCompare(b.fillTime));
+        const matched = [];
+        let remaining = entrySize;
+        for (const f of exitFills) {
+            if (remaining <= 1e-12) break;
+            const size = Math.min(f.size, remaining);
+            matched.push({ ...f, size });
+            remaining -= size;
+        }
+        if (remaining > 1e-9) {
+            log.warn(`[RECON] Trade ${trade.id} is not fully closed in the available fills (${remaining} of ${entrySize} still open).`);
+            return null;
+        }
+
+        const entryPrice = vwap(entryFills);
+        const exitPrice = vwap(matched);
+        const direction = trade.side === 'LONG' ? 1 : -1;
+        const grossPnl = (exitPrice - entryPrice) * entrySize * direction;
+        const fees = [...entryFills, ...matched].reduce((a, f) => a + this._fee(f), 0);
+        const last = matched.at(-1);
+        const reasons = [...new Set(matched.map(f => f.reason))];
+
+        return {
+            ...trade,
+            entryPrice,
+            entryTime,
+            filledSize: entrySize,
+            exitPrice,
+            exitTime: last.fillTime,
+            exitReason: reasons.length === 1 ? reasons[0] : reasons.join('+'),
+            exitOrderIds: [...new Set(matched.map(f => f.order_id))],
+            grossPnl: parseFloat(grossPnl.toFixed(2)),
+            fees: parseFloat(fees.toFixed(2)),
+            pnl: parseFloat((grossPnl - fees).toFixed(2)),
+            pnlSource: 'fills'
+        };
+    }
+}
@@ -1,17 +1,61 @@
 import express from 'express';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 
 const PORT = process.env.PORT || 3000;
+// Shared secret for POST /api/risk/reset. The route is disabled when it is not set.
+const RISK_RESET_TOKEN = process.env.RISK_RESET_TOKEN;
 const logFilePath = path.join(process.cwd(), 'logs', 'metrics.ndjson');
 const tradeLogFilePath = path.join(process.cwd(), 'trades.json');
 
+/**
+ * Compares a request's token with RISK_RESET_TOKEN in constant time.
+ */
+function tokenMatches(token) {
+    if (typeof token !== 'string') return false;
+    const given = crypto.createHash('sha256').update(token).digest();
+    const expected = crypto.createHash('sha256').update(RISK_RESET_TOKEN).digest();
+    return crypto.timingSafeEqual(given, expected);
+}
+
 // ----------------------------------------
 // Express setup
 // ----------------------------------------
-export function startWebServer() {
+/**
+ * @param {object} [hooks]
+ * @param {Function} [hooks.getHeartbeatStatus] - Returns the dead-man's switch status.
+ * @param {Function} [hooks.getRiskStatus] - Returns the RiskManager's account state.
+ * @param {Function} [hooks.resetRisk] - Lifts the kill switch.
+ */
+export function startWebServer({ getHeartbeatStatus, getRiskStatus, resetRisk } = {}) {
     const app = express();
 
+    // API endpoint for the dead-man's switch status
+    app.get('/api/heartbeat', (req, res) => {
+        res.json(getHeartbeatStatus ? getHeartbeatStatus() : null);
+    });
+
+    // API endpoint for the account-level risk status (kill switch)
+    app.get('/api/risk', (req, res) => {
+        if (!getRiskStatus) return res.json(null);
+        res.json(getRiskStatus());
+    });
+
+    // Manually lift the kill switch. The dashboard listens on every interface, so the caller
+    // must send RISK_RESET_TOKEN in the X-Risk-Reset-Token header.
+    app.post('/api/risk/reset', async (req, res) => {
+        if (!resetRisk || !RISK_RESET_TOKEN) return res.status(404).json({ error: 'Risk reset is not available. Set RISK_RESET_TOKEN to enable it.' });
+        if (!tokenMatches(req.get('X-Risk-Reset-Token'))) return res.status(403).json({ error: 'Invalid risk reset token.' });
+        try {
+            await resetRisk();
+            res.json(getRiskStatus ? getRiskStatus() : null);
+        } catch (error) {
+            console.error('Error resetting kill switch:', error);
+            res.status(500).json({ error: 'Failed to reset the kill switch.' });
+        }
+    });
+
     // API endpoint to fetch the logs
     app.get('/api/logs', (req, res) => {
         // Check if the log directory and file exist
@@ -93,6 +137,11 @@ export function startWebServer() {
         <div class="bg-white rounded-xl shadow-lg p-6 w-full max-w-4xl">
           <h1 class="text-3xl font-bold text-center text-blue-600 mb-4">Sigtra Dashboard</h1>
           <p class="text-center text-gray-500 mb-6">Real-time feed of the trading bot's activity.</p>
+
+          <!-- Kill switch status -->
+          <div id="risk-status" class="hidden rounded-lg p-3 mb-4 text-sm flex items-center justify-between"></div>
+          <!-- Dead-man's switch status -->
+          <p id="heartbeat-status" class="hidden text-xs text-center mb-4"></p>
           
           <!-- Tab Navigation -->
           <div class="flex border-b border-gray-300 mb-4">
@@ -123,7 +172,7 @@ export function startWebServer() {
           // State for current view
           let currentView = 'logs';
           let lastLogCount = 0;
-          let lastTradeCount = 0;
+          let lastTradesJson = '';
 
           // Tab switching function
           function switchTab(tab) {
@@ -223,12 +272,13 @@ export function startWebServer() {
           function addTradesToTable(trades) {
             if (trades.length === 0) {
               tradesContent.innerHTML = '<p class="text-center text-gray-400">No trades to display yet...</p>';
-              lastTradeCount = 0;
+              lastTradesJson = '';
               return;
             }
 
-            const newTrades = trades.slice(lastTradeCount);
-            if (newTrades.length === 0) {
+            // Trades are updated in place when they close, so re-render whenever anything changed.
+            const tradesJson = JSON.stringify(trades);
+            if (tradesJson === lastTradesJson) {
                 return;
             }
 
@@ -244,7 +294,8 @@ export function startWebServer() {
                           <th scope="col" class="py-3 px-6">Side</th>
                           <th scope="col" class="py-3 px-6">Size</th>
                           <th scope="col" class="py-3 px-6">Entry Price</th>
-                          <th scope="col" class="py-3 px-6">P&L</th>
+                          <th scope="col" class="py-3 px-6">Exit</th>
+                          <th scope="col" class="py-3 px-6">Net P&L</th>
                           <th scope="col" class="py-3 px-6 rounded-tr-lg">Details</th>
                         </tr>
                       </thead>
@@ -258,31 +309,115 @@ export function startWebServer() {
             const tbody = table.querySelector('tbody');
             const isScrolledToBottom = tradesContent.scrollHeight - tradesContent.clientHeight <= tradesContent.scrollTop + 1;
 
-            newTrades.forEach(trade => {
+            const fmt = (n) => (typeof n === 'number' ? n.toFixed(2) : (n ?? '-'));
+            tbody.innerHTML = '';
+            trades.forEach(trade => {
                 const row = document.createElement('tr');
                 row.className = 'bg-white border-b hover:bg-gray-50';
                 row.innerHTML = \`
-                    <td class="py-4 px-6 font-medium text-gray-900 whitespace-nowrap">\${trade.id.substring(0, 8)}...</td>
-                    <td class="py-4 px-6 \${trade.side === 'BUY' ? 'text-green-600' : 'text-red-600'}">\${trade.side}</td>
-                    <td class="py-4 px-6">\${trade.size}</td>
-                    <td class="py-4 px-6">\${trade.lastPrice.toFixed(2)}</td>
-                    <td class="py-4 px-6 \${(trade.pnl > 0) ? 'text-green-600' : (trade.pnl < 0) ? 'text-red-600' : 'text-gray-500'}">\${trade.pnl !== null ? trade.pnl : 'Pending'}</td>
+                    <td class="py-4 px-6 font-medium text-gray-900 whitespace-nowrap">\${String(trade.id).substring(0, 8)}...<span class="text-xs text-gray-500 block">\${trade.symbol ?? ''}</span></td>
+                    <td class="py-4 px-6 \${trade.side === 'LONG' ? 'text-green-600' : 'text-red-600'}">\${trade.side}</td>
+                    <td class="py-4 px-6">\${trade.filledSize ?? trade.size}</td>
+                    <td class="py-4 px-6">\${fmt(trade.entryPrice ?? trade.lastPrice)}</td>
                     <td class="py-4 px-6">
-                        <span class="text-xs text-gray-500 block">SL: \${trade.stopLoss.toFixed(2)}</span>
-                        <span class="text-xs text-gray-500 block">TP: \${trade.takeProfit.toFixed(2)}</span>
+                        \${fmt(trade.exitPrice)}
+                        <span class="text-xs text-gray-500 block">\${trade.exitReason ?? (trade.exitTime ? '' : 'Open')}</span>
+                    </td>
+                    <td class="py-4 px-6 \${(trade.pnl > 0) ? 'text-green-600' : (trade.pnl < 0) ? 'text-red-600' : 'text-gray-500'}">\${trade.pnl !== null && trade.pnl !== undefined ? trade.pnl : 'Pending'}</td>
+                    <td class="py-4 px-6">
+                        <span class="text-xs text-gray-500 block">SL: \${fmt(trade.stopLoss)}</span>
+                        <span class="text-xs text-gray-500 block">TP: \${fmt(trade.takeProfit)}</span>
+                        <span class="text-xs text-gray-500 block">Liq: \${fmt(trade.liquidationPrice)}</span>
+                        <span class="text-xs text-gray-500 block">Fees: \${fmt(trade.fees)}</span>
                     </td>
                 \`;
                 tbody.appendChild(row);
             });
             
-            lastTradeCount = trades.length;
+            lastTradesJson = tradesJson;
 
             if (isScrolledToBottom) {
               tradesContent.scrollTop = tradesContent.scrollHeight;
             }
           }
 
+          // --- Risk status logic ---
+          const riskStatus = document.getElementById('risk-status');
+
+          async function fetchRisk() {
+            try {
+              const response = await fetch('/api/risk');
+              if (!response.ok) return;
+              renderRisk(await response.json());
+            } catch (error) {
+              console.error(error);
+            }
+          }
+
+          function renderRisk(risk) {
+            if (!risk) {
+              riskStatus.classList.add('hidden');
+              return;
+            }
+            riskStatus.classList.remove('hidden');
+            const dd = risk.peakBalance ? ((1 - risk.balance / risk.peakBalance) * 100).toFixed(2) : '0.00';
+            const stats = \`Daily P&L: \${(risk.dailyPnl ?? 0).toFixed(2)} · Drawdown: \${dd}% · Losses in a row: \${risk.consecutiveLosses}\`;
+            if (risk.halt) {
+              const until = risk.halt.until ? 'until ' + new Date(risk.halt.until).toLocaleString() : 'until manual reset';
+              riskStatus.className = 'rounded-lg p-3 mb-4 text-sm flex items-center justify-between bg-red-100 text-red-800';
+              riskStatus.innerHTML = \`<span><strong>Kill switch engaged</strong> (\${until}): \${risk.halt.reason}<span class="block text-xs">\${stats}</span></span>
+                <button id="risk-reset" class="ml-4 py-1 px-3 rounded bg-red-600 text-white text-xs font-medium">Reset</button>\`;
+              document.getElementById('risk-reset').addEventListener('click', async () => {
+                const token = prompt('Lift the kill switch and allow new positions? Enter the risk reset token:');
+                if (!token) return;
+                const response = await fetch('/api/risk/reset', { method: 'POST', headers: { 'X-Risk-Reset-Token': token } });
+                if (response.ok) renderRisk(await response.json());
+                else alert((await response.json()).error);
+              });
+            } else {
+              riskStatus.className = 'rounded-lg p-3 mb-4 text-sm flex items-center justify-between bg-green-50 text-green-800';
+              riskStatus.innerHTML = \`<span><strong>Trading enabled</strong><span class="block text-xs">\${stats}</span></span>\`;
+            }
+          }
+
+          // --- Heartbeat status logic ---
+          const heartbeatStatus = document.getElementById('heartbeat-status');
+
+          async function fetchHeartbeat() {
+            try {
+              const response = await fetch('/api/heartbeat');
+              if (!response.ok) return;
+              renderHeartbeat(await response.json());
+            } catch (error) {
+              console.error(error);
+            }
+          }
+
+          function renderHeartbeat(hb) {
+            if (!hb) {
+              heartbeatStatus.classList.add('hidden');
+              return;
+            }
+            heartbeatStatus.classList.remove('hidden');
+            let text = \`Dead-man's switch: \${hb.mode}\`;
+            let color = 'text-gray-500';
+            if (hb.mode === 'off') {
+              color = 'text-yellow-600';
+            } else if (hb.consecutiveFailures > 0 || hb.unhealthySince) {
+              color = 'text-red-600';
+              text += hb.unhealthySince ? \` · bot unhealthy since \${new Date(hb.unhealthySince).toLocaleString()}\` : \` · \${hb.consecutiveFailures} failed re-arm(s): \${hb.lastError}\`;
+            } else {
+              text += hb.armed ? \` · armed, fires at \${new Date(hb.triggerTime).toLocaleTimeString()}\` : ' · idle';
+            }
+            heartbeatStatus.className = \`text-xs text-center mb-4 \${color}\`;
+            heartbeatStatus.textContent = text;
+          }
+
           // Initial fetch and set up interval for periodic updates
+          fetchHeartbeat();
+          setInterval(fetchHeartbeat, 5000);
+          fetchRisk();
+          setInterval(fetchRisk, 5000);
           fetchLogs();
           setInterval(fetchLogs, 5000);
           setInterval(fetchTrades, 5000);